@@ -0,0 +1,108 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const moderation = require('./services/moderation');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Manage user roles. A role change applies from the user's next request.
+// Usage: node admin.js grant <username> <user|moderator|admin>
+//        node admin.js list
+//        node admin.js import-moderators <id> [id...]
+const USAGE = [
+  'Usage: node admin.js grant <username> <user|moderator|admin>',
+  '       node admin.js list',
+  '       node admin.js import-moderators <id> [id...]'
+].join('\n');
+
+// Same roles as middleware/auth.js (not required here: it exits in production without JWT_SECRET)
+const ROLES = ['user', 'moderator', 'admin'];
+
+async function grantRole(username, role) {
+  if (!username || !ROLES.includes(role)) {
+    throw new Error(USAGE);
+  }
+
+  const result = await pool.query(`
+    UPDATE users SET role = $2
+    WHERE username = $1
+    RETURNING id, username, role
+  `, [username, role]);
+
+  if (result.rows.length === 0) {
+    throw new Error(`No user named "${username}"`);
+  }
+
+  const user = result.rows[0];
+  await moderation.recordAction(pool, 'users', user.id, 'grant_role', null, `${role} (admin CLI)`);
+  console.log(`✓ ${user.username} (id ${user.id}) is now ${user.role}`);
+}
+
+// Make moderators of the users configured by id (MODERATOR_USER_IDS) before
+// roles existed. Run once when upgrading; users with a role already keep it.
+async function importModerators(ids) {
+  // Ids as separate arguments or comma-separated, as MODERATOR_USER_IDS was
+  const userIds = ids.join(',').split(',').filter(Boolean).map(id => parseInt(id, 10));
+  if (userIds.length === 0 || userIds.some(id => Number.isNaN(id))) {
+    throw new Error(USAGE);
+  }
+
+  const result = await pool.query(`
+    UPDATE users SET role = 'moderator'
+    WHERE id = ANY($1::int[]) AND role = 'user'
+    RETURNING id, username
+  `, [userIds]);
+
+  for (const user of result.rows) {
+    await moderation.recordAction(pool, 'users', user.id, 'grant_role', null, 'moderator (imported from MODERATOR_USER_IDS)');
+    console.log(`✓ ${user.username} (id ${user.id}) is now moderator`);
+  }
+  console.log(`${result.rows.length} of ${userIds.length} users made moderators`);
+}
+
+async function listStaff() {
+  const result = await pool.query(`
+    SELECT id, username, role, last_login
+    FROM users
+    WHERE role <> 'user'
+    ORDER BY role, username
+  `);
+
+  if (result.rows.length === 0) {
+    console.log('No moderators or admins yet.');
+    return;
+  }
+
+  for (const user of result.rows) {
+    const lastLogin = user.last_login ? user.last_login.toISOString().slice(0, 10) : 'never';
+    console.log(`${user.role.padEnd(10)} ${user.username} (id ${user.id}, last login ${lastLogin})`);
+  }
+}
+
+async function run() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'grant') {
+      await grantRole(args[0], args[1]);
+    } else if (command === 'list') {
+      await listStaff();
+    } else if (command === 'import-moderators') {
+      await importModerators(args);
+    } else {
+      throw new Error(USAGE);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,10 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// PostgreSQL connection pool shared by the server, its middleware and services
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = pool;
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const dataExport = require('./services/export');
+const { normalizeDistrict } = require('./services/districts');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Export all chayakkadas, streaming in batches like /api/export.
+// Usage: node export.js --format geojson|csv|kml [--out file] [--bbox minLng,minLat,maxLng,maxLat] [--district name]
+// Without --out the export is written to stdout and progress goes to stderr.
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function parseOptions() {
+  const format = getOption('format') || 'geojson';
+  if (!dataExport.FORMATS[format]) {
+    throw new Error(`Unknown format "${format}" (use geojson, csv or kml)`);
+  }
+
+  let bbox = null;
+  if (getOption('bbox')) {
+    bbox = getOption('bbox').split(',').map(Number);
+    if (bbox.length !== 4 || bbox.some(Number.isNaN)) {
+      throw new Error('--bbox must be minLng,minLat,maxLng,maxLat');
+    }
+  }
+
+  const district = getOption('district');
+
+  return {
+    format,
+    out: getOption('out'),
+    filters: {
+      bbox,
+      district: district ? normalizeDistrict(district) || district : null
+    }
+  };
+}
+
+async function exportChayakkadas() {
+  const { format, out, filters } = parseOptions();
+  const stream = out ? fs.createWriteStream(out) : process.stdout;
+
+  try {
+    console.error(`Exporting chayakkadas as ${format}${filters.district ? ` (${filters.district})` : ''}...`);
+
+    const count = await dataExport.writeExport(pool, format, filters, stream);
+
+    if (out) {
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+      });
+    }
+
+    console.error(`✓ Exported ${count} chayakkadas${out ? ` to ${out}` : ''}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+exportChayakkadas()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Export failed:', error.message);
+    process.exit(1);
+  });
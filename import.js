@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const csv = require('./services/csv');
+const duplicates = require('./services/duplicates');
+const shopService = require('./services/shops');
+const { runValidation, validateAddChayakkada } = require('./middleware/validators');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Import chayakkadas from a volunteer spreadsheet (CSV) or GeoJSON file.
+// Rows are validated with the same rules as POST /api/chayakkada, checked for
+// duplicates against existing shops and earlier rows, then committed in batches.
+// Rejected rows are written to an error log next to the input file.
+// Usage: node import.js <file.csv|file.geojson> [--dry-run] [--batch-size 100]
+//        [--error-log file] [--contributed-by name]
+const DEFAULT_BATCH_SIZE = 100;
+
+// Alternative column names seen in volunteer spreadsheets and our own exports
+const COLUMN_ALIASES = {
+  place_id: 'google_place_id',
+  lat: 'latitude',
+  lng: 'longitude',
+  lon: 'longitude',
+  long: 'longitude',
+  rating: 'chayakkada_rating',
+  latest_rating: 'chayakkada_rating',
+  items: 'items_available',
+  cigarettes: 'sells_cigarettes'
+};
+
+const IMPORT_FIELDS = [
+  'google_place_id',
+  'name',
+  'latitude',
+  'longitude',
+  'address',
+  'google_rating',
+  'chayakkada_rating',
+  'items_available',
+  'sells_cigarettes'
+];
+
+function getOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function parseOptions() {
+  const file = process.argv.slice(2).find((arg, index, args) =>
+    !arg.startsWith('--') && (index === 0 || !['--batch-size', '--error-log', '--contributed-by'].includes(args[index - 1]))
+  );
+  if (!file) {
+    throw new Error('Usage: node import.js <file.csv|file.geojson> [--dry-run] [--batch-size 100] [--error-log file] [--contributed-by name]');
+  }
+
+  const batchSize = parseInt(getOption('batch-size') || DEFAULT_BATCH_SIZE, 10);
+  if (!(batchSize > 0)) {
+    throw new Error('--batch-size must be a positive number');
+  }
+
+  return {
+    file,
+    dryRun: process.argv.includes('--dry-run'),
+    batchSize,
+    errorLog: getOption('error-log') || `${file}.errors.csv`,
+    contributedBy: getOption('contributed-by') || 'Bulk import'
+  };
+}
+
+// Map a raw row onto import fields: canonical column names, blanks dropped,
+// yes/no cigarettes column turned into a boolean
+function normalizeRecord(raw) {
+  const record = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    const column = key.trim().toLowerCase().replace(/\s+/g, '_');
+    const field = COLUMN_ALIASES[column] || column;
+    if (!IMPORT_FIELDS.includes(field) || value === null || value === undefined) {
+      continue;
+    }
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (text !== '') {
+      record[field] = text;
+    }
+  }
+
+  if (typeof record.sells_cigarettes === 'string') {
+    const answer = record.sells_cigarettes.toLowerCase();
+    if (['yes', 'y', 'true', '1'].includes(answer)) {
+      record.sells_cigarettes = true;
+    } else if (['no', 'n', 'false', '0'].includes(answer)) {
+      record.sells_cigarettes = false;
+    }
+  }
+
+  return record;
+}
+
+// Read the input file into [{ line, record }], where line is the spreadsheet
+// row number (CSV) or feature number (GeoJSON) for the error log
+function readRecords(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === '.csv') {
+    // Line 1 is the header
+    return csv.parse(text).map((row, index) => ({ line: index + 2, record: normalizeRecord(row) }));
+  }
+
+  if (extension === '.geojson' || extension === '.json') {
+    const collection = JSON.parse(text);
+    const features = collection.type === 'FeatureCollection' ? collection.features : [collection];
+
+    return features.map((feature, index) => {
+      const record = normalizeRecord(feature.properties || {});
+      if (feature.geometry && feature.geometry.type === 'Point') {
+        [record.longitude, record.latitude] = feature.geometry.coordinates;
+      }
+      return { line: index + 1, record };
+    });
+  }
+
+  throw new Error(`Unsupported file type "${extension}" (use .csv or .geojson)`);
+}
+
+// Validate one row and look for duplicates. Returns { data } for an accepted
+// row, or { status, field, message } for a rejected one.
+async function checkRecord(record, accepted) {
+  const { errors, data } = await runValidation(validateAddChayakkada, record);
+  if (errors.length > 0) {
+    return { status: 'invalid', field: errors[0].field, message: errors.map(e => e.message).join('; ') };
+  }
+
+  const existingId = data.google_place_id ? await shopService.findByPlaceId(pool, data.google_place_id) : null;
+  if (existingId) {
+    return {
+      status: 'duplicate',
+      field: 'google_place_id',
+      message: `Already listed as chayakkada ${existingId}`
+    };
+  }
+
+  const earlier = accepted.find(row =>
+    (data.google_place_id && row.data.google_place_id === data.google_place_id) ||
+    duplicates.compareShops(data, row.data)
+  );
+  if (earlier) {
+    return { status: 'duplicate', field: 'name', message: `Same shop as row ${earlier.line} of this file` };
+  }
+
+  const [match] = await duplicates.findDuplicates(pool, data);
+  if (match) {
+    return {
+      status: 'duplicate',
+      field: 'name',
+      message: `Looks like chayakkada ${match.id} "${match.name}" (${Math.round(match.distanceMeters)}m away)`
+    };
+  }
+
+  return { data };
+}
+
+// Insert one batch in a transaction. Each row gets a savepoint so a failure
+// is logged against that row without losing the rest of the batch. Returns
+// the lines that failed.
+async function commitBatch(batch, contributedBy, rejected) {
+  const client = await pool.connect();
+  const failed = new Set();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const { line, data } of batch) {
+      await client.query('SAVEPOINT import_row');
+      try {
+        const chayakkadaId = await shopService.upsertChayakkada(client, data);
+        if (shopService.hasMetadata(data)) {
+          await shopService.addMetadata(client, chayakkadaId, { ...data, contributed_by: contributedBy });
+        }
+        await client.query('RELEASE SAVEPOINT import_row');
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        rejected.push({ line, record: data, status: 'failed', field: '', message: error.message });
+        failed.add(line);
+      }
+    }
+
+    await client.query('COMMIT');
+    return failed;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function writeErrorLog(file, rejected) {
+  const lines = [csv.formatRow(['row', 'status', 'field', 'message', 'name', 'latitude', 'longitude'])];
+  for (const { line, record, status, field, message } of rejected) {
+    lines.push(csv.formatRow([line, status, field, message, record.name, record.latitude, record.longitude]));
+  }
+  fs.writeFileSync(file, lines.join(''));
+}
+
+async function importChayakkadas() {
+  const { file, dryRun, batchSize, errorLog, contributedBy } = parseOptions();
+
+  try {
+    const records = readRecords(file);
+    console.log(`Importing ${records.length} rows from ${file}${dryRun ? ' (dry run)' : ''}...`);
+
+    let accepted = [];
+    const rejected = [];
+    let imported = 0;
+    let batch = [];
+
+    // Failed rows were never imported, so later rows aren't duplicates of them
+    const commit = async () => {
+      const failed = await commitBatch(batch, contributedBy, rejected);
+      imported += batch.length - failed.size;
+      if (failed.size > 0) {
+        accepted = accepted.filter(row => !failed.has(row.line));
+      }
+    };
+
+    for (const { line, record } of records) {
+      const result = await checkRecord(record, accepted);
+
+      if (!result.data) {
+        rejected.push({ line, record, ...result });
+        continue;
+      }
+
+      accepted.push({ line, data: result.data });
+      batch.push({ line, data: result.data });
+
+      if (batch.length === batchSize) {
+        if (!dryRun) {
+          await commit();
+          console.log(`✓ Committed ${imported} chayakkadas`);
+        }
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0 && !dryRun) {
+      await commit();
+    }
+
+    const count = status => rejected.filter(row => row.status === status).length;
+
+    console.log(`\n✓ ${dryRun ? `${accepted.length} rows would be imported` : `Imported ${imported} chayakkadas`}`);
+    console.log(`- ${count('invalid')} invalid, ${count('duplicate')} duplicates, ${count('failed')} failed`);
+
+    if (rejected.length > 0) {
+      rejected.sort((a, b) => a.line - b.line);
+      writeErrorLog(errorLog, rejected);
+      console.log(`\nRejected rows written to ${errorLog}`);
+    }
+
+    if (dryRun) {
+      console.log('\nDry run: no changes were saved.');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+importChayakkadas()
+  .then(() => {
+    console.log('\nImport finished.');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Import failed:', error.message);
+    process.exit(1);
+  });
@@ -7,10 +7,13 @@ CREATE EXTENSION IF NOT EXISTS postgis;
 -- Create chayakkadas table
 CREATE TABLE IF NOT EXISTS chayakkadas (
   id SERIAL PRIMARY KEY,
-  google_place_id TEXT UNIQUE NOT NULL,
+  -- NULL for shops pinned on the map that have no Google listing (source 'manual')
+  google_place_id TEXT UNIQUE,
+  source TEXT NOT NULL DEFAULT 'google' CHECK (source IN ('google', 'manual')),
   name TEXT NOT NULL,
   location GEOGRAPHY(POINT, 4326) NOT NULL,
   address TEXT,
+  district TEXT,
   google_rating REAL,
   google_photo_references JSONB DEFAULT '[]',
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -20,6 +23,40 @@ CREATE TABLE IF NOT EXISTS chayakkadas (
 CREATE INDEX IF NOT EXISTS chayakkadas_location_idx
 ON chayakkadas USING GIST(location);
 
+-- Index districts (Kerala district parsed from the address) for filtered exports
+CREATE INDEX IF NOT EXISTS chayakkadas_district_idx
+ON chayakkadas(LOWER(district));
+
+-- Create walking time cache (origin geohash cell x chayakkada)
+CREATE TABLE IF NOT EXISTS walking_time_cache (
+  origin_cell TEXT NOT NULL,
+  chayakkada_id INTEGER NOT NULL,
+  distance_meters REAL NOT NULL,
+  duration_seconds REAL NOT NULL,
+  provider TEXT NOT NULL,
+  cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (origin_cell, chayakkada_id),
+  FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS walking_time_cache_chayakkada_idx
+ON walking_time_cache(chayakkada_id);
+
+-- Invalidate cached walking times whenever a shop moves
+CREATE OR REPLACE FUNCTION invalidate_walking_time_cache() RETURNS trigger AS $$
+BEGIN
+  DELETE FROM walking_time_cache WHERE chayakkada_id = NEW.id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS chayakkadas_location_changed ON chayakkadas;
+CREATE TRIGGER chayakkadas_location_changed
+AFTER UPDATE OF location ON chayakkadas
+FOR EACH ROW
+WHEN (NOT ST_Equals(OLD.location::geometry, NEW.location::geometry))
+EXECUTE FUNCTION invalidate_walking_time_cache();
+
 -- Create metadata table
 CREATE TABLE IF NOT EXISTS chayakkada_metadata (
   id SERIAL PRIMARY KEY,
@@ -32,6 +69,87 @@ CREATE TABLE IF NOT EXISTS chayakkada_metadata (
   FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
 );
 
+-- Create menu catalogue (canonical snacks and drinks, synced from services/menu.js)
+CREATE TABLE IF NOT EXISTS menu_items (
+  id SERIAL PRIMARY KEY,
+  slug TEXT UNIQUE NOT NULL,
+  name_en TEXT NOT NULL,
+  name_ml TEXT,
+  category TEXT NOT NULL,
+  is_veg BOOLEAN
+);
+
+-- Create menu synonyms (normalised names, Malayalam included)
+CREATE TABLE IF NOT EXISTS menu_item_synonyms (
+  synonym TEXT PRIMARY KEY,
+  menu_item_id INTEGER NOT NULL,
+  FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+);
+
+-- Create per-shop menu entries
+CREATE TABLE IF NOT EXISTS chayakkada_menu (
+  id SERIAL PRIMARY KEY,
+  chayakkada_id INTEGER NOT NULL,
+  menu_item_id INTEGER NOT NULL,
+  price NUMERIC(8, 2),
+  is_veg BOOLEAN,
+  contributed_by TEXT,
+  contributed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (chayakkada_id, menu_item_id),
+  FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE,
+  FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS chayakkada_menu_item_idx
+ON chayakkada_menu(menu_item_id);
+
+-- Create weekly opening hours (Asia/Kolkata wall-clock times; several ranges
+-- per day allowed, closes_at <= opens_at means the range runs past midnight)
+CREATE TABLE IF NOT EXISTS chayakkada_hours (
+  id SERIAL PRIMARY KEY,
+  chayakkada_id INTEGER NOT NULL,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+  opens_at TIME NOT NULL,
+  closes_at TIME NOT NULL,
+  contributed_by TEXT,
+  contributed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS chayakkada_hours_chayakkada_idx
+ON chayakkada_hours(chayakkada_id);
+
+-- Create opening hours exceptions (holidays, special hours) replacing the weekly hours for a date
+CREATE TABLE IF NOT EXISTS chayakkada_hours_exceptions (
+  id SERIAL PRIMARY KEY,
+  chayakkada_id INTEGER NOT NULL,
+  date DATE NOT NULL,
+  is_closed BOOLEAN NOT NULL DEFAULT true,
+  opens_at TIME,
+  closes_at TIME,
+  note TEXT,
+  contributed_by TEXT,
+  contributed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS chayakkada_hours_exceptions_chayakkada_idx
+ON chayakkada_hours_exceptions(chayakkada_id, date);
+
+-- Create redirects left behind when a duplicate shop is merged into another,
+-- so old links and re-adds of the merged Google listing reach the survivor
+CREATE TABLE IF NOT EXISTS chayakkada_redirects (
+  old_id INTEGER PRIMARY KEY,
+  new_id INTEGER NOT NULL,
+  google_place_id TEXT UNIQUE,
+  merged_by INTEGER,
+  merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (new_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS chayakkada_redirects_new_idx
+ON chayakkada_redirects(new_id);
+
 -- Create reviews table
 CREATE TABLE IF NOT EXISTS reviews (
   id SERIAL PRIMARY KEY,
@@ -47,6 +165,29 @@ CREATE TABLE IF NOT EXISTS reviews (
 CREATE INDEX IF NOT EXISTS reviews_chayakkada_idx
 ON reviews(chayakkada_id);
 
+-- Star rating (1-5) and optional sub-scores on each review
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS rating SMALLINT CHECK (rating BETWEEN 1 AND 5);
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS tea_strength SMALLINT CHECK (tea_strength BETWEEN 1 AND 5);
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS snacks SMALLINT CHECK (snacks BETWEEN 1 AND 5);
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS cleanliness SMALLINT CHECK (cleanliness BETWEEN 1 AND 5);
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS value SMALLINT CHECK (value BETWEEN 1 AND 5);
+
+-- Per-shop rating aggregate, kept up to date by services/ratings.js
+CREATE TABLE IF NOT EXISTS chayakkada_rating_aggregates (
+  chayakkada_id INTEGER PRIMARY KEY REFERENCES chayakkadas(id) ON DELETE CASCADE,
+  review_count INTEGER NOT NULL DEFAULT 0,
+  rating_mean REAL,
+  bayesian_rating REAL,
+  tea_strength_mean REAL,
+  snacks_mean REAL,
+  cleanliness_mean REAL,
+  value_mean REAL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS chayakkada_rating_aggregates_bayesian_idx
+ON chayakkada_rating_aggregates(bayesian_rating DESC NULLS LAST);
+
 -- Create users table for authentication
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
@@ -59,3 +200,220 @@ CREATE TABLE IF NOT EXISTS users (
 -- Create index on username for faster lookups
 CREATE INDEX IF NOT EXISTS users_username_idx
 ON users(username);
+
+-- Roles (user, moderator, admin) and bans
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'
+CHECK (role IN ('user', 'moderator', 'admin'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_reason TEXT;
+
+-- Two-factor authentication: the TOTP secret is stored encrypted, and the
+-- last accepted time step stops a code from being used twice
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret_encrypted TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Single-use recovery codes (hashed) for users who lose their authenticator
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS user_recovery_codes_user_idx
+ON user_recovery_codes(user_id);
+
+-- Site settings admins change at runtime (see services/settings.js)
+CREATE TABLE IF NOT EXISTS app_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Failed logins per username (lowercased), including usernames that don't exist
+CREATE TABLE IF NOT EXISTS login_failures (
+  username TEXT PRIMARY KEY,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP NOT NULL,
+  last_ip TEXT,
+  locked_until TIMESTAMP
+);
+
+-- Email is optional and only used for password resets
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_idx
+ON users(LOWER(email));
+
+-- Accounts the user asked to delete, and what to do with their contributions
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_due_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_mode TEXT
+CHECK (deletion_mode IN ('anonymize', 'delete'));
+
+-- Menu entries and opening hours belong to the logged-in user who wrote
+-- them. contributed_by is only a display name, which anonymous visitors
+-- could type too, so export and deletion match on user_id.
+ALTER TABLE chayakkada_menu ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE chayakkada_hours ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE chayakkada_hours_exceptions ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Accounts at OpenID Connect providers linked to users. Users who signed
+-- up that way have no password (password_set false) until they set one.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_set BOOLEAN NOT NULL DEFAULT true;
+
+-- Passwords used to be stored with "." and "$" replaced by "_". The column
+-- is added as true so rows from before then are marked, and new ones aren't.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_legacy BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE users ALTER COLUMN password_legacy SET DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  email TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMP,
+  UNIQUE (provider, subject),
+  UNIQUE (user_id, provider)
+);
+
+-- Single-use password reset tokens (hashed), replaced by each new request
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  requested_ip TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx
+ON password_reset_tokens(user_id);
+
+-- Login sessions. Only hashes of refresh tokens are stored; the previous
+-- hash is kept to spot a refresh token being used twice.
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  previous_token_hash TEXT,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS sessions_user_idx
+ON sessions(user_id);
+
+CREATE INDEX IF NOT EXISTS sessions_previous_token_idx
+ON sessions(previous_token_hash);
+
+-- When the user behind a session last signed in again with their OpenID
+-- Connect provider, which users without a password need for account changes
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS reauthenticated_at TIMESTAMP;
+
+-- Attribute contributions to user accounts. Anonymous contributions (when
+-- ANONYMOUS_CONTRIBUTIONS=moderated) are 'pending' until a moderator acts.
+ALTER TABLE chayakkadas ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE chayakkada_metadata ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE chayakkadas ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'approved'
+CHECK (status IN ('pending', 'approved', 'rejected'));
+ALTER TABLE chayakkada_metadata ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'approved'
+CHECK (status IN ('pending', 'approved', 'rejected'));
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'approved'
+CHECK (status IN ('pending', 'approved', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS chayakkadas_pending_idx ON chayakkadas(id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS chayakkada_metadata_pending_idx ON chayakkada_metadata(id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS reviews_pending_idx ON reviews(id) WHERE status = 'pending';
+
+-- Authors can edit and soft-delete their reviews; earlier versions are
+-- kept in review_edits for moderators
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS review_edits (
+  id SERIAL PRIMARY KEY,
+  review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  review_text TEXT NOT NULL,
+  rating SMALLINT,
+  tea_strength SMALLINT,
+  snacks SMALLINT,
+  cleanliness SMALLINT,
+  value SMALLINT,
+  edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS review_edits_review_idx
+ON review_edits(review_id);
+
+-- "Helpful" votes on reviews, one per user, counted towards the author's reputation
+CREATE TABLE IF NOT EXISTS review_votes (
+  review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (review_id, user_id)
+);
+
+-- Profile pages list contributions by user
+CREATE INDEX IF NOT EXISTS chayakkadas_created_by_idx ON chayakkadas(created_by);
+CREATE INDEX IF NOT EXISTS chayakkada_metadata_user_idx ON chayakkada_metadata(user_id);
+CREATE INDEX IF NOT EXISTS reviews_user_idx ON reviews(user_id);
+
+-- Badges users have earned. Badge ids refer to the rules in services/badges.js,
+-- so new badges need no schema change.
+CREATE TABLE IF NOT EXISTS user_badges (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  badge_id TEXT NOT NULL,
+  awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, badge_id)
+);
+
+-- Flagged reviews and metadata can be hidden until a moderator acts
+ALTER TABLE chayakkada_metadata DROP CONSTRAINT IF EXISTS chayakkada_metadata_status_check;
+ALTER TABLE chayakkada_metadata ADD CONSTRAINT chayakkada_metadata_status_check
+CHECK (status IN ('pending', 'approved', 'rejected', 'hidden'));
+ALTER TABLE reviews DROP CONSTRAINT IF EXISTS reviews_status_check;
+ALTER TABLE reviews ADD CONSTRAINT reviews_status_check
+CHECK (status IN ('pending', 'approved', 'rejected', 'hidden'));
+
+-- One open flag per user per item; resolved flags are kept for the record
+CREATE TABLE IF NOT EXISTS content_flags (
+  id SERIAL PRIMARY KEY,
+  content_type TEXT NOT NULL CHECK (content_type IN ('reviews', 'metadata')),
+  content_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CHECK (reason IN ('spam', 'abusive', 'fake', 'other')),
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS content_flags_open_idx
+ON content_flags(content_type, content_id, user_id) WHERE resolved_at IS NULL;
+
+-- Every moderation decision, with the moderator (NULL for automatic hiding) and note
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id SERIAL PRIMARY KEY,
+  content_type TEXT NOT NULL,
+  content_id INTEGER NOT NULL,
+  action TEXT NOT NULL,
+  moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS moderation_actions_content_idx
+ON moderation_actions(content_type, content_id);
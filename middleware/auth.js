@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../logger');
+const db = require('../db');
+const sessions = require('../services/sessions');
+const settings = require('../services/settings');
 
 // JWT secret from environment (MUST be set in production)
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
@@ -9,84 +12,260 @@ if (process.env.NODE_ENV === 'production' && JWT_SECRET === 'dev-secret-change-i
   process.exit(1);
 }
 
-// Generate JWT token
-function generateToken(user) {
+// Access tokens are short-lived; the browser renews them with its refresh token
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Generate an access token for a session
+function generateToken(user, sessionId) {
   return jwt.sign(
     {
       id: user.id,
-      username: user.username
+      username: user.username,
+      role: user.role || 'user',
+      sid: sessionId
     },
     JWT_SECRET,
-    { expiresIn: '7d' } // Token expires in 7 days
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
   );
 }
 
-// Verify JWT token from cookie or Authorization header
-function verifyToken(req, res, next) {
+// Accounts with two-factor authentication get this instead of a session after
+// the password step; it is exchanged for a session with a code within 5 minutes
+function generateLoginChallenge(user) {
+  return jwt.sign({ id: user.id, purpose: 'login-2fa' }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+// User id from a login challenge, or null if it is invalid or expired
+function verifyLoginChallenge(challenge) {
   try {
-    // Try to get token from Authorization header
-    let token = req.headers.authorization?.split(' ')[1];
+    const decoded = jwt.verify(challenge, JWT_SECRET);
+    return decoded.purpose === 'login-2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-    // If not in header, try cookie
-    if (!token) {
-      token = req.cookies?.token;
-    }
+// OpenID Connect sign-in state (provider, state, nonce, PKCE verifier and the
+// user to link to, if any), kept in a cookie between leaving for the provider
+// and coming back. Signed so it can't be tampered with; valid for 10 minutes.
+const OIDC_FLOW_COOKIE = 'oidc_flow';
 
-    if (!token) {
-      logger.warn('Authentication attempt without token', {
-        ip: req.ip,
-        path: req.path
-      });
-      return res.status(401).json({ error: 'Authentication required' });
-    }
+function setOidcFlowCookie(res, flow) {
+  const token = jwt.sign({ ...flow, purpose: 'oidc-flow' }, JWT_SECRET, { expiresIn: '10m' });
+  res.cookie(OIDC_FLOW_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax, not strict: the provider sends the browser back with a cross-site redirect
+    sameSite: 'lax',
+    path: '/api/auth/oidc',
+    maxAge: 10 * 60 * 1000
+  });
+}
+
+// The sign-in state from the cookie (cleared as it is read), or null
+function takeOidcFlow(req, res) {
+  const token = req.cookies?.[OIDC_FLOW_COOKIE];
+  res.clearCookie(OIDC_FLOW_COOKIE, { path: '/api/auth/oidc' });
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const flow = jwt.verify(token, JWT_SECRET);
+    return flow.purpose === 'oidc-flow' ? flow : null;
+  } catch (error) {
+    return null;
+  }
+}
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+// Access token in a cookie for every request, refresh token in a cookie
+// that is only sent to the /api/auth routes
+function setAuthCookies(res, accessToken, refreshToken) {
+  const options = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+  };
 
-    logger.info('User authenticated', {
-      username: decoded.username,
-      userId: decoded.id
+  res.cookie('token', accessToken, { ...options, maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000 });
+  // No refresh token: keep the one the browser has
+  if (refreshToken) {
+    res.cookie('refresh_token', refreshToken, {
+      ...options,
+      path: '/api/auth',
+      maxAge: sessions.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
     });
+  }
+}
 
-    next();
+function clearAuthCookies(res) {
+  res.clearCookie('token');
+  res.clearCookie('refresh_token', { path: '/api/auth' });
+}
+
+// Access token from the Authorization header or cookie
+function readToken(req) {
+  return req.headers.authorization?.split(' ')[1] || req.cookies?.token;
+}
+
+// Check an access token and the session behind it, so logged-out and revoked
+// sessions, bans and role changes apply straight away.
+// Returns { user } or { status, error }.
+async function authenticate(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
-    logger.warn('Invalid authentication token', {
-      error: error.message,
-      ip: req.ip
+    return {
+      status: 401,
+      error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid authentication token'
+    };
+  }
+
+  // Tokens issued before sessions existed have no session id
+  if (!decoded.sid) {
+    return { status: 401, error: 'Invalid authentication token' };
+  }
+
+  const session = await sessions.findActiveSession(db, decoded.sid, decoded.id);
+  if (!session) {
+    return { status: 401, error: 'Session has ended, please login again' };
+  }
+  if (session.banned_at) {
+    return { status: 403, error: 'This account has been suspended' };
+  }
+
+  return { user: { ...decoded, role: session.role, twoFactor: session.two_factor } };
+}
+
+// Verify JWT token from cookie or Authorization header
+async function verifyToken(req, res, next) {
+  const token = readToken(req);
+
+  if (!token) {
+    logger.warn('Authentication attempt without token', {
+      ip: req.ip,
+      path: req.path
     });
+    return res.status(401).json({ error: 'Authentication required' });
+  }
 
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ error: 'Token expired, please login again' });
-    }
+  const { user, status, error } = await authenticate(token);
 
-    return res.status(401).json({ error: 'Invalid authentication token' });
+  if (error) {
+    logger.warn('Authentication failed', { error, ip: req.ip, path: req.path });
+    return res.status(status).json({ error });
   }
+
+  req.user = user;
+
+  logger.info('User authenticated', {
+    username: user.username,
+    userId: user.id
+  });
+
+  next();
 }
 
 // Optional auth - adds user to request if token exists, but doesn't require it
-function optionalAuth(req, res, next) {
-  try {
-    let token = req.headers.authorization?.split(' ')[1];
+async function optionalAuth(req, res, next) {
+  const token = readToken(req);
 
-    if (!token) {
-      token = req.cookies?.token;
+  if (token) {
+    const { user, error } = await authenticate(token);
+    if (user) {
+      req.user = user;
+    } else {
+      // Silently fail for optional auth
+      logger.debug('Optional auth failed', { error });
     }
+  }
+
+  next();
+}
 
-    if (token) {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = decoded;
+// What happens to writes from visitors who aren't logged in: 'disabled'
+// rejects them, 'moderated' accepts them as pending until a moderator approves
+const ANONYMOUS_CONTRIBUTIONS = process.env.ANONYMOUS_CONTRIBUTIONS === 'moderated' ? 'moderated' : 'disabled';
+
+// Require a logged-in user for a write, unless anonymous contributions are
+// moderated, in which case anonymous writes continue with req.user unset.
+// A token that is present but invalid is always rejected, so an expired
+// session never silently turns into an anonymous contribution.
+function requireContributor(req, res, next) {
+  const token = readToken(req);
+
+  if (token || ANONYMOUS_CONTRIBUTIONS === 'disabled') {
+    if (!token) {
+      logger.warn('Anonymous contribution rejected', { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: 'Please login to contribute' });
     }
-  } catch (error) {
-    // Silently fail for optional auth
-    logger.debug('Optional auth failed', { error: error.message });
+    return verifyToken(req, res, next);
   }
 
   next();
 }
 
+// Moderation status for a new contribution: logged-in users publish directly
+function contributionStatus(req) {
+  return req.user ? 'approved' : 'pending';
+}
+
+// Whether a user with `role` must use two-factor authentication, given the
+// roles admins require it for. Higher roles hold every lower role's
+// privileges, so requiring it for moderators requires it for admins too.
+function twoFactorRequiredFor(role, requiredFor) {
+  const rank = ROLES.indexOf(role || 'user');
+  return requiredFor.some(required => ROLES.indexOf(required) <= rank);
+}
+
+// Only users with `role` or a higher one may continue (use after verifyToken).
+// When admins require two-factor authentication for the user's role or one
+// below it, the user must have it enabled too.
+function requireRole(role) {
+  const minimum = ROLES.indexOf(role);
+
+  return async (req, res, next) => {
+    if (!req.user || ROLES.indexOf(req.user.role || 'user') < minimum) {
+      logger.warn('Role access denied', { userId: req.user?.id, role, path: req.path });
+      return res.status(403).json({ error: `${role.charAt(0).toUpperCase()}${role.slice(1)} access required` });
+    }
+
+    if (!req.user.twoFactor) {
+      const requiredFor = await settings.getSetting(db, 'require_2fa_roles');
+      if (twoFactorRequiredFor(req.user.role, requiredFor)) {
+        logger.warn('Role access denied: two-factor authentication required', { userId: req.user.id, path: req.path });
+        return res.status(403).json({
+          error: 'Enable two-factor authentication to use this role',
+          code: 'two_factor_required'
+        });
+      }
+    }
+
+    next();
+  };
+}
+
+const requireModerator = requireRole('moderator');
+
 module.exports = {
+  ROLES,
+  ANONYMOUS_CONTRIBUTIONS,
   generateToken,
+  generateLoginChallenge,
+  verifyLoginChallenge,
+  setOidcFlowCookie,
+  takeOidcFlow,
+  setAuthCookies,
+  clearAuthCookies,
   verifyToken,
-  optionalAuth
+  optionalAuth,
+  requireContributor,
+  contributionStatus,
+  twoFactorRequiredFor,
+  requireRole,
+  requireModerator
 };
@@ -70,6 +70,37 @@ const searchLimiter = rateLimit({
   }
 });
 
+// Password reset request limiter - 5 per hour. Every request counts, since
+// the response is the same whether or not an email was sent.
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: 'Too many password reset requests',
+  handler: (req, res) => {
+    logger.warn('Password reset rate limit exceeded', {
+      ip: req.ip
+    });
+    res.status(429).json({
+      error: 'Too many password reset requests, please try again later'
+    });
+  }
+});
+
+// Map viewport rate limiter - 60 requests per minute (panning fires often)
+const mapLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  message: 'Too many map requests',
+  handler: (req, res) => {
+    logger.warn('Map rate limit exceeded', {
+      ip: req.ip
+    });
+    res.status(429).json({
+      error: 'Too many map requests, please slow down'
+    });
+  }
+});
+
 // Helmet configuration for security headers
 const helmetConfig = helmet({
   contentSecurityPolicy: {
@@ -117,50 +148,6 @@ const helmetConfig = helmet({
   }
 });
 
-// Custom sanitization middleware for Express 5.x compatibility
-// Removes dangerous characters from input to prevent injection attacks
-const sanitizeData = (req, res, next) => {
-  // Sanitize req.body
-  if (req.body) {
-    req.body = sanitizeObject(req.body);
-  }
-  // Sanitize req.params
-  if (req.params) {
-    req.params = sanitizeObject(req.params);
-  }
-  // Note: req.query is read-only in Express 5.x, so we skip it
-  next();
-};
-
-// Helper function to recursively sanitize objects
-function sanitizeObject(obj) {
-  if (obj === null || typeof obj !== 'object') {
-    return sanitizeValue(obj);
-  }
-
-  if (Array.isArray(obj)) {
-    return obj.map(item => sanitizeObject(item));
-  }
-
-  const sanitized = {};
-  for (const key in obj) {
-    if (obj.hasOwnProperty(key)) {
-      // Remove keys with $ or . (MongoDB injection patterns)
-      const sanitizedKey = key.replace(/[$\.]/g, '_');
-      sanitized[sanitizedKey] = sanitizeObject(obj[key]);
-    }
-  }
-  return sanitized;
-}
-
-function sanitizeValue(value) {
-  if (typeof value === 'string') {
-    // Remove potentially dangerous patterns
-    return value.replace(/[$\.]/g, '_');
-  }
-  return value;
-}
-
 // Prevent HTTP parameter pollution
 const preventHpp = hpp();
 
@@ -169,7 +156,8 @@ module.exports = {
   authLimiter,
   contributionLimiter,
   searchLimiter,
+  mapLimiter,
+  passwordResetLimiter,
   helmetConfig,
-  sanitizeData,
   preventHpp
 };
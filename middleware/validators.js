@@ -1,5 +1,6 @@
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const logger = require('../logger');
+const { normalizeText, textLength } = require('../services/text');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -30,6 +31,26 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Free text is stored as typed: no HTML escaping (the frontend escapes it when
+// rendering) and no characters rewritten, only normalised (see services/text.js).
+// Lengths count characters as people do, so Malayalam isn't cut short; the
+// UTF-16 cap stops stacked combining marks passing as a few characters.
+const MAX_CODE_UNITS_PER_CHARACTER = 4;
+
+const textField = (field, { min = 0, max, multiline = false }, message) => body(field)
+  .isString()
+  .withMessage(message)
+  .bail()
+  .customSanitizer(value => normalizeText(value, { multiline }))
+  .custom(value => {
+    const length = textLength(value);
+    return length >= min && length <= max && value.length <= max * MAX_CODE_UNITS_PER_CHARACTER;
+  })
+  .withMessage(message);
+
+// Optional free text; null counts as not sent
+const optionalTextField = (...args) => textField(...args).optional({ values: 'null' });
+
 // User registration validation
 const validateRegistration = [
   body('username')
@@ -37,11 +58,18 @@ const validateRegistration = [
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be 3-30 characters')
     .matches(/^[a-zA-Z0-9_-]+$/)
-    .withMessage('Username can only contain letters, numbers, underscores, and hyphens')
-    .escape(),
+    .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
   body('password')
     .isLength({ min: 6, max: 128 })
     .withMessage('Password must be at least 6 characters'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 254 })
+    .withMessage('Email must be max 254 characters')
+    .toLowerCase(),
   handleValidationErrors
 ];
 
@@ -50,8 +78,7 @@ const validateLogin = [
   body('username')
     .trim()
     .notEmpty()
-    .withMessage('Username is required')
-    .escape(),
+    .withMessage('Username is required'),
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
@@ -63,17 +90,46 @@ const validateReview = [
   param('id')
     .isInt({ min: 1 })
     .withMessage('Invalid chayakkada ID'),
-  body('review_text')
-    .trim()
-    .isLength({ min: 10, max: 1000 })
-    .withMessage('Review must be 10-1000 characters')
-    .escape(),
-  body('reviewer_name')
+  textField('review_text', { min: 10, max: 1000, multiline: true }, 'Review must be 10-1000 characters'),
+  optionalTextField('reviewer_name', { max: 50 }, 'Reviewer name must be max 50 characters'),
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number of stars from 1 to 5')
+    .toInt(),
+  body(['tea_strength', 'snacks', 'cleanliness', 'value'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Sub-scores must be whole numbers from 1 to 5')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Author's edit of their review; only the fields sent are changed
+const validateReviewEdit = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid review ID'),
+  textField('review_text', { min: 10, max: 1000, multiline: true }, 'Review must be 10-1000 characters').optional(),
+  body('rating')
     .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage('Reviewer name must be max 50 characters')
-    .escape(),
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number of stars from 1 to 5')
+    .toInt(),
+  body(['tea_strength', 'snacks', 'cleanliness', 'value'])
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Sub-scores must be whole numbers from 1 to 5')
+    .toInt(),
+  body()
+    .custom(value => ['review_text', 'rating', 'tea_strength', 'snacks', 'cleanliness', 'value'].some(field => value[field] !== undefined))
+    .withMessage('Nothing to update'),
+  handleValidationErrors
+];
+
+const validateReviewId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid review ID'),
   handleValidationErrors
 ];
 
@@ -86,50 +142,31 @@ const validateMetadata = [
     .optional()
     .isFloat({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
-  body('items_available')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Items list must be max 500 characters')
-    .escape(),
+  optionalTextField('items_available', { max: 500 }, 'Items list must be max 500 characters'),
   body('sells_cigarettes')
     .optional()
     .isBoolean()
     .withMessage('sells_cigarettes must be a boolean'),
-  body('contributed_by')
-    .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage('Contributor name must be max 50 characters')
-    .escape(),
+  optionalTextField('contributed_by', { max: 50 }, 'Contributor name must be max 50 characters'),
   handleValidationErrors
 ];
 
 // Add chayakkada validation
 const validateAddChayakkada = [
+  // Optional: shops pinned on the map may have no Google listing
   body('google_place_id')
+    .optional({ values: 'falsy' })
     .trim()
-    .notEmpty()
-    .withMessage('Google Place ID is required')
     .isLength({ max: 255 })
     .withMessage('Google Place ID too long'),
-  body('name')
-    .trim()
-    .isLength({ min: 1, max: 255 })
-    .withMessage('Name must be 1-255 characters')
-    .escape(),
+  textField('name', { min: 1, max: 255 }, 'Name must be 1-255 characters'),
   body('latitude')
     .isFloat({ min: -90, max: 90 })
     .withMessage('Invalid latitude'),
   body('longitude')
     .isFloat({ min: -180, max: 180 })
     .withMessage('Invalid longitude'),
-  body('address')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Address must be max 500 characters')
-    .escape(),
+  optionalTextField('address', { max: 500 }, 'Address must be max 500 characters'),
   body('google_rating')
     .optional()
     .isFloat({ min: 0, max: 5 })
@@ -138,16 +175,41 @@ const validateAddChayakkada = [
     .optional()
     .isFloat({ min: 1, max: 5 })
     .withMessage('Rating must be between 1 and 5'),
-  body('items_available')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Items list must be max 500 characters')
-    .escape(),
+  optionalTextField('items_available', { max: 500 }, 'Items list must be max 500 characters'),
   body('sells_cigarettes')
     .optional()
     .isBoolean()
     .withMessage('sells_cigarettes must be a boolean'),
+  body('allow_duplicate')
+    .optional()
+    .isBoolean()
+    .withMessage('allow_duplicate must be a boolean'),
+  optionalTextField('contributed_by', { max: 50 }, 'Contributor name must be max 50 characters'),
+  handleValidationErrors
+];
+
+// Link a Google listing to a pin-dropped shop
+const validateLinkPlace = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid chayakkada ID'),
+  body('google_place_id')
+    .trim()
+    .notEmpty()
+    .withMessage('Google Place ID is required')
+    .isLength({ max: 255 })
+    .withMessage('Google Place ID too long'),
+  handleValidationErrors
+];
+
+// Reverse geocoding of a dropped pin
+const validateReverseGeocode = [
+  query('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Invalid latitude'),
+  query('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Invalid longitude'),
   handleValidationErrors
 ];
 
@@ -167,14 +229,472 @@ const validateSearch = [
     .optional()
     .isInt({ min: 1, max: 300 })
     .withMessage('Max walking time must be between 1 and 300 minutes'),
+  body('items')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Items must be a list of up to 10 item names'),
+  textField('items.*', { min: 1, max: 50 }, 'Each item name must be 1-50 characters'),
+  body('noCigarettes')
+    .optional()
+    .isBoolean()
+    .withMessage('noCigarettes must be a boolean'),
+  body('minRating')
+    .optional()
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Minimum rating must be between 1 and 5'),
+  body('minGoogleRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('Minimum Google rating must be between 0 and 5'),
+  body('openNow')
+    .optional()
+    .isBoolean()
+    .withMessage('openNow must be a boolean'),
+  body('openAt')
+    .optional()
+    .isISO8601()
+    .withMessage('openAt must be an ISO 8601 date-time'),
+  body('sortBy')
+    .optional()
+    .isIn(['walkingTime', 'distance', 'rating'])
+    .withMessage('sortBy must be walkingTime, distance or rating'),
+  handleValidationErrors
+];
+
+// Menu contribution validation
+const validateMenuContribution = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid chayakkada ID'),
+  body('items')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Items must be a list of 1-50 menu entries'),
+  textField('items.*.name', { min: 1, max: 50 }, 'Each item name must be 1-50 characters'),
+  body('items.*.price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10000 })
+    .withMessage('Price must be between 0 and 10000')
+    .toFloat(),
+  body('items.*.is_veg')
+    .optional({ values: 'null' })
+    .isBoolean()
+    .withMessage('is_veg must be a boolean')
+    .toBoolean(),
+  optionalTextField('contributed_by', { max: 50 }, 'Contributor name must be max 50 characters'),
+  handleValidationErrors
+];
+
+// bbox=minLng,minLat,maxLng,maxLat
+const checkBbox = value => {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    throw new Error('bbox must be minLng,minLat,maxLng,maxLat');
+  }
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) {
+    throw new Error('bbox is out of range');
+  }
+  if (minLng >= maxLng || minLat >= maxLat) {
+    throw new Error('bbox minimums must be less than maximums');
+  }
+  return true;
+};
+
+// Map viewport validation
+const validateBbox = [
+  query('bbox')
+    .custom(checkBbox),
+  query('zoom')
+    .optional()
+    .isInt({ min: 0, max: 22 })
+    .withMessage('Zoom must be between 0 and 22'),
+  handleValidationErrors
+];
+
+// Dataset export validation (format in the path, optional bbox and district)
+const validateExport = [
+  param('format')
+    .isIn(['geojson', 'csv', 'kml'])
+    .withMessage('Format must be geojson, csv or kml'),
+  query('bbox')
+    .optional()
+    .custom(checkBbox),
+  query('district')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('District must be 1-50 characters'),
+  handleValidationErrors
+];
+
+// Duplicate candidate listing validation
+const validateDuplicateSearch = [
+  query('radius')
+    .optional()
+    .isFloat({ min: 1, max: 500 })
+    .withMessage('Radius must be between 1 and 500 meters'),
+  query('minSimilarity')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('minSimilarity must be between 0 and 1'),
+  query('district')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('District must be 1-50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors
+];
+
+// Moderation decision on a pending contribution
+const validateModeration = [
+  param('type')
+    .isIn(['chayakkadas', 'metadata', 'reviews'])
+    .withMessage('Type must be chayakkadas, metadata or reviews'),
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid contribution ID'),
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('Action must be approve or reject'),
+  optionalTextField('note', { max: 500, multiline: true }, 'Note must be max 500 characters'),
+  handleValidationErrors
+];
+
+// Flag a review or metadata entry (:type is reviews or metadata)
+const validateFlag = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid contribution ID'),
+  body('reason')
+    .isIn(['spam', 'abusive', 'fake', 'other'])
+    .withMessage('Reason must be spam, abusive, fake or other'),
+  optionalTextField('note', { max: 500, multiline: true }, 'Note must be max 500 characters'),
+  handleValidationErrors
+];
+
+// Admin action on a shop, review or user, with an optional note (the ban reason for users)
+const validateAdminAction = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid ID'),
+  optionalTextField('note', { max: 500, multiline: true }, 'Note must be max 500 characters'),
+  handleValidationErrors
+];
+
+const validateSessionId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid session ID'),
+  handleValidationErrors
+];
+
+// Change password while logged in
+const validatePasswordChange = [
+  // Not needed by users who signed up with OpenID Connect and have no password yet
+  body('currentPassword')
+    .optional()
+    .isString()
+    .withMessage('Current password must be a string'),
+  body('newPassword')
+    .isLength({ min: 6, max: 128 })
+    .withMessage('Password must be at least 6 characters')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current one'),
+  handleValidationErrors
+];
+
+// Account deletion: the password and what to do with reviews and shop details
+const validateAccountDeletion = [
+  // Not needed by users who signed up with OpenID Connect and have no password yet
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('contributions')
+    .isIn(['anonymize', 'delete'])
+    .withMessage('Contributions must be anonymize or delete'),
+  handleValidationErrors
+];
+
+// Linked account id in the path
+const validateIdentityId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid linked account id'),
+  handleValidationErrors
+];
+
+// Set or change the email address used for password resets
+const validateEmailChange = [
+  // Not needed by users who signed up with OpenID Connect and have no password yet
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .isLength({ max: 254 })
+    .withMessage('Email must be max 254 characters')
+    .toLowerCase(),
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address')
+    .toLowerCase(),
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .isLength({ min: 20, max: 100 })
+    .withMessage('Invalid reset token'),
+  body('newPassword')
+    .isLength({ min: 6, max: 128 })
+    .withMessage('Password must be at least 6 characters'),
+  handleValidationErrors
+];
+
+// A 6 digit authenticator code
+const twoFactorCode = (field) => body(field)
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+// Either an authenticator code or a recovery code
+const twoFactorCodeOrRecovery = [
+  twoFactorCode('code').optional({ values: 'falsy' }),
+  body('recoveryCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[a-z2-7]{5}-?[a-z2-7]{5}$/i)
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Enter a code from your authenticator app or a recovery code')
+];
+
+const validateLoginTwoFactor = [
+  body('challenge')
+    .isString()
+    .notEmpty()
+    .withMessage('Login challenge is required'),
+  ...twoFactorCodeOrRecovery,
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  twoFactorCode('code'),
+  handleValidationErrors
+];
+
+const validateTwoFactorDisable = [
+  // Not needed by users who signed up with OpenID Connect and have no password yet
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  ...twoFactorCodeOrRecovery,
+  handleValidationErrors
+];
+
+// Roles that must use two-factor authentication
+const validateRequireTwoFactor = [
+  body('roles')
+    .isArray()
+    .withMessage('Roles must be a list'),
+  body('roles.*')
+    .isIn(['moderator', 'admin'])
+    .withMessage('Two-factor authentication can be required for moderator and admin'),
   handleValidationErrors
 ];
 
+const validateProfile = [
+  param('username')
+    .matches(/^[a-zA-Z0-9_-]{3,30}$/)
+    .withMessage('Invalid username'),
+  handleValidationErrors
+];
+
+const validateProfileContributions = [
+  param('username')
+    .matches(/^[a-zA-Z0-9_-]{3,30}$/)
+    .withMessage('Invalid username'),
+  query('type')
+    .isIn(['shops', 'metadata', 'reviews'])
+    .withMessage('Type must be shops, metadata or reviews'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be 1-100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be 0 or more'),
+  handleValidationErrors
+];
+
+// Leaderboard validation (optional district and size)
+const validateLeaderboard = [
+  query('district')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('District must be 1-50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be 1-100'),
+  handleValidationErrors
+];
+
+// Moderator decision on a flagged item
+const validateFlagResolution = [
+  param('type')
+    .isIn(['metadata', 'reviews'])
+    .withMessage('Type must be metadata or reviews'),
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid contribution ID'),
+  body('action')
+    .isIn(['approve', 'hide', 'delete'])
+    .withMessage('Action must be approve, hide or delete'),
+  optionalTextField('note', { max: 500, multiline: true }, 'Note must be max 500 characters'),
+  handleValidationErrors
+];
+
+// Shop merge validation (:id is merged into target_id)
+const validateMerge = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid chayakkada ID'),
+  body('target_id')
+    .isInt({ min: 1 })
+    .withMessage('target_id must be a chayakkada ID')
+    .custom((value, { req }) => parseInt(value, 10) !== parseInt(req.params.id, 10))
+    .withMessage('Cannot merge a chayakkada into itself'),
+  optionalTextField('note', { max: 500, multiline: true }, 'Note must be max 500 characters'),
+  handleValidationErrors
+];
+
+// 24-hour HH:MM, as used for opening hours
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Chayakkada id in the path
+const validateChayakkadaId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid chayakkada ID'),
+  handleValidationErrors
+];
+
+// Weekly opening hours validation
+const validateOpeningHours = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid chayakkada ID'),
+  body('weekly')
+    .isArray({ max: 28 })
+    .withMessage('Weekly hours must be a list of up to 28 ranges'),
+  body('weekly.*.day')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day must be 0 (Sunday) to 6 (Saturday)')
+    .toInt(),
+  body('weekly.*.opens')
+    .matches(TIME_PATTERN)
+    .withMessage('Opening time must be HH:MM'),
+  body('weekly.*.closes')
+    .matches(TIME_PATTERN)
+    .withMessage('Closing time must be HH:MM'),
+  optionalTextField('contributed_by', { max: 50 }, 'Contributor name must be max 50 characters'),
+  handleValidationErrors
+];
+
+// Opening hours exception validation
+const validateHoursException = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid chayakkada ID'),
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .isISO8601({ strict: true })
+    .withMessage('Date must be YYYY-MM-DD'),
+  body('closed')
+    .optional()
+    .isBoolean()
+    .withMessage('closed must be a boolean'),
+  body(['opens', 'closes'])
+    .if((value, { req }) => req.body.closed !== true && req.body.closed !== 'true')
+    .matches(TIME_PATTERN)
+    .withMessage('Opening and closing times (HH:MM) are required unless closed'),
+  optionalTextField('note', { max: 200 }, 'Note must be max 200 characters'),
+  optionalTextField('contributed_by', { max: 50 }, 'Contributor name must be max 50 characters'),
+  handleValidationErrors
+];
+
+// Run a validator outside a request (e.g. the import CLI). Returns
+// { errors: [{ field, message }], data } with the validator's sanitisers applied to data.
+async function runValidation(validator, data) {
+  const req = { body: { ...data }, params: {}, query: {}, headers: {}, cookies: {} };
+
+  for (const chain of validator.filter(step => step !== handleValidationErrors)) {
+    await chain.run(req);
+  }
+
+  const errors = validationResult(req).array().map(err => ({
+    field: err.path,
+    message: err.msg
+  }));
+
+  return { errors, data: req.body };
+}
+
 module.exports = {
+  runValidation,
   validateRegistration,
   validateLogin,
   validateReview,
+  validateReviewEdit,
+  validateReviewId,
   validateMetadata,
   validateAddChayakkada,
-  validateSearch
+  validateSearch,
+  validateMenuContribution,
+  validateChayakkadaId,
+  validateOpeningHours,
+  validateHoursException,
+  validateBbox,
+  validateExport,
+  validateDuplicateSearch,
+  validateMerge,
+  validateLinkPlace,
+  validateReverseGeocode,
+  validateModeration,
+  validateFlag,
+  validateFlagResolution,
+  validateAdminAction,
+  validateSessionId,
+  validatePasswordChange,
+  validateEmailChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateLoginTwoFactor,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateRequireTwoFactor,
+  validateProfile,
+  validateProfileContributions,
+  validateLeaderboard,
+  validateAccountDeletion,
+  validateIdentityId
 };
\ No newline at end of file
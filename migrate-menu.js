@@ -0,0 +1,97 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const menu = require('./services/menu');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Parse every shop's latest free-text items_available into structured menu
+// entries. Safe to re-run: existing entries are kept, matches are upserted.
+// Usage: node migrate-menu.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateMenu() {
+  const client = await pool.connect();
+
+  try {
+    console.log(`Migrating items_available into chayakkada_menu${dryRun ? ' (dry run)' : ''}...`);
+
+    await client.query('BEGIN');
+
+    // Make sure the catalogue exists even if the server has never started
+    await menu.syncCatalogue(client);
+
+    const shops = await client.query(`
+      SELECT DISTINCT ON (m.chayakkada_id)
+        m.chayakkada_id,
+        c.name,
+        m.items_available,
+        m.contributed_by
+      FROM chayakkada_metadata m
+      JOIN chayakkadas c ON c.id = m.chayakkada_id
+      WHERE m.items_available IS NOT NULL AND m.items_available <> ''
+        AND m.status = 'approved'
+      ORDER BY m.chayakkada_id, m.contributed_at DESC
+    `);
+
+    const unmatchedCounts = new Map();
+    let matched = 0;
+
+    for (const shop of shops.rows) {
+      const names = menu.splitItemsList(shop.items_available);
+      const unmatched = await menu.recordItemsAvailable(
+        client,
+        shop.chayakkada_id,
+        shop.items_available,
+        shop.contributed_by
+      );
+
+      matched += names.length - unmatched.length;
+      unmatched.forEach(name => {
+        const key = menu.normalizeItemName(name);
+        unmatchedCounts.set(key, (unmatchedCounts.get(key) || 0) + 1);
+      });
+
+      console.log(`✓ ${shop.name}: ${names.length - unmatched.length}/${names.length} items matched`);
+    }
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+    }
+
+    console.log(`\n✓ Processed ${shops.rows.length} chayakkadas, ${matched} menu entries matched`);
+
+    if (unmatchedCounts.size > 0) {
+      console.log('\nItems not in the catalogue (add them or a synonym to services/menu.js):');
+      [...unmatchedCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([name, count]) => console.log(`- ${name} (${count})`));
+    }
+
+    if (dryRun) {
+      console.log('\nDry run: no changes were saved.');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error migrating menu:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateMenu()
+  .then(() => {
+    console.log('\nMenu migration finished.');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Menu migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,111 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const { unescapeEntities } = require('./services/text');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Free text used to be HTML-escaped by the validators before it was stored;
+// now it is stored as typed and the frontend escapes it. Unescape the old rows.
+// It runs once: a second run would also unescape text people typed as "&amp;"
+// since, so it records itself in app_settings and refuses to run again.
+// Usage: node migrate-text.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+// Columns the validators escaped
+const ESCAPED_COLUMNS = [
+  ['chayakkadas', 'name'],
+  ['chayakkadas', 'address'],
+  ['chayakkada_metadata', 'items_available'],
+  ['chayakkada_metadata', 'contributed_by'],
+  ['chayakkada_menu', 'contributed_by'],
+  ['chayakkada_hours', 'contributed_by'],
+  ['chayakkada_hours_exceptions', 'note'],
+  ['chayakkada_hours_exceptions', 'contributed_by'],
+  ['reviews', 'review_text'],
+  ['reviews', 'reviewer_name'],
+  ['review_edits', 'review_text'],
+  ['content_flags', 'note'],
+  ['moderation_actions', 'note'],
+  ['users', 'banned_reason']
+];
+
+// The entities validator.escape() produced, as a Postgres regex
+const ESCAPED_PATTERN = '&(amp|lt|gt|quot|#x27|#x2F|#x5C|#96);';
+
+// The app_settings row that records the migration ran
+const DONE_KEY = 'text_unescaped_at';
+
+async function migrateText() {
+  const client = await pool.connect();
+
+  try {
+    console.log(`Unescaping stored text${dryRun ? ' (dry run)' : ''}...`);
+
+    await client.query('BEGIN');
+
+    // Claimed first, in the same transaction: a concurrent run waits here and
+    // then finds the row, and a dry run or a failure rolls it back
+    const claimed = await client.query(`
+      INSERT INTO app_settings (key, value, updated_at)
+      VALUES ($1, to_jsonb(NOW()), NOW())
+      ON CONFLICT (key) DO NOTHING
+    `, [DONE_KEY]);
+    if (claimed.rowCount === 0) {
+      const done = await client.query('SELECT value FROM app_settings WHERE key = $1', [DONE_KEY]);
+      throw new Error(`Text was already unescaped on ${done.rows[0].value}; running again would corrupt text typed since`);
+    }
+
+    let total = 0;
+    for (const [table, column] of ESCAPED_COLUMNS) {
+      const values = await client.query(
+        `SELECT DISTINCT ${column} AS value FROM ${table} WHERE ${column} ~ $1`,
+        [ESCAPED_PATTERN]
+      );
+
+      let rows = 0;
+      for (const { value } of values.rows) {
+        const result = await client.query(
+          `UPDATE ${table} SET ${column} = $2 WHERE ${column} = $1`,
+          [value, unescapeEntities(value)]
+        );
+        rows += result.rowCount;
+      }
+
+      total += rows;
+      console.log(`✓ ${table}.${column}: ${rows} rows`);
+    }
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+    } else {
+      await client.query('COMMIT');
+    }
+
+    console.log(`\n✓ Unescaped ${total} values`);
+
+    if (dryRun) {
+      console.log('\nDry run: no changes were saved.');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error unescaping text:', error);
+    throw error;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+migrateText()
+  .then(() => {
+    console.log('\nText migration finished.');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Text migration failed:', error);
+    process.exit(1);
+  });
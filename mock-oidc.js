@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// A local OpenID Connect provider for development and testing OIDC sign-in
+// without a real provider. It signs in whoever you type into its form.
+// Usage: node mock-oidc.js   (then see "Signing In with OpenID Connect" in the README)
+// NEVER expose it: anyone can sign in as anyone.
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'chayakkada-dev';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'chayakkada-dev-secret';
+
+// Authorization codes work once, within a minute
+const CODE_TTL_MS = 60 * 1000;
+
+// A new signing key every run
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function sendError(res, status, error, description) {
+  res.status(status).json({ error, error_description: description });
+}
+
+app.get('/.well-known/openid-configuration', (_req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (_req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// The "login page": pick who to be
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType, code_challenge_method: method } = req.query;
+
+  if (clientId !== CLIENT_ID) {
+    return sendError(res, 400, 'unauthorized_client', `Unknown client_id, expected ${CLIENT_ID}`);
+  }
+  if (responseType !== 'code' || !redirectUri) {
+    return sendError(res, 400, 'invalid_request', 'response_type=code and redirect_uri are required');
+  }
+  if (method !== 'S256' || !req.query.code_challenge) {
+    return sendError(res, 400, 'invalid_request', 'PKCE with code_challenge_method=S256 is required');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock OpenID Connect provider</title></head>
+<body style="font-family: sans-serif; max-width: 400px; margin: 40px auto;">
+  <h1>Mock sign-in</h1>
+  <p>Sign in to the app as:</p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Subject (user id)<br><input name="sub" value="mock-user-1" required></label></p>
+    <p><label>Username<br><input name="preferred_username" value="mockuser"></label></p>
+    <p><label>Name<br><input name="name" value="Mock User"></label></p>
+    <p><label>Email<br><input name="email" value="mockuser@example.com"></label></p>
+    <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+    <button type="submit" name="deny" value="1">Cancel</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+  if (clientId !== CLIENT_ID || !redirectUri) {
+    return sendError(res, 400, 'invalid_request', 'Unknown client or missing redirect_uri');
+  }
+
+  const target = new URL(redirectUri);
+  if (state) {
+    target.searchParams.set('state', state);
+  }
+
+  if (req.body.deny) {
+    target.searchParams.set('error', 'access_denied');
+    return res.redirect(target.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    codeChallenge,
+    nonce,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: req.body.sub,
+      auth_time: Math.floor(Date.now() / 1000),
+      preferred_username: req.body.preferred_username || undefined,
+      name: req.body.name || undefined,
+      email: req.body.email || undefined,
+      email_verified: req.body.email ? req.body.email_verified === 'true' : undefined
+    }
+  });
+
+  target.searchParams.set('code', code);
+  res.redirect(target.toString());
+});
+
+// Client credentials from HTTP Basic or the form body
+function clientCredentials(req) {
+  const [scheme, encoded] = (req.get('authorization') || '').split(' ');
+  if (scheme === 'Basic' && encoded) {
+    const [id, secret] = Buffer.from(encoded, 'base64').toString('utf8').split(':').map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+}
+
+app.post('/token', (req, res) => {
+  const client = clientCredentials(req);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return sendError(res, 401, 'invalid_client', 'Wrong client credentials');
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return sendError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== client.id) {
+    return sendError(res, 400, 'invalid_grant', 'Unknown, used or expired code');
+  }
+  if (grant.redirectUri !== req.body.redirect_uri) {
+    return sendError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+  }
+
+  const verifierHash = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+  if (verifierHash !== grant.codeChallenge) {
+    return sendError(res, 400, 'invalid_grant', 'PKCE code_verifier does not match');
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OpenID Connect provider on ${ISSUER}`);
+  console.log(`  OIDC_MOCK_DISCOVERY_URL=${ISSUER}/.well-known/openid-configuration`);
+  console.log(`  OIDC_MOCK_CLIENT_ID=${CLIENT_ID}`);
+  console.log(`  OIDC_MOCK_CLIENT_SECRET=${CLIENT_SECRET}`);
+});
@@ -1,17 +1,31 @@
 // Global variables
 let map;
 let markers = [];
+let areaMarkers = [];
+let programmaticMove = false;
 let searchResults = [];
 let currentLocation = null;
 let selectedPlace = null;
+let contributeMode = 'google';
+let pinMap = null;
+let pinMarker = null;
+let pinAddressSuggestion = '';
 let currentUser = null;
+let currentShop = null;
+let resetToken = null;
+let loginChallenge = null;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// User text comes from the API as typed; escape it wherever it becomes HTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
 
 // Authentication functions
 async function checkAuthStatus() {
   try {
-    const response = await fetch('/api/auth/me', {
-      credentials: 'include'
-    });
+    const response = await authFetch('/api/auth/me');
 
     if (response.ok) {
       const data = await response.json();
@@ -43,18 +57,63 @@ function updateAuthUI() {
   }
 }
 
+// Writes need an account unless anonymous contributions are moderated.
+// Returns true (after prompting a login) when the server asked for one.
+function handleLoginRequired(response) {
+  if (response.status !== 401) return false;
+
+  currentUser = null;
+  updateAuthUI();
+  showAuthModal('login');
+  return true;
+}
+
+// Users without a password confirm account changes by signing in with their
+// linked account again; the page comes back with #oidc-reauth. Returns true
+// when the server asked for that.
+async function handleReauthRequired(data) {
+  if (data.code !== 'reauth_required') return false;
+
+  const response = await authFetch('/api/auth/identities');
+  const { identities } = await response.json();
+  if (identities?.length > 0 && confirm(`${data.error}. Continue to ${identities[0].provider}?`)) {
+    window.location.href = `/api/auth/oidc/${encodeURIComponent(identities[0].provider)}/start?reauth=1`;
+  }
+  return true;
+}
+
+// Access tokens are short-lived: when one has expired, swap the refresh
+// token cookie for a new pair once and retry the request.
+let refreshPromise = null;
+
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = fetch('/api/auth/refresh', {
+      method: 'POST',
+      credentials: 'include'
+    })
+      .then(response => response.ok)
+      .catch(() => false)
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
+async function authFetch(url, options = {}) {
+  const response = await fetch(url, { ...options, credentials: 'include' });
+  if (response.status !== 401 || !(await refreshSession())) {
+    return response;
+  }
+  return fetch(url, { ...options, credentials: 'include' });
+}
+
+// mode is login, register, forgot, reset or twofactor
 function showAuthModal(mode) {
   const modal = document.getElementById('auth-modal');
-  const loginForm = document.getElementById('login-form');
-  const registerForm = document.getElementById('register-form');
 
-  if (mode === 'login') {
-    loginForm.style.display = 'block';
-    registerForm.style.display = 'none';
-  } else {
-    loginForm.style.display = 'none';
-    registerForm.style.display = 'block';
-  }
+  ['login', 'register', 'forgot', 'reset', 'twofactor'].forEach(form => {
+    document.getElementById(`${form}-form`).style.display = form === mode ? 'block' : 'none';
+  });
 
   modal.style.display = 'block';
 }
@@ -67,6 +126,12 @@ function closeAuthModal() {
   document.getElementById('register-username').value = '';
   document.getElementById('register-password').value = '';
   document.getElementById('register-password-confirm').value = '';
+  document.getElementById('register-email').value = '';
+  document.getElementById('forgot-email').value = '';
+  document.getElementById('reset-password').value = '';
+  document.getElementById('reset-password-confirm').value = '';
+  document.getElementById('twofactor-code').value = '';
+  document.getElementById('twofactor-recovery').value = '';
 }
 
 async function handleLogin() {
@@ -88,11 +153,19 @@ async function handleLogin() {
 
     const data = await response.json();
 
-    if (response.ok) {
+    if (response.ok && data.twoFactorRequired) {
+      loginChallenge = data.challenge;
+      showAuthModal('twofactor');
+    } else if (response.ok) {
       currentUser = data.user;
       updateAuthUI();
       closeAuthModal();
       alert(`Welcome back, ${data.user.username}!`);
+    } else if (data.code === 'account_pending_deletion') {
+      const due = new Date(data.deletionDueAt).toLocaleDateString();
+      if (confirm(`This account is scheduled for deletion on ${due}. Keep it instead?`)) {
+        await restoreAccount(username, password);
+      }
     } else {
       alert(data.error || 'Login failed');
     }
@@ -102,10 +175,69 @@ async function handleLogin() {
   }
 }
 
+// Call off a scheduled account deletion, then log in as usual
+async function restoreAccount(username, password) {
+  const response = await fetch('/api/account/restore', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    alert(data.error || 'Failed to restore account');
+    return;
+  }
+
+  alert(data.message);
+  await handleLogin();
+}
+
+// Second login step with an authenticator or recovery code
+async function handleTwoFactorLogin() {
+  const code = document.getElementById('twofactor-code').value.trim();
+  const recoveryCode = document.getElementById('twofactor-recovery').value.trim();
+
+  if (!code && !recoveryCode) {
+    alert('Please enter the code from your authenticator app');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/auth/login/2fa', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ challenge: loginChallenge, ...(code ? { code } : { recoveryCode }) })
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      loginChallenge = null;
+      currentUser = data.user;
+      updateAuthUI();
+      closeAuthModal();
+      alert(data.recoveryCodesLeft !== undefined
+        ? `Welcome back, ${data.user.username}! You have ${data.recoveryCodesLeft} recovery codes left.`
+        : `Welcome back, ${data.user.username}!`);
+    } else {
+      alert(data.error || 'Login failed');
+      if (response.status === 401 && data.error !== 'Invalid credentials') {
+        showAuthModal('login');
+      }
+    }
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    alert('Login failed. Please try again.');
+  }
+}
+
 async function handleRegister() {
   const username = document.getElementById('register-username').value.trim();
   const password = document.getElementById('register-password').value;
   const confirmPassword = document.getElementById('register-password-confirm').value;
+  const email = document.getElementById('register-email').value.trim();
 
   if (!username || !password || !confirmPassword) {
     alert('Please fill in all fields');
@@ -132,7 +264,7 @@ async function handleRegister() {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ username, password })
+      body: JSON.stringify({ username, password, ...(email && { email }) })
     });
 
     const data = await response.json();
@@ -167,6 +299,643 @@ async function handleLogout() {
   }
 }
 
+async function handleForgotPassword() {
+  const email = document.getElementById('forgot-email').value.trim();
+
+  if (!email) {
+    alert('Please enter your email');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/auth/password/forgot', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      closeAuthModal();
+      alert(data.message);
+    } else {
+      alert(data.error || 'Failed to request a reset link');
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    alert('Failed to request a reset link. Please try again.');
+  }
+}
+
+// Reset links point at /#reset=<token>; the token never reaches server logs
+function checkResetLink() {
+  const match = window.location.hash.match(/^#reset=([\w-]+)$/);
+  if (!match) return;
+
+  resetToken = match[1];
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  showAuthModal('reset');
+}
+
+// "Sign in with ..." buttons under the login form
+async function loadOidcProviders() {
+  try {
+    const response = await fetch('/api/auth/oidc/providers');
+    const data = await response.json();
+    document.getElementById('oidc-buttons').innerHTML = data.providers.map(provider => `
+      <button class="btn btn-secondary btn-large" onclick="window.location.href = '/api/auth/oidc/${provider.id}/start'">
+        Sign in with ${escapeHtml(provider.label)}
+      </button>
+    `).join('');
+  } catch (error) {
+    console.error('Sign-in providers error:', error);
+  }
+}
+
+// Back from an OpenID Connect provider: the server puts the outcome in the hash
+function checkOidcRedirect() {
+  const match = window.location.hash.match(/^#oidc-(error|2fa|linked|restore|reauth)=(.*)$/);
+  if (!match) return;
+
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+  const value = decodeURIComponent(match[2]);
+
+  if (match[1] === 'error') {
+    alert(value);
+  } else if (match[1] === '2fa') {
+    loginChallenge = value;
+    showAuthModal('twofactor');
+  } else if (match[1] === 'reauth') {
+    alert(`Confirmed with ${value}. You can now make the change under Account.`);
+  } else if (match[1] === 'restore') {
+    // Signing in with the provider again keeps the account
+    if (confirm('This account is scheduled for deletion. Keep it instead?')) {
+      window.location.href = `/api/auth/oidc/${encodeURIComponent(value)}/start?restore=1`;
+    }
+  } else {
+    alert(`${value} account linked`);
+  }
+}
+
+async function handleResetPassword() {
+  const newPassword = document.getElementById('reset-password').value;
+  const confirmPassword = document.getElementById('reset-password-confirm').value;
+
+  if (newPassword.length < 6) {
+    alert('Password must be at least 6 characters');
+    return;
+  }
+
+  if (newPassword !== confirmPassword) {
+    alert('Passwords do not match');
+    return;
+  }
+
+  try {
+    const response = await fetch('/api/auth/password/reset', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ token: resetToken, newPassword })
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      resetToken = null;
+      currentUser = null;
+      updateAuthUI();
+      closeAuthModal();
+      alert(data.message);
+      showAuthModal('login');
+    } else {
+      alert(data.error || 'Password reset failed');
+    }
+  } catch (error) {
+    console.error('Password reset error:', error);
+    alert('Password reset failed. Please try again.');
+  }
+}
+
+// Change password and the email used for password resets
+function showAccountSettings() {
+  const modal = document.getElementById('detail-modal');
+  const content = document.getElementById('detail-content');
+
+  content.innerHTML = `
+    <h2>Account</h2>
+
+    <h3>${currentUser.password_set === false ? 'Set a Password' : 'Change Password'}</h3>
+    <div class="form-group" style="${currentUser.password_set === false ? 'display: none;' : ''}">
+      <label for="account-current-password">Current Password</label>
+      <input type="password" id="account-current-password" class="input">
+    </div>
+    <div class="form-group">
+      <label for="account-new-password">New Password</label>
+      <input type="password" id="account-new-password" class="input">
+      <small style="color: #666;">Min 6 characters. Your other devices will be logged out.</small>
+    </div>
+    <button class="btn btn-primary btn-large" onclick="handleChangePassword()">Change Password</button>
+
+    <h3 style="margin-top: 25px;">Email</h3>
+    <p class="help-text">Password reset links are sent here.</p>
+    <div class="form-group">
+      <label for="account-email">Email</label>
+      <input type="email" id="account-email" class="input" value="${escapeHtml(currentUser.email)}" placeholder="you@example.com">
+    </div>
+    <div class="form-group" style="${currentUser.password_set === false ? 'display: none;' : ''}">
+      <label for="account-email-password">Password</label>
+      <input type="password" id="account-email-password" class="input">
+    </div>
+    <button class="btn btn-primary btn-large" onclick="handleEmailChange()">Save Email</button>
+
+    <h3 style="margin-top: 25px;">Two-Factor Authentication</h3>
+    <div id="two-factor-section"><p class="help-text">Loading...</p></div>
+
+    <h3 style="margin-top: 25px;">Linked Accounts</h3>
+    <div id="linked-accounts-section"><p class="help-text">Loading...</p></div>
+
+    <h3 style="margin-top: 25px;">Your Data</h3>
+    <p class="help-text">Download your profile, contributions, votes and sessions as JSON.</p>
+    <button class="btn btn-secondary btn-large" onclick="downloadAccountData()">Download My Data</button>
+
+    <h3 style="margin-top: 25px;">Delete Account</h3>
+    <p class="help-text">
+      You will be logged out everywhere. The account is deleted after a grace period;
+      log in before then to keep it. Shops, menus and opening hours you added stay, without your name.
+    </p>
+    <div class="form-group">
+      <label for="account-delete-contributions">Your reviews and shop details</label>
+      <select id="account-delete-contributions" class="input">
+        <option value="anonymize">Keep them, without my name</option>
+        <option value="delete">Delete them</option>
+      </select>
+    </div>
+    <div class="form-group" style="${currentUser.password_set === false ? 'display: none;' : ''}">
+      <label for="account-delete-password">Password</label>
+      <input type="password" id="account-delete-password" class="input">
+    </div>
+    <button class="btn btn-danger btn-large" onclick="handleDeleteAccount()">Delete Account</button>
+
+    <button class="btn btn-secondary btn-large" onclick="closeDetailModal()" style="margin-top: 10px;">
+      Close
+    </button>
+  `;
+
+  modal.style.display = 'block';
+  loadTwoFactorSection();
+  loadLinkedAccounts();
+}
+
+// Accounts at OpenID Connect providers that can sign in to this one
+async function loadLinkedAccounts() {
+  const section = document.getElementById('linked-accounts-section');
+
+  try {
+    const response = await authFetch('/api/auth/identities');
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load linked accounts');
+    }
+
+    const linked = new Set(data.identities.map(identity => identity.provider));
+    const labels = Object.fromEntries(data.providers.map(provider => [provider.id, provider.label]));
+    const unlinked = data.providers.filter(provider => !linked.has(provider.id));
+
+    if (data.identities.length === 0 && unlinked.length === 0) {
+      section.innerHTML = '<p class="help-text">No sign-in providers are set up on this site.</p>';
+      return;
+    }
+
+    section.innerHTML = `
+      ${data.identities.map(identity => `
+        <div class="session-item">
+          <div>
+            <strong>${escapeHtml(labels[identity.provider] || identity.provider)}</strong>
+            <p class="help-text">${escapeHtml(identity.email)} • linked ${new Date(identity.created_at).toLocaleDateString()}</p>
+          </div>
+          <button class="btn btn-secondary" onclick="unlinkAccount(${identity.id})">Unlink</button>
+        </div>
+      `).join('')}
+      ${unlinked.map(provider => `
+        <button class="btn btn-secondary" onclick="linkAccount('${provider.id}')">Link ${escapeHtml(provider.label)}</button>
+      `).join('')}
+    `;
+  } catch (error) {
+    console.error('Linked accounts error:', error);
+    section.innerHTML = `<p class="help-text">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+async function linkAccount(providerId) {
+  // Renew the access token first if needed: the provider redirect can't
+  const response = await authFetch('/api/auth/me');
+  if (handleLoginRequired(response)) return;
+
+  window.location.href = `/api/auth/oidc/${providerId}/start?link=1`;
+}
+
+async function unlinkAccount(identityId) {
+  try {
+    const response = await authFetch(`/api/auth/identities/${identityId}`, { method: 'DELETE' });
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(data.error || 'Failed to unlink account');
+      return;
+    }
+
+    loadLinkedAccounts();
+  } catch (error) {
+    console.error('Unlink error:', error);
+    alert('Failed to unlink account. Please try again.');
+  }
+}
+
+async function loadTwoFactorSection() {
+  const section = document.getElementById('two-factor-section');
+
+  try {
+    const response = await authFetch('/api/auth/2fa');
+    if (handleLoginRequired(response)) return;
+
+    const status = await response.json();
+    if (!response.ok) {
+      throw new Error(status.error || 'Failed to load two-factor status');
+    }
+
+    if (status.enabled) {
+      section.innerHTML = `
+        <p class="help-text">On. ${status.recoveryCodesLeft} recovery codes left.</p>
+        <div class="form-group">
+          <label for="two-factor-code">Code from your authenticator app</label>
+          <input type="text" id="two-factor-code" class="input" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+        </div>
+        <button class="btn btn-secondary btn-large" onclick="regenerateRecoveryCodes()">New Recovery Codes</button>
+        ${status.required ? '<p class="help-text">Required for your role, so it can\'t be turned off.</p>' : `
+          <div class="form-group" style="margin-top: 10px; ${currentUser.password_set === false ? 'display: none;' : ''}">
+            <label for="two-factor-password">Password (to turn it off)</label>
+            <input type="password" id="two-factor-password" class="input">
+          </div>
+          <button class="btn btn-secondary btn-large" onclick="disableTwoFactor()">Turn Off</button>
+        `}
+      `;
+    } else {
+      section.innerHTML = `
+        <p class="help-text">
+          ${status.required ? 'Required for your role: moderation and admin tools stay locked until you turn it on.' : 'Protect your account with a code from an authenticator app.'}
+        </p>
+        <button class="btn btn-primary btn-large" onclick="startTwoFactorSetup()">Set Up</button>
+      `;
+    }
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    section.innerHTML = '<p class="help-text">Failed to load two-factor status.</p>';
+  }
+}
+
+async function startTwoFactorSetup() {
+  const section = document.getElementById('two-factor-section');
+
+  try {
+    const response = await authFetch('/api/auth/2fa/setup', { method: 'POST' });
+    if (handleLoginRequired(response)) return;
+
+    const setup = await response.json();
+    if (!response.ok) {
+      throw new Error(setup.error || 'Failed to start setup');
+    }
+
+    section.innerHTML = `
+      <p class="help-text">Scan this with your authenticator app, or enter the key by hand.</p>
+      <img src="${setup.qrCode}" alt="Two-factor QR code" class="two-factor-qr">
+      <p class="two-factor-secret">${setup.secret}</p>
+      <div class="form-group">
+        <label for="two-factor-code">Code from the app</label>
+        <input type="text" id="two-factor-code" class="input" inputmode="numeric" autocomplete="one-time-code" maxlength="6">
+      </div>
+      <button class="btn btn-primary btn-large" onclick="enableTwoFactor()">Turn On</button>
+    `;
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    alert(error.message);
+  }
+}
+
+function showRecoveryCodes(codes) {
+  document.getElementById('two-factor-section').innerHTML = `
+    <p class="help-text">
+      Save these recovery codes somewhere safe. Each one logs you in once if you lose your phone.
+      They won't be shown again.
+    </p>
+    <pre class="recovery-codes">${codes.join('\n')}</pre>
+  `;
+}
+
+async function enableTwoFactor() {
+  const code = document.getElementById('two-factor-code').value.trim();
+
+  try {
+    const response = await authFetch('/api/auth/2fa/enable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code })
+    });
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(data.error || 'Failed to turn on two-factor authentication');
+      return;
+    }
+
+    currentUser.two_factor = true;
+    showRecoveryCodes(data.recoveryCodes);
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    alert('Failed to turn on two-factor authentication. Please try again.');
+  }
+}
+
+async function regenerateRecoveryCodes() {
+  const code = document.getElementById('two-factor-code').value.trim();
+
+  try {
+    const response = await authFetch('/api/auth/2fa/recovery-codes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code })
+    });
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+      alert(data.error || 'Failed to create recovery codes');
+      return;
+    }
+
+    showRecoveryCodes(data.recoveryCodes);
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    alert('Failed to create recovery codes. Please try again.');
+  }
+}
+
+async function disableTwoFactor() {
+  const code = document.getElementById('two-factor-code').value.trim();
+  const password = document.getElementById('two-factor-password').value;
+  const hasPassword = currentUser.password_set !== false;
+
+  if (!code || (hasPassword && !password)) {
+    alert('Please enter a code from your app and your password');
+    return;
+  }
+
+  try {
+    const response = await authFetch('/api/auth/2fa/disable', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code, password })
+    });
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+      if (!(await handleReauthRequired(data))) {
+        alert(data.error || 'Failed to turn off two-factor authentication');
+      }
+      return;
+    }
+
+    currentUser.two_factor = false;
+    loadTwoFactorSection();
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    alert('Failed to turn off two-factor authentication. Please try again.');
+  }
+}
+
+async function handleChangePassword() {
+  const currentPassword = document.getElementById('account-current-password').value;
+  const newPassword = document.getElementById('account-new-password').value;
+  const hasPassword = currentUser.password_set !== false;
+
+  if ((hasPassword && !currentPassword) || newPassword.length < 6) {
+    alert('Please enter your current password and a new password of at least 6 characters');
+    return;
+  }
+
+  try {
+    const response = await authFetch('/api/auth/password/change', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+
+    if (response.ok) {
+      currentUser.password_set = true;
+      closeDetailModal();
+      alert(data.message);
+    } else if (!(await handleReauthRequired(data))) {
+      alert(data.error || 'Failed to change password');
+    }
+  } catch (error) {
+    console.error('Change password error:', error);
+    alert('Failed to change password. Please try again.');
+  }
+}
+
+async function handleEmailChange() {
+  const email = document.getElementById('account-email').value.trim();
+  const password = document.getElementById('account-email-password').value;
+  const hasPassword = currentUser.password_set !== false;
+
+  if (!email || (hasPassword && !password)) {
+    alert('Please enter your email and password');
+    return;
+  }
+
+  try {
+    const response = await authFetch('/api/auth/email', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password })
+    });
+
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+
+    if (response.ok) {
+      currentUser.email = data.email;
+      closeDetailModal();
+      alert('Email updated');
+    } else if (!(await handleReauthRequired(data))) {
+      alert(data.error || 'Failed to update email');
+    }
+  } catch (error) {
+    console.error('Email change error:', error);
+    alert('Failed to update email. Please try again.');
+  }
+}
+
+async function downloadAccountData() {
+  try {
+    const response = await authFetch('/api/account/export');
+    if (handleLoginRequired(response)) return;
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to export data');
+    }
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `chayakkada-account-${currentUser.username}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Export error:', error);
+    alert(error.message);
+  }
+}
+
+async function handleDeleteAccount() {
+  const password = document.getElementById('account-delete-password').value;
+  const contributions = document.getElementById('account-delete-contributions').value;
+  const hasPassword = currentUser.password_set !== false;
+
+  if (hasPassword && !password) {
+    alert('Please enter your password');
+    return;
+  }
+  if (!confirm('Delete your account? You will be logged out everywhere.')) {
+    return;
+  }
+
+  try {
+    const response = await authFetch('/api/account', {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password, contributions })
+    });
+
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+
+    if (response.ok) {
+      currentUser = null;
+      updateAuthUI();
+      closeDetailModal();
+      alert(data.message);
+    } else if (!(await handleReauthRequired(data))) {
+      alert(data.error || 'Failed to delete account');
+    }
+  } catch (error) {
+    console.error('Delete account error:', error);
+    alert('Failed to delete account. Please try again.');
+  }
+}
+
+// Devices logged in to this account, each of which can be logged out
+async function showSessions() {
+  const modal = document.getElementById('detail-modal');
+  const content = document.getElementById('detail-content');
+
+  try {
+    const response = await authFetch('/api/auth/sessions');
+    if (handleLoginRequired(response)) return;
+
+    const sessions = await response.json();
+    if (!response.ok) {
+      throw new Error(sessions.error || 'Failed to load sessions');
+    }
+
+    content.innerHTML = `
+      <h2>Your Sessions</h2>
+      <p class="help-text">Devices logged in to your account. Log out any you don't recognise.</p>
+      <div class="session-list">
+        ${sessions.map(session => `
+          <div class="session-item">
+            <div>
+              <strong>${escapeHtml(session.user_agent || 'Unknown device')}</strong>
+              ${session.current ? '<span class="session-current">(this device)</span>' : ''}
+              <p class="help-text">
+                ${escapeHtml(session.ip || 'Unknown IP')} • last used ${new Date(session.last_used_at).toLocaleString()}
+              </p>
+            </div>
+            <button class="btn btn-secondary" onclick="revokeSession(${session.id}, ${session.current})">Log out</button>
+          </div>
+        `).join('')}
+      </div>
+      <button class="btn btn-primary btn-large" onclick="revokeAllSessions()">Log out everywhere</button>
+      <button class="btn btn-secondary btn-large" onclick="closeDetailModal()" style="margin-top: 10px;">
+        Close
+      </button>
+    `;
+
+    modal.style.display = 'block';
+  } catch (error) {
+    console.error('Sessions error:', error);
+    alert('Failed to load sessions. Please try again.');
+  }
+}
+
+async function revokeSession(sessionId, current) {
+  try {
+    const response = await authFetch(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    if (handleLoginRequired(response)) return;
+
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to revoke session');
+    }
+
+    if (current) {
+      currentUser = null;
+      updateAuthUI();
+      closeDetailModal();
+    } else {
+      showSessions();
+    }
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    alert('Failed to log out that session. Please try again.');
+  }
+}
+
+async function revokeAllSessions() {
+  if (!confirm('Log out of every device, including this one?')) return;
+
+  try {
+    const response = await authFetch('/api/auth/sessions', { method: 'DELETE' });
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to revoke sessions');
+    }
+
+    currentUser = null;
+    updateAuthUI();
+    closeDetailModal();
+    alert(data.message);
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    alert('Failed to log out everywhere. Please try again.');
+  }
+}
+
 // Initialize Leaflet Map
 function initMap() {
   // Create Leaflet map centered on Kerala
@@ -178,6 +947,15 @@ function initMap() {
     maxZoom: 19
   }).addTo(map);
 
+  // Offer "Search this area" once the user pans or zooms the map themselves
+  map.on('moveend', () => {
+    if (programmaticMove) {
+      programmaticMove = false;
+      return;
+    }
+    document.getElementById('search-area-btn').style.display = 'block';
+  });
+
   // Setup place search autocomplete for contribution form
   setupPlaceSearch();
 
@@ -186,6 +964,13 @@ function initMap() {
 
   // Check authentication status on page load
   checkAuthStatus();
+
+  // Opened from a password reset email
+  checkResetLink();
+
+  // Sign-in buttons for OpenID Connect providers, and the outcome of one
+  loadOidcProviders();
+  checkOidcRedirect();
 }
 
 // View Management
@@ -209,6 +994,15 @@ async function searchChayakkadas() {
   const locationInput = document.getElementById('location-input').value.trim();
   const maxDistance = parseFloat(document.getElementById('max-distance').value) || null;
   const maxTime = parseInt(document.getElementById('max-time').value) || null;
+  const items = document.getElementById('filter-items').value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+  const minRating = parseFloat(document.getElementById('filter-min-rating').value) || null;
+  const minGoogleRating = parseFloat(document.getElementById('filter-min-google-rating').value) || null;
+  const noCigarettes = document.getElementById('filter-no-cigarettes').checked;
+  const openNow = document.getElementById('filter-open-now').checked;
+  const sortBy = document.getElementById('sort-by').value;
 
   if (!locationInput && !currentLocation) {
     alert('Please enter a location or use your current location');
@@ -227,7 +1021,7 @@ async function searchChayakkadas() {
       longitude = currentLocation.longitude;
     } else {
       // Geocode the location
-      const geocodeResponse = await fetch('/api/geocode', {
+      const geocodeResponse = await authFetch('/api/geocode', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ address: locationInput })
@@ -243,14 +1037,20 @@ async function searchChayakkadas() {
     }
 
     // Search for chayakkadas
-    const response = await fetch('/api/search', {
+    const response = await authFetch('/api/search', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         latitude,
         longitude,
         maxDistance,
-        maxWalkingTime: maxTime
+        maxWalkingTime: maxTime,
+        ...(items.length > 0 && { items }),
+        ...(minRating && { minRating }),
+        ...(minGoogleRating && { minGoogleRating }),
+        ...(noCigarettes && { noCigarettes }),
+        ...(openNow && { openNow }),
+        sortBy
       })
     });
 
@@ -258,9 +1058,9 @@ async function searchChayakkadas() {
       throw new Error('Search failed');
     }
 
-    searchResults = await response.json();
+    const data = await response.json();
+    searchResults = data.results;
     displayResults(searchResults, { lat: latitude, lng: longitude });
-
   } catch (error) {
     console.error('Search error:', error);
     alert('Failed to search. Please try again.');
@@ -282,7 +1082,7 @@ function displayResults(shops, userLocation) {
       <div class="empty-state">
         <div class="empty-state-icon">☕</div>
         <h3>No chayakkadas found</h3>
-        <p>Try expanding your search radius or be the first to add one!</p>
+        <p>Try expanding your search radius, relaxing your filters, or be the first to add one!</p>
       </div>
     `;
     return;
@@ -293,20 +1093,24 @@ function displayResults(shops, userLocation) {
       <div onclick="showShopDetail(${shop.id})" style="cursor: pointer;">
         <div class="shop-card-header">
           <div>
-            <div class="shop-name">${shop.name}</div>
-            <div class="shop-address">${shop.address || 'Address not available'}</div>
+            <div class="shop-name">${escapeHtml(shop.name)}</div>
+            <div class="shop-address">${escapeHtml(shop.address || 'Address not available')}</div>
           </div>
-          <div class="shop-distance">
-            🚶 ${shop.walkingTime} min
+          <div class="shop-distance" title="${walkingSourceLabel(shop)}">
+            🚶 ${shop.walkingEstimate ? '~' : ''}${shop.walkingTime} min
           </div>
         </div>
         <div class="shop-meta">
           ${shop.google_rating ? `<div class="meta-item">⭐ ${shop.google_rating}</div>` : ''}
-          ${shop.chayakkada_rating ? `<div class="meta-item"><span class="rating-badge">Chayakkada: ${shop.chayakkada_rating}/5</span></div>` : ''}
-          <div class="meta-item">📍 ${shop.walkingDistance} km</div>
+          ${shop.rating && shop.rating.count > 0
+            ? `<div class="meta-item"><span class="rating-badge">Chayakkada: ${shop.rating.mean}/5 (${shop.rating.count})</span></div>`
+            : shop.chayakkada_rating ? `<div class="meta-item"><span class="rating-badge">Chayakkada: ${shop.chayakkada_rating}/5</span></div>` : ''}
+          <div class="meta-item">📍 ${shop.walkingEstimate ? '~' : ''}${shop.walkingDistance} km</div>
+          ${shop.walkingEstimate ? '<div class="meta-item"><span class="estimate-badge">Estimated walk</span></div>' : ''}
+          ${openStatusBadge(shop.openStatus)}
           ${shop.sells_cigarettes ? '<div class="meta-item"><span class="cigarettes-badge">🚬 Cigarettes</span></div>' : ''}
         </div>
-        ${shop.items_available ? `<div class="meta-item" style="margin-top: 10px;">☕ ${shop.items_available}</div>` : ''}
+        ${shop.items_available ? `<div class="meta-item" style="margin-top: 10px;">☕ ${escapeHtml(shop.items_available)}</div>` : ''}
       </div>
       <div style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #eee;">
         <a href="https://www.google.com/maps/dir/?api=1&destination=${shop.latitude},${shop.longitude}"
@@ -324,13 +1128,69 @@ function displayResults(shops, userLocation) {
   updateMap(shops, userLocation);
 }
 
+// Format a duration in minutes as "20 min" or "3 hr 15 min"
+function formatMinutes(minutes) {
+  if (minutes < 60) {
+    return `${minutes} min`;
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours} hr ${rest} min` : `${hours} hr`;
+}
+
+// "Open now" / "Closes in 20 min" / "Closed" badge; nothing when hours are unknown
+function openStatusBadge(status) {
+  if (!status) {
+    return '';
+  }
+  if (status.isOpen) {
+    const label = status.closesInMinutes <= 60 ? `Closes in ${formatMinutes(status.closesInMinutes)}` : 'Open now';
+    return `<div class="meta-item"><span class="open-badge ${status.closesInMinutes <= 60 ? 'closing-soon' : ''}">${label}</span></div>`;
+  }
+  const label = status.opensInMinutes !== null ? `Closed · opens in ${formatMinutes(status.opensInMinutes)}` : 'Closed';
+  return `<div class="meta-item"><span class="closed-badge">${label}</span></div>`;
+}
+
+// Describe where a shop's walking time came from
+function walkingSourceLabel(shop) {
+  if (shop.walkingEstimate) {
+    return 'Estimated from straight-line distance';
+  }
+  return shop.routingProvider ? `Walking route via ${shop.routingProvider}` : '';
+}
+
+const SUB_SCORE_LABELS = {
+  tea_strength: 'Tea strength',
+  snacks: 'Snacks',
+  cleanliness: 'Cleanliness',
+  value: 'Value'
+};
+
+// Whole stars for a 1-5 rating, rounded to the nearest star
+function ratingStars(rating) {
+  const stars = Math.round(rating);
+  return `<span class="rating-stars" title="${rating} / 5">${'★'.repeat(stars)}${'☆'.repeat(5 - stars)}</span>`;
+}
+
+// Sub-scores that have a value, from a review or a shop's rating aggregate
+function subScoreList(scores) {
+  const items = Object.entries(SUB_SCORE_LABELS)
+    .filter(([key]) => scores && scores[key] !== null && scores[key] !== undefined)
+    .map(([key, label]) => `<li>${label}: ${scores[key]} / 5</li>`);
+
+  return items.length > 0 ? `<ul class="sub-scores">${items.join('')}</ul>` : '';
+}
+
 function updateMap(shops, userLocation) {
   // Clear existing markers
   markers.forEach(marker => marker.remove());
   markers = [];
 
   // Center map on user location
+  programmaticMove = true;
   map.setView([userLocation.lat, userLocation.lng], 13);
+  clearAreaMarkers();
+  document.getElementById('search-area-btn').style.display = 'none';
 
   // Add user location marker
   const userMarker = L.marker([userLocation.lat, userLocation.lng], {
@@ -352,7 +1212,7 @@ function updateMap(shops, userLocation) {
       })
     }).addTo(map);
 
-    marker.bindPopup(`<strong>${shop.name}</strong><br>${shop.walkingTime} min walk`);
+    marker.bindPopup(`<strong>${escapeHtml(shop.name)}</strong><br>${shop.walkingEstimate ? '~' : ''}${shop.walkingTime} min walk`);
 
     marker.on('click', () => {
       showShopDetail(shop.id);
@@ -362,6 +1222,74 @@ function updateMap(shops, userLocation) {
   });
 }
 
+function clearAreaMarkers() {
+  areaMarkers.forEach(marker => marker.remove());
+  areaMarkers = [];
+}
+
+// Load shops in the visible map area. Uses the viewport endpoint only, so
+// panning around never spends walking-route API calls.
+async function searchThisArea() {
+  const bounds = map.getBounds();
+  const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+    .map(value => value.toFixed(5))
+    .join(',');
+
+  document.getElementById('search-area-btn').style.display = 'none';
+
+  try {
+    const response = await authFetch(`/api/chayakkadas?bbox=${bbox}&zoom=${map.getZoom()}`);
+    if (!response.ok) {
+      throw new Error('Failed to load area');
+    }
+
+    const data = await response.json();
+    clearAreaMarkers();
+
+    // Shops already shown from the last search keep their search marker
+    const searchedIds = new Set(searchResults.map(shop => shop.id));
+
+    data.shops.filter(shop => !searchedIds.has(shop.id)).forEach(shop => {
+      const marker = L.marker([shop.latitude, shop.longitude], {
+        icon: L.divIcon({
+          className: 'chayakkada-marker',
+          html: '<div style="background: #A0522D; opacity: 0.85; border-radius: 50%; width: 26px; height: 26px; border: 2px solid white; display: flex; align-items: center; justify-content: center; font-size: 14px;">☕</div>',
+          iconSize: [26, 26]
+        })
+      }).addTo(map);
+
+      marker.bindPopup(`<strong>${escapeHtml(shop.name)}</strong>`);
+      marker.on('click', () => showShopDetail(shop.id));
+      areaMarkers.push(marker);
+    });
+
+    data.clusters.forEach(cluster => {
+      const size = Math.min(60, 30 + Math.log2(cluster.count) * 5);
+      const marker = L.marker([cluster.latitude, cluster.longitude], {
+        icon: L.divIcon({
+          className: 'cluster-marker',
+          html: `<div>${cluster.count}</div>`,
+          iconSize: [size, size]
+        })
+      }).addTo(map);
+
+      // Zoom into the cluster's extent
+      marker.on('click', () => {
+        const [minLng, minLat, maxLng, maxLat] = cluster.bbox;
+        map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [40, 40], maxZoom: 16 });
+      });
+      areaMarkers.push(marker);
+    });
+
+    if (data.truncated) {
+      alert('Showing the first 500 chayakkadas here. Zoom in to see more.');
+    }
+  } catch (error) {
+    console.error('Area search error:', error);
+    alert('Failed to load chayakkadas in this area. Please try again.');
+  }
+}
+
 function toggleView(viewType) {
   const listView = document.getElementById('list-view');
   const mapView = document.getElementById('map-view');
@@ -420,15 +1348,17 @@ async function showShopDetail(shopId) {
   modal.style.display = 'block';
 
   try {
-    const response = await fetch(`/api/chayakkada/${shopId}`);
+    const response = await authFetch(`/api/chayakkada/${shopId}`);
     if (!response.ok) throw new Error('Failed to fetch details');
 
     const shop = await response.json();
+    currentShop = shop;
 
     content.innerHTML = `
       <div class="detail-header">
-        <h2 class="detail-title">${shop.name}</h2>
-        <p class="detail-address">${shop.address || 'Address not available'}</p>
+        <h2 class="detail-title">${escapeHtml(shop.name)}</h2>
+        <p class="detail-address">${escapeHtml(shop.address || 'Address not available')}</p>
+        ${shop.source === 'manual' ? '<span class="manual-badge">📍 Pinned by the community</span>' : ''}
       </div>
 
       ${shop.google_rating ? `
@@ -438,6 +1368,17 @@ async function showShopDetail(shopId) {
         </div>
       ` : ''}
 
+      ${shop.rating && shop.rating.count > 0 ? `
+        <div class="detail-section">
+          <h3>Community Rating</h3>
+          <div class="meta-item">
+            ${ratingStars(shop.rating.mean)} <strong>${shop.rating.mean} / 5</strong>
+            from ${shop.rating.count} review${shop.rating.count === 1 ? '' : 's'}
+          </div>
+          ${subScoreList(shop.rating.subScores)}
+        </div>
+      ` : ''}
+
       ${shop.latestMetadata ? `
         <div class="detail-section">
           <h3>Chayakkada Details</h3>
@@ -445,11 +1386,51 @@ async function showShopDetail(shopId) {
           ${shop.latestMetadata.items_available ? `
             <p><strong>Items Available:</strong></p>
             <ul class="items-list">
-              ${shop.latestMetadata.items_available.split(',').map(item => `<li>${item.trim()}</li>`).join('')}
+              ${shop.latestMetadata.items_available.split(',').map(item => `<li>${escapeHtml(item.trim())}</li>`).join('')}
             </ul>
           ` : ''}
           ${shop.latestMetadata.sells_cigarettes ? '<p><span class="cigarettes-badge">🚬 Sells Cigarettes</span></p>' : ''}
-          ${shop.latestMetadata.contributed_by ? `<p style="margin-top: 15px; color: #666; font-size: 0.9em;"><em>Contributed by ${shop.latestMetadata.contributed_by} on ${new Date(shop.latestMetadata.contributed_at).toLocaleDateString()}</em></p>` : ''}
+          ${shop.latestMetadata.contributed_by ? `<p style="margin-top: 15px; color: #666; font-size: 0.9em;"><em>Contributed by ${escapeHtml(shop.latestMetadata.contributed_by)} on ${new Date(shop.latestMetadata.contributed_at).toLocaleDateString()}</em></p>` : ''}
+          ${flagLink('metadata', shop.latestMetadata)}
+        </div>
+      ` : ''}
+
+      ${shop.hours && (shop.hours.weekly.length > 0 || shop.hours.exceptions.length > 0) ? `
+        <div class="detail-section">
+          <h3>Opening Hours ${openStatusBadge(shop.hours.status)}</h3>
+          <table class="hours-table">
+            ${[1, 2, 3, 4, 5, 6, 0].map(day => {
+              const ranges = shop.hours.weekly.filter(h => h.day_of_week === day);
+              return `
+                <tr>
+                  <td>${DAY_NAMES[day]}</td>
+                  <td>${ranges.length > 0 ? ranges.map(h => `${h.opens_at.slice(0, 5)} – ${h.closes_at.slice(0, 5)}`).join(', ') : 'Closed'}</td>
+                </tr>
+              `;
+            }).join('')}
+          </table>
+          ${shop.hours.exceptions.map(e => `
+            <p class="hours-exception">
+              <strong>${new Date(`${e.date}T00:00:00`).toLocaleDateString()}:</strong>
+              ${e.is_closed ? 'Closed' : `${e.opens_at.slice(0, 5)} – ${e.closes_at.slice(0, 5)}`}
+              ${e.note ? `(${escapeHtml(e.note)})` : ''}
+            </p>
+          `).join('')}
+        </div>
+      ` : ''}
+
+      ${shop.menu && shop.menu.length > 0 ? `
+        <div class="detail-section">
+          <h3>Menu</h3>
+          <ul class="menu-list">
+            ${shop.menu.map(item => `
+              <li>
+                <span class="veg-tag ${item.is_veg === false ? 'non-veg' : 'veg'}" title="${item.is_veg === false ? 'Non-veg' : 'Veg'}"></span>
+                <span class="menu-item-name">${item.name_en}${item.name_ml ? ` <small>${item.name_ml}</small>` : ''}</span>
+                ${item.price !== null ? `<span class="menu-item-price">₹${item.price}</span>` : ''}
+              </li>
+            `).join('')}
+          </ul>
         </div>
       ` : ''}
 
@@ -472,10 +1453,21 @@ async function showShopDetail(shopId) {
             ${shop.reviews.map(review => `
               <div class="review-card">
                 <div class="review-header">
-                  <strong>${review.reviewer_name}</strong>
-                  <span class="review-date">${new Date(review.created_at).toLocaleDateString()}</span>
+                  <strong>${profileLink(review.username, review.reviewer_name)}</strong>
+                  <span class="review-date">
+                    ${new Date(review.created_at).toLocaleDateString()}
+                    ${review.edited_at ? `<span class="edited-marker" title="Edited ${new Date(review.edited_at).toLocaleString()}">(edited)</span>` : ''}
+                  </span>
                 </div>
-                <p class="review-text">${review.review_text}</p>
+                ${review.rating ? `<div class="review-rating">${ratingStars(review.rating)}</div>` : ''}
+                ${subScoreList(review)}
+                <p class="review-text">${escapeHtml(review.review_text)}</p>
+                ${currentUser && review.user_id === currentUser.id ? `
+                  <div class="review-actions">
+                    <button class="btn btn-link" onclick="showReviewForm(${shop.id}, ${review.id})">Edit</button>
+                    <button class="btn btn-link" onclick="deleteReview(${shop.id}, ${review.id})">Delete</button>
+                  </div>
+                ` : `<div class="review-actions">${helpfulButton(shop.id, review)}${flagLink('reviews', review)}</div>`}
               </div>
             `).join('')}
           </div>
@@ -489,6 +1481,15 @@ async function showShopDetail(shopId) {
         <button class="btn btn-primary" onclick="contributeToShop(${shop.id})">Add Details</button>
       </div>
 
+      ${!shop.google_place_id ? `
+        <div class="detail-section link-place">
+          <h3>On Google Maps?</h3>
+          <p>If this chayakkada now has a Google listing, link it to bring in photos and ratings.</p>
+          <input type="text" id="link-place-search" class="input" placeholder="Search Google Maps...">
+          <div id="link-place-suggestions" class="suggestions"></div>
+        </div>
+      ` : ''}
+
       ${shop.metadata && shop.metadata.length > 1 ? `
         <div class="detail-section">
           <h3>Contribution History</h3>
@@ -496,16 +1497,19 @@ async function showShopDetail(shopId) {
             ${shop.metadata.slice(1).map(m => `
               <div class="metadata-entry">
                 <div class="metadata-entry-header">
-                  ${m.contributed_by || 'Anonymous'} • ${new Date(m.contributed_at).toLocaleDateString()}
+                  ${profileLink(m.username, m.contributed_by || 'Anonymous')} • ${new Date(m.contributed_at).toLocaleDateString()}
                 </div>
                 ${m.chayakkada_rating ? `<p>Rating: ${m.chayakkada_rating}/5</p>` : ''}
-                ${m.items_available ? `<p>Items: ${m.items_available}</p>` : ''}
+                ${m.items_available ? `<p>Items: ${escapeHtml(m.items_available)}</p>` : ''}
+                ${flagLink('metadata', m)}
               </div>
             `).join('')}
           </div>
         </div>
       ` : ''}
     `;
+
+    setupLinkPlaceSearch(shop.id);
   } catch (error) {
     console.error('Detail error:', error);
     content.innerHTML = '<p>Failed to load details. Please try again.</p>';
@@ -611,7 +1615,7 @@ async function submitContribution(shopId) {
   }
 
   try {
-    const response = await fetch(`/api/chayakkada/${shopId}/metadata`, {
+    const response = await authFetch(`/api/chayakkada/${shopId}/metadata`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -622,11 +1626,14 @@ async function submitContribution(shopId) {
       })
     });
 
+    if (handleLoginRequired(response)) return;
+
     if (!response.ok) {
       throw new Error('Failed to submit contribution');
     }
 
-    alert('Thank you for contributing! Your details have been added.');
+    const result = await response.json();
+    alert(result.status === 'pending' ? result.message : 'Thank you for contributing! Your details have been added.');
     closeDetailModal();
 
     // Refresh the shop details
@@ -656,7 +1663,7 @@ function setupPlaceSearch() {
 
     debounceTimer = setTimeout(async () => {
       try {
-        const response = await fetch(`/api/places/autocomplete?input=${encodeURIComponent(query)}`);
+        const response = await authFetch(`/api/places/autocomplete?input=${encodeURIComponent(query)}`);
         const data = await response.json();
 
         if (data.predictions && data.predictions.length > 0) {
@@ -677,8 +1684,8 @@ function displaySuggestions(predictions) {
 
   suggestionsDiv.innerHTML = predictions.map(prediction => `
     <div class="suggestion-item" onclick="selectPlace('${prediction.place_id}')">
-      <strong>${prediction.structured_formatting.main_text}</strong><br>
-      <small>${prediction.structured_formatting.secondary_text}</small>
+      <strong>${escapeHtml(prediction.structured_formatting.main_text)}</strong><br>
+      <small>${escapeHtml(prediction.structured_formatting.secondary_text)}</small>
     </div>
   `).join('');
 
@@ -687,7 +1694,7 @@ function displaySuggestions(predictions) {
 
 async function selectPlace(placeId) {
   try {
-    const response = await fetch(`/api/places/details?place_id=${placeId}`);
+    const response = await authFetch(`/api/places/details?place_id=${placeId}`);
     const data = await response.json();
 
     if (data.result) {
@@ -710,8 +1717,8 @@ async function selectPlace(placeId) {
       selectedPlaceDiv.style.display = 'block';
 
       document.getElementById('place-details').innerHTML = `
-        <p><strong>${selectedPlace.name}</strong></p>
-        <p>${selectedPlace.address}</p>
+        <p><strong>${escapeHtml(selectedPlace.name)}</strong></p>
+        <p>${escapeHtml(selectedPlace.address)}</p>
         ${selectedPlace.google_rating ? `<p>⭐ ${selectedPlace.google_rating}</p>` : ''}
       `;
 
@@ -724,6 +1731,143 @@ async function selectPlace(placeId) {
   }
 }
 
+// Pin-drop mode for chayakkadas that aren't on Google Maps
+function showPinDrop() {
+  contributeMode = 'manual';
+  selectedPlace = null;
+  document.getElementById('place-search-section').style.display = 'none';
+  document.getElementById('pin-drop-section').style.display = 'block';
+  document.getElementById('metadata-section').style.display = pinMarker ? 'block' : 'none';
+
+  if (!pinMap) {
+    const center = currentLocation ? [currentLocation.latitude, currentLocation.longitude] : [10.8505, 76.2711];
+    pinMap = L.map('pin-map').setView(center, currentLocation ? 17 : 10);
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© OpenStreetMap contributors',
+      maxZoom: 19
+    }).addTo(pinMap);
+
+    pinMap.on('click', (e) => placePin(e.latlng));
+  }
+
+  // The map was created or last sized while hidden
+  setTimeout(() => pinMap.invalidateSize(), 0);
+}
+
+function showPlaceSearch() {
+  contributeMode = 'google';
+  document.getElementById('pin-drop-section').style.display = 'none';
+  document.getElementById('place-search-section').style.display = 'block';
+  document.getElementById('metadata-section').style.display = selectedPlace ? 'block' : 'none';
+}
+
+function placePin(latlng) {
+  if (pinMarker) {
+    pinMarker.setLatLng(latlng);
+  } else {
+    pinMarker = L.marker(latlng, { draggable: true }).addTo(pinMap);
+    pinMarker.on('dragend', () => suggestPinAddress(pinMarker.getLatLng()));
+  }
+
+  document.getElementById('metadata-section').style.display = 'block';
+  suggestPinAddress(latlng);
+}
+
+// Fill the address from reverse geocoding unless the contributor has typed their own
+async function suggestPinAddress(latlng) {
+  try {
+    const response = await authFetch(`/api/geocode/reverse?lat=${latlng.lat}&lng=${latlng.lng}`);
+    if (!response.ok) return;
+
+    const data = await response.json();
+    const addressInput = document.getElementById('manual-address');
+
+    if (data.formatted_address && (!addressInput.value || addressInput.value === pinAddressSuggestion)) {
+      addressInput.value = data.formatted_address;
+      pinAddressSuggestion = data.formatted_address;
+    }
+  } catch (error) {
+    console.error('Reverse geocode error:', error);
+  }
+}
+
+function resetPinDrop() {
+  if (pinMarker) {
+    pinMarker.remove();
+    pinMarker = null;
+  }
+  pinAddressSuggestion = '';
+  document.getElementById('manual-name').value = '';
+  document.getElementById('manual-address').value = '';
+  showPlaceSearch();
+}
+
+// Link a Google listing to a pin-dropped chayakkada from its detail view
+function setupLinkPlaceSearch(shopId) {
+  const searchInput = document.getElementById('link-place-search');
+  const suggestionsDiv = document.getElementById('link-place-suggestions');
+  if (!searchInput) return;
+
+  let debounceTimer;
+
+  searchInput.addEventListener('input', (e) => {
+    clearTimeout(debounceTimer);
+    const query = e.target.value.trim();
+
+    if (query.length < 3) {
+      suggestionsDiv.innerHTML = '';
+      suggestionsDiv.style.display = 'none';
+      return;
+    }
+
+    debounceTimer = setTimeout(async () => {
+      try {
+        const response = await authFetch(`/api/places/autocomplete?input=${encodeURIComponent(query)}`);
+        const data = await response.json();
+
+        if (data.predictions && data.predictions.length > 0) {
+          suggestionsDiv.innerHTML = data.predictions.map(prediction => `
+            <div class="suggestion-item" onclick="linkGooglePlace(${shopId}, '${prediction.place_id}')">
+              <strong>${escapeHtml(prediction.structured_formatting.main_text)}</strong><br>
+              <small>${escapeHtml(prediction.structured_formatting.secondary_text)}</small>
+            </div>
+          `).join('');
+          suggestionsDiv.style.display = 'block';
+        } else {
+          suggestionsDiv.innerHTML = '';
+          suggestionsDiv.style.display = 'none';
+        }
+      } catch (error) {
+        console.error('Autocomplete error:', error);
+      }
+    }, 300);
+  });
+}
+
+async function linkGooglePlace(shopId, placeId) {
+  try {
+    const response = await authFetch(`/api/chayakkada/${shopId}/link-place`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ google_place_id: placeId })
+    });
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(data.error || 'Failed to link Google place');
+      return;
+    }
+
+    showShopDetail(shopId);
+  } catch (error) {
+    console.error('Link place error:', error);
+    alert('Failed to link Google place. Please try again.');
+  }
+}
+
 // Rating stars display
 document.getElementById('chayakkada-rating')?.addEventListener('input', (e) => {
   const rating = parseFloat(e.target.value);
@@ -743,8 +1887,23 @@ document.getElementById('chayakkada-rating')?.addEventListener('input', (e) => {
 });
 
 // Submit chayakkada
-async function submitChayakkada() {
-  if (!selectedPlace) {
+async function submitChayakkada(allowDuplicate = false) {
+  let place = selectedPlace;
+
+  if (contributeMode === 'manual') {
+    const name = document.getElementById('manual-name').value.trim();
+    if (!pinMarker || !name) {
+      alert('Please drop a pin on the map and enter the chayakkada name');
+      return;
+    }
+    const position = pinMarker.getLatLng();
+    place = {
+      name,
+      latitude: position.lat,
+      longitude: position.lng,
+      address: document.getElementById('manual-address').value.trim() || null
+    };
+  } else if (!selectedPlace) {
     alert('Please select a place from Google Maps');
     return;
   }
@@ -760,24 +1919,37 @@ async function submitChayakkada() {
   }
 
   try {
-    const response = await fetch('/api/chayakkada', {
+    const response = await authFetch('/api/chayakkada', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        ...selectedPlace,
+        ...place,
         chayakkada_rating: chayakkadaRating,
         items_available: itemsAvailable,
         sells_cigarettes: sellsCigarettes,
-        contributed_by: contributorName
+        contributed_by: contributorName,
+        allow_duplicate: allowDuplicate
       })
     });
 
+    // A similar pinned shop already exists nearby: let the contributor decide
+    if (response.status === 409) {
+      const data = await response.json();
+      const nearby = data.duplicates.map(d => `- ${d.name} (${d.distanceMeters}m away)`).join('\n');
+      if (confirm(`A similar chayakkada is already listed nearby:\n${nearby}\n\nAdd this one anyway?`)) {
+        return submitChayakkada(true);
+      }
+      return;
+    }
+
+    if (handleLoginRequired(response)) return;
+
     if (!response.ok) {
       throw new Error('Failed to add chayakkada');
     }
 
     const result = await response.json();
-    alert('Chayakkada added successfully! Thank you for contributing!');
+    alert(result.status === 'pending' ? result.message : 'Chayakkada added successfully! Thank you for contributing!');
 
     // Reset form
     document.getElementById('place-search').value = '';
@@ -789,6 +1961,7 @@ async function submitChayakkada() {
     document.getElementById('contributor-name').value = '';
     document.getElementById('rating-stars').textContent = '';
     selectedPlace = null;
+    resetPinDrop();
 
     // Switch to search view
     showView('search');
@@ -799,17 +1972,38 @@ async function submitChayakkada() {
   }
 }
 
-// Show review form
-function showReviewForm(shopId) {
+// Show review form, or the edit form for one of your own reviews
+function showReviewForm(shopId, reviewId = null) {
+  const review = reviewId && currentShop ? currentShop.reviews.find(r => r.id === reviewId) : null;
   closeDetailModal();
 
   const modal = document.getElementById('detail-modal');
   const content = document.getElementById('detail-content');
 
   content.innerHTML = `
-    <h2>Write a Review</h2>
+    <h2>${review ? 'Edit Your Review' : 'Write a Review'}</h2>
     <p class="help-text">Share your experience at this chayakkada!</p>
 
+    <div class="form-group">
+      <label for="review-rating">Your Rating</label>
+      <select id="review-rating" class="input">
+        <option value="">Choose stars</option>
+        ${[5, 4, 3, 2, 1].map(n => `<option value="${n}" ${review && review.rating === n ? 'selected' : ''}>${'★'.repeat(n)} (${n})</option>`).join('')}
+      </select>
+    </div>
+
+    <div class="form-group sub-score-inputs">
+      <label>Scores (optional)</label>
+      ${Object.entries(SUB_SCORE_LABELS).map(([key, label]) => `
+        <label for="review-${key}">${label}
+          <select id="review-${key}" class="input">
+            <option value="">-</option>
+            ${[5, 4, 3, 2, 1].map(n => `<option value="${n}" ${review && review[key] === n ? 'selected' : ''}>${n}</option>`).join('')}
+          </select>
+        </label>
+      `).join('')}
+    </div>
+
     <div class="form-group">
       <label for="review-text">Your Review</label>
       <textarea
@@ -818,22 +2012,24 @@ function showReviewForm(shopId) {
         class="textarea"
         rows="5"
         maxlength="1000"
-      ></textarea>
+      >${review ? escapeHtml(review.review_text) : ''}</textarea>
       <small style="color: #666;">Maximum 1000 characters</small>
     </div>
 
-    <div class="form-group">
-      <label for="reviewer-name">Your Name (optional)</label>
-      <input
-        type="text"
-        id="reviewer-name"
-        placeholder="Anonymous"
-        class="input"
-      >
-    </div>
+    ${review ? '' : `
+      <div class="form-group">
+        <label for="reviewer-name">Your Name (optional)</label>
+        <input
+          type="text"
+          id="reviewer-name"
+          placeholder="Anonymous"
+          class="input"
+        >
+      </div>
+    `}
 
-    <button class="btn btn-primary btn-large" onclick="submitReview(${shopId})">
-      Submit Review
+    <button class="btn btn-primary btn-large" onclick="${review ? `updateReview(${shopId}, ${review.id})` : `submitReview(${shopId})`}">
+      ${review ? 'Save Changes' : 'Submit Review'}
     </button>
     <button class="btn btn-secondary btn-large" onclick="closeDetailModal()" style="margin-top: 10px;">
       Cancel
@@ -843,31 +2039,328 @@ function showReviewForm(shopId) {
   modal.style.display = 'block';
 }
 
-// Submit review
-async function submitReview(shopId) {
+// A contributor's name, linked to their profile when they have an account
+function profileLink(username, name) {
+  if (!username) {
+    return escapeHtml(name);
+  }
+  return `<a href="#" class="profile-link" onclick="showProfile('${username}'); return false;">${escapeHtml(name || username)}</a>`;
+}
+
+// "Helpful" vote on other users' reviews; the count alone for visitors
+function helpfulButton(shopId, review) {
+  const label = `👍 Helpful${review.helpful_count ? ` (${review.helpful_count})` : ''}`;
+  if (!currentUser || review.user_id === currentUser.id) {
+    return review.helpful_count ? `<span class="helpful-count">${label}</span>` : '';
+  }
+  return `
+    <button class="btn btn-link ${review.voted_helpful ? 'voted' : ''}"
+      onclick="toggleHelpful(${shopId}, ${review.id}, ${review.voted_helpful})">${label}</button>
+  `;
+}
+
+async function toggleHelpful(shopId, reviewId, voted) {
+  try {
+    const response = await authFetch(`/api/reviews/${reviewId}/helpful`, { method: voted ? 'DELETE' : 'POST' });
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to vote');
+    }
+
+    showShopDetail(shopId);
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    alert(error.message);
+  }
+}
+
+const CONTRIBUTION_TABS = { reviews: 'Reviews', shops: 'Shops Added', metadata: 'Details Added' };
+
+// Public profile with reputation and contribution history
+async function showProfile(username) {
+  const modal = document.getElementById('detail-modal');
+  const content = document.getElementById('detail-content');
+
+  content.innerHTML = '<p>Loading profile...</p>';
+  modal.style.display = 'block';
+
+  try {
+    const response = await fetch(`/api/users/${encodeURIComponent(username)}`);
+    const profile = await response.json();
+    if (!response.ok) {
+      throw new Error(profile.error || 'Failed to load profile');
+    }
+
+    const { reputation } = profile;
+    content.innerHTML = `
+      <h2>👤 ${profile.username}</h2>
+      <p class="help-text">
+        ${profile.role !== 'user' ? `<span class="role-badge">${profile.role}</span>` : ''}
+        Member since ${new Date(profile.created_at).toLocaleDateString()}
+      </p>
+
+      <div class="detail-section">
+        <h3>Reputation: ${reputation.score}</h3>
+        <div class="shop-meta">
+          <div class="meta-item"><strong>Shops added</strong> ${reputation.shops}</div>
+          <div class="meta-item"><strong>Details added</strong> ${reputation.metadata}</div>
+          <div class="meta-item"><strong>Reviews</strong> ${reputation.reviews}</div>
+          <div class="meta-item"><strong>Helpful votes</strong> ${reputation.helpfulVotes}</div>
+        </div>
+      </div>
+
+      <div class="detail-section">
+        <h3>Badges</h3>
+        ${profile.badges.length > 0 ? `
+          <div class="badge-list">
+            ${profile.badges.map(badge => `
+              <div class="badge-item" title="${badge.description}">
+                <span class="badge-icon">${badge.icon}</span>
+                <div>
+                  <strong>${badge.name}</strong>
+                  <p class="help-text">${badge.description} • ${new Date(badge.awarded_at).toLocaleDateString()}</p>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        ` : '<p class="help-text">No badges yet.</p>'}
+      </div>
+
+      <div class="detail-section">
+        <div class="profile-tabs">
+          ${Object.entries(CONTRIBUTION_TABS).map(([type, label]) => `
+            <button class="btn btn-secondary" data-type="${type}" onclick="loadProfileContributions('${profile.username}', '${type}')">${label}</button>
+          `).join('')}
+        </div>
+        <div id="profile-contributions"></div>
+      </div>
+    `;
+
+    loadProfileContributions(profile.username, 'reviews');
+  } catch (error) {
+    console.error('Profile error:', error);
+    content.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+  }
+}
+
+async function loadProfileContributions(username, type) {
+  const list = document.getElementById('profile-contributions');
+  document.querySelectorAll('.profile-tabs .btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.type === type);
+  });
+
+  try {
+    const response = await fetch(`/api/users/${encodeURIComponent(username)}/contributions?type=${type}&limit=50`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load contributions');
+    }
+
+    if (data.items.length === 0) {
+      list.innerHTML = '<p class="help-text">Nothing here yet.</p>';
+      return;
+    }
+
+    list.innerHTML = data.items.map(item => {
+      if (type === 'shops') {
+        return `
+          <div class="contribution-item">
+            <a href="#" onclick="showShopDetail(${item.id}); return false;"><strong>${escapeHtml(item.name)}</strong></a>
+            <p class="help-text">${escapeHtml(item.district || item.address)} • ${new Date(item.created_at).toLocaleDateString()}</p>
+          </div>
+        `;
+      }
+      if (type === 'metadata') {
+        return `
+          <div class="contribution-item">
+            <a href="#" onclick="showShopDetail(${item.chayakkada_id}); return false;"><strong>${escapeHtml(item.chayakkada_name)}</strong></a>
+            <p class="help-text">${new Date(item.contributed_at).toLocaleDateString()}</p>
+            ${item.chayakkada_rating ? `<p>Rating: ${item.chayakkada_rating}/5</p>` : ''}
+            ${item.items_available ? `<p>Items: ${escapeHtml(item.items_available)}</p>` : ''}
+          </div>
+        `;
+      }
+      return `
+        <div class="contribution-item">
+          <a href="#" onclick="showShopDetail(${item.chayakkada_id}); return false;"><strong>${escapeHtml(item.chayakkada_name)}</strong></a>
+          ${item.rating ? ratingStars(item.rating) : ''}
+          <p class="help-text">
+            ${new Date(item.created_at).toLocaleDateString()}${item.helpful_count ? ` • 👍 ${item.helpful_count}` : ''}
+          </p>
+          <p class="review-text">${escapeHtml(item.review_text)}</p>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Contributions error:', error);
+    list.innerHTML = '<p class="help-text">Failed to load contributions.</p>';
+  }
+}
+
+// Leaderboard: all-time, or for one district
+async function showLeaderboard(district = '') {
+  const modal = document.getElementById('detail-modal');
+  const content = document.getElementById('detail-content');
+
+  content.innerHTML = '<p>Loading leaderboard...</p>';
+  modal.style.display = 'block';
+
+  try {
+    const query = district ? `?district=${encodeURIComponent(district)}` : '';
+    const [leaderboardResponse, badgesResponse] = await Promise.all([
+      fetch(`/api/leaderboard${query}`),
+      fetch('/api/badges')
+    ]);
+    const data = await leaderboardResponse.json();
+    if (!leaderboardResponse.ok) {
+      throw new Error(data.error || 'Failed to load leaderboard');
+    }
+    const badgeData = badgesResponse.ok ? await badgesResponse.json() : { badges: [] };
+
+    content.innerHTML = `
+      <h2>🏆 Top Contributors</h2>
+      <div class="form-group">
+        <select class="input" onchange="showLeaderboard(this.value)">
+          <option value="">All of Kerala (all-time)</option>
+          ${data.districts.map(name => `
+            <option value="${name}" ${name === data.district ? 'selected' : ''}>${name}</option>
+          `).join('')}
+        </select>
+      </div>
+
+      ${data.leaders.length > 0 ? `
+        <ol class="leaderboard">
+          ${data.leaders.map(leader => `
+            <li>
+              ${profileLink(leader.username)}
+              <span class="help-text">${leader.score} points${leader.badge_count ? ` • ${leader.badge_count} badge${leader.badge_count === 1 ? '' : 's'}` : ''}</span>
+            </li>
+          `).join('')}
+        </ol>
+      ` : '<p class="help-text">No contributions here yet.</p>'}
+
+      <div class="detail-section">
+        <h3>Badges to earn</h3>
+        <div class="badge-list">
+          ${badgeData.badges.map(badge => `
+            <div class="badge-item">
+              <span class="badge-icon">${badge.icon}</span>
+              <div>
+                <strong>${badge.name}</strong>
+                <p class="help-text">${badge.description} • held by ${badge.holders}</p>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Leaderboard error:', error);
+    content.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// "Report" link on other users' reviews and metadata (type is reviews or metadata)
+function flagLink(type, item) {
+  if (!currentUser || item.user_id === currentUser.id) {
+    return '';
+  }
+  return `
+    <span class="flag-container" id="flag-${type}-${item.id}">
+      <button class="btn btn-link" onclick="showFlagForm('${type}', ${item.id})">Report</button>
+    </span>
+  `;
+}
+
+function showFlagForm(type, id) {
+  document.getElementById(`flag-${type}-${id}`).innerHTML = `
+    <select id="flag-reason-${type}-${id}" class="input">
+      <option value="spam">Spam</option>
+      <option value="abusive">Abusive</option>
+      <option value="fake">Fake</option>
+      <option value="other">Other</option>
+    </select>
+    <input type="text" id="flag-note-${type}-${id}" class="input" placeholder="Details (optional)" maxlength="500">
+    <button class="btn btn-secondary" onclick="submitFlag('${type}', ${id})">Send Report</button>
+  `;
+}
+
+async function submitFlag(type, id) {
+  const reason = document.getElementById(`flag-reason-${type}-${id}`).value;
+  const note = document.getElementById(`flag-note-${type}-${id}`).value.trim();
+
+  try {
+    const response = await authFetch(`/api/${type}/${id}/flag`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason, ...(note && { note }) })
+    });
+
+    if (handleLoginRequired(response)) return;
+
+    const data = await response.json();
+    if (!response.ok && response.status !== 409) {
+      throw new Error(data.error || 'Failed to report');
+    }
+
+    document.getElementById(`flag-${type}-${id}`).innerHTML =
+      `<span class="flag-sent">${response.ok ? 'Reported. Thank you!' : escapeHtml(data.error)}</span>`;
+  } catch (error) {
+    console.error('Flag error:', error);
+    alert('Failed to send report. Please try again.');
+  }
+}
+
+// Rating, sub-scores and text from the review form, or null (after telling
+// the user) when something required is missing. Blank sub-scores are null.
+function readReviewForm() {
   const reviewText = document.getElementById('review-text').value.trim();
-  const reviewerName = document.getElementById('reviewer-name').value.trim() || 'Anonymous';
+  const rating = parseInt(document.getElementById('review-rating').value) || null;
+
+  if (!rating) {
+    alert('Please choose a star rating!');
+    return null;
+  }
 
   if (!reviewText) {
     alert('Please write a review!');
-    return;
+    return null;
+  }
+
+  const review = { review_text: reviewText, rating };
+  for (const key of Object.keys(SUB_SCORE_LABELS)) {
+    review[key] = parseInt(document.getElementById(`review-${key}`).value) || null;
   }
+  return review;
+}
+
+// Submit review
+async function submitReview(shopId) {
+  const review = readReviewForm();
+  if (!review) return;
+
+  const reviewerName = document.getElementById('reviewer-name').value.trim() || 'Anonymous';
 
   try {
-    const response = await fetch(`/api/chayakkada/${shopId}/review`, {
+    const response = await authFetch(`/api/chayakkada/${shopId}/review`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        review_text: reviewText,
+        ...review,
         reviewer_name: reviewerName
       })
     });
 
+    if (handleLoginRequired(response)) return;
+
     if (!response.ok) {
       throw new Error('Failed to submit review');
     }
 
-    alert('Thank you for your review!');
+    const result = await response.json();
+    alert(result.review.status === 'pending' ? result.message : 'Thank you for your review!');
     closeDetailModal();
 
     // Refresh the shop details to show new review
@@ -878,6 +2371,51 @@ async function submitReview(shopId) {
   }
 }
 
+// Save changes to one of your own reviews
+async function updateReview(shopId, reviewId) {
+  const review = readReviewForm();
+  if (!review) return;
+
+  try {
+    const response = await authFetch(`/api/reviews/${reviewId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(review)
+    });
+
+    if (handleLoginRequired(response)) return;
+
+    if (!response.ok) {
+      throw new Error('Failed to update review');
+    }
+
+    closeDetailModal();
+    showShopDetail(shopId);
+  } catch (error) {
+    console.error('Review update error:', error);
+    alert('Failed to update review. Please try again.');
+  }
+}
+
+async function deleteReview(shopId, reviewId) {
+  if (!confirm('Delete your review?')) return;
+
+  try {
+    const response = await authFetch(`/api/reviews/${reviewId}`, { method: 'DELETE' });
+
+    if (handleLoginRequired(response)) return;
+
+    if (!response.ok) {
+      throw new Error('Failed to delete review');
+    }
+
+    showShopDetail(shopId);
+  } catch (error) {
+    console.error('Review delete error:', error);
+    alert('Failed to delete review. Please try again.');
+  }
+}
+
 // Location search autocomplete for main search input
 function setupLocationSearch() {
   const locationInput = document.getElementById('location-input');
@@ -902,7 +2440,7 @@ function setupLocationSearch() {
 
     debounceTimer = setTimeout(async () => {
       try {
-        const response = await fetch(`/api/places/autocomplete?input=${encodeURIComponent(query)}`);
+        const response = await authFetch(`/api/places/autocomplete?input=${encodeURIComponent(query)}`);
         const data = await response.json();
 
         if (data.predictions && data.predictions.length > 0) {
@@ -922,9 +2460,9 @@ function displayLocationSuggestions(predictions) {
   const suggestionsDiv = document.getElementById('location-suggestions');
 
   suggestionsDiv.innerHTML = predictions.map(prediction => `
-    <div class="suggestion-item" onclick="selectLocation('${prediction.description.replace(/'/g, "\\'")}')">
-      <strong>${prediction.structured_formatting.main_text}</strong><br>
-      <small>${prediction.structured_formatting.secondary_text}</small>
+    <div class="suggestion-item" onclick="selectLocation('${escapeHtml(prediction.description.replace(/'/g, "\\'"))}')">
+      <strong>${escapeHtml(prediction.structured_formatting.main_text)}</strong><br>
+      <small>${escapeHtml(prediction.structured_formatting.secondary_text)}</small>
     </div>
   `).join('');
 
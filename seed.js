@@ -1,6 +1,9 @@
 const { Pool } = require('pg');
 require('dotenv').config();
 
+const menu = require('./services/menu');
+const { detectDistrict } = require('./services/districts');
+
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
@@ -88,9 +91,9 @@ async function seedDatabase() {
       // Insert chayakkada
       const result = await client.query(`
         INSERT INTO chayakkadas
-          (google_place_id, name, location, address, google_rating, google_photo_references)
+          (google_place_id, name, location, address, district, google_rating, google_photo_references)
         VALUES
-          ($1, $2, ST_MakePoint($3, $4)::geography, $5, $6, $7)
+          ($1, $2, ST_MakePoint($3, $4)::geography, $5, $6, $7, $8)
         ON CONFLICT (google_place_id) DO NOTHING
         RETURNING id
       `, [
@@ -99,6 +102,7 @@ async function seedDatabase() {
         shop.longitude,
         shop.latitude,
         shop.address,
+        detectDistrict(shop.address),
         shop.google_rating,
         JSON.stringify([])
       ]);
@@ -119,6 +123,8 @@ async function seedDatabase() {
           'Seed Data'
         ]);
 
+        await menu.recordItemsAvailable(client, chayakkadaId, shop.items_available, 'Seed Data');
+
         console.log(`✓ Added: ${shop.name}`);
       } else {
         console.log(`- Skipped (already exists): ${shop.name}`);
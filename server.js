@@ -1,31 +1,99 @@
 const express = require('express');
-const { Pool } = require('pg');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const axios = require('axios');
-const bcrypt = require('bcryptjs');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
 
 const logger = require('./logger');
-const { generateToken, verifyToken, optionalAuth } = require('./middleware/auth');
+const { loadRoutingConfig, createRoutingService, createRoutingCache } = require('./services/routing');
+const menu = require('./services/menu');
+const openingHours = require('./services/openingHours');
+const { DISTRICTS, detectDistrict, normalizeDistrict } = require('./services/districts');
+const dataExport = require('./services/export');
+const shopService = require('./services/shops');
+const duplicates = require('./services/duplicates');
+const { haversineMeters } = require('./services/geo');
+const moderation = require('./services/moderation');
+const ratings = require('./services/ratings');
+const reviewService = require('./services/reviews');
+const sessions = require('./services/sessions');
+const passwords = require('./services/passwords');
+const loginThrottle = require('./services/loginThrottle');
+const twoFactor = require('./services/twoFactor');
+const settings = require('./services/settings');
+const profiles = require('./services/profiles');
+const reputation = require('./services/reputation');
+const badges = require('./services/badges');
+const accounts = require('./services/accounts');
+const { createMailer } = require('./services/mail');
+const { createOidcProviders, randomToken, createPkcePair } = require('./services/oidc');
+const identities = require('./services/identities');
+const {
+  ROLES,
+  generateToken,
+  generateLoginChallenge,
+  setOidcFlowCookie,
+  takeOidcFlow,
+  verifyLoginChallenge,
+  setAuthCookies,
+  clearAuthCookies,
+  verifyToken,
+  optionalAuth,
+  requireContributor,
+  contributionStatus,
+  twoFactorRequiredFor,
+  requireRole,
+  requireModerator
+} = require('./middleware/auth');
 const {
   validateRegistration,
   validateLogin,
   validateReview,
+  validateReviewEdit,
+  validateReviewId,
   validateMetadata,
   validateAddChayakkada,
-  validateSearch
+  validateSearch,
+  validateMenuContribution,
+  validateChayakkadaId,
+  validateOpeningHours,
+  validateHoursException,
+  validateBbox,
+  validateExport,
+  validateDuplicateSearch,
+  validateMerge,
+  validateLinkPlace,
+  validateReverseGeocode,
+  validateModeration,
+  validateFlag,
+  validateFlagResolution,
+  validateAdminAction,
+  validateSessionId,
+  validatePasswordChange,
+  validateEmailChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateLoginTwoFactor,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateRequireTwoFactor,
+  validateProfile,
+  validateProfileContributions,
+  validateLeaderboard,
+  validateAccountDeletion,
+  validateIdentityId
 } = require('./middleware/validators');
 const {
   apiLimiter,
   authLimiter,
   contributionLimiter,
   searchLimiter,
+  mapLimiter,
+  passwordResetLimiter,
   helmetConfig,
-  sanitizeData,
   preventHpp
 } = require('./middleware/security');
 
@@ -47,7 +115,6 @@ if (process.env.NODE_ENV === 'production') {
 // Security middleware (MUST be first)
 app.use(helmetConfig);
 app.use(preventHpp);
-app.use(sanitizeData);
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -84,11 +151,22 @@ app.get('/', (req, res) => {
 });
 
 // PostgreSQL connection pool
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+const pool = require('./db');
+
+// Walking-route providers used by /api/search (Google, OSRM, GraphHopper, haversine),
+// fronted by a Postgres cache keyed by origin grid cell and shop
+const routingConfig = loadRoutingConfig();
+const routingCache = routingConfig.cache.enabled ? createRoutingCache(pool, routingConfig.cache) : null;
+const routing = createRoutingService(routingConfig, { cache: routingCache });
+
+// Outgoing email (password resets): console, file or SMTP transport
+const mailer = createMailer();
 
+// Sign-in with OpenID Connect providers (OIDC_PROVIDERS), by provider id
+const oidcProviders = createOidcProviders();
+
+// Public address of the site, used in links sent by email and OpenID Connect redirects
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
 
 // Initialize database schema
 async function initDatabase() {
@@ -101,10 +179,12 @@ async function initDatabase() {
     await client.query(`
       CREATE TABLE IF NOT EXISTS chayakkadas (
         id SERIAL PRIMARY KEY,
-        google_place_id TEXT UNIQUE NOT NULL,
+        google_place_id TEXT UNIQUE,
+        source TEXT NOT NULL DEFAULT 'google' CHECK (source IN ('google', 'manual')),
         name TEXT NOT NULL,
         location GEOGRAPHY(POINT, 4326) NOT NULL,
         address TEXT,
+        district TEXT,
         google_rating REAL,
         google_photo_references JSONB DEFAULT '[]',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -117,6 +197,71 @@ async function initDatabase() {
       ON chayakkadas USING GIST(location)
     `);
 
+    // Add district column (Kerala district parsed from the address) to existing databases
+    await client.query('ALTER TABLE chayakkadas ADD COLUMN IF NOT EXISTS district TEXT');
+
+    // Allow pin-dropped shops with no Google listing on existing databases
+    await client.query('ALTER TABLE chayakkadas ALTER COLUMN google_place_id DROP NOT NULL');
+    await client.query(`
+      ALTER TABLE chayakkadas
+      ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'google' CHECK (source IN ('google', 'manual'))
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS chayakkadas_district_idx
+      ON chayakkadas(LOWER(district))
+    `);
+
+    // Backfill districts for shops added before the column existed
+    const undistricted = await client.query(`
+      SELECT id, address FROM chayakkadas
+      WHERE district IS NULL AND address IS NOT NULL
+    `);
+    for (const shop of undistricted.rows) {
+      const district = detectDistrict(shop.address);
+      if (district) {
+        await client.query('UPDATE chayakkadas SET district = $1 WHERE id = $2', [district, shop.id]);
+      }
+    }
+
+    // Create walking time cache (origin geohash cell x chayakkada)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS walking_time_cache (
+        origin_cell TEXT NOT NULL,
+        chayakkada_id INTEGER NOT NULL,
+        distance_meters REAL NOT NULL,
+        duration_seconds REAL NOT NULL,
+        provider TEXT NOT NULL,
+        cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (origin_cell, chayakkada_id),
+        FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS walking_time_cache_chayakkada_idx
+      ON walking_time_cache(chayakkada_id)
+    `);
+
+    // Invalidate cached walking times whenever a shop moves
+    await client.query(`
+      CREATE OR REPLACE FUNCTION invalidate_walking_time_cache() RETURNS trigger AS $$
+      BEGIN
+        DELETE FROM walking_time_cache WHERE chayakkada_id = NEW.id;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+
+    await client.query('DROP TRIGGER IF EXISTS chayakkadas_location_changed ON chayakkadas');
+    await client.query(`
+      CREATE TRIGGER chayakkadas_location_changed
+      AFTER UPDATE OF location ON chayakkadas
+      FOR EACH ROW
+      WHEN (NOT ST_Equals(OLD.location::geometry, NEW.location::geometry))
+      EXECUTE FUNCTION invalidate_walking_time_cache()
+    `);
+
     // Create metadata table
     await client.query(`
       CREATE TABLE IF NOT EXISTS chayakkada_metadata (
@@ -131,6 +276,109 @@ async function initDatabase() {
       )
     `);
 
+    // Create menu catalogue (canonical snacks and drinks, synced from services/menu.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS menu_items (
+        id SERIAL PRIMARY KEY,
+        slug TEXT UNIQUE NOT NULL,
+        name_en TEXT NOT NULL,
+        name_ml TEXT,
+        category TEXT NOT NULL,
+        is_veg BOOLEAN
+      )
+    `);
+
+    // Create menu synonyms (normalised names, Malayalam included)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS menu_item_synonyms (
+        synonym TEXT PRIMARY KEY,
+        menu_item_id INTEGER NOT NULL,
+        FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create per-shop menu entries
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chayakkada_menu (
+        id SERIAL PRIMARY KEY,
+        chayakkada_id INTEGER NOT NULL,
+        menu_item_id INTEGER NOT NULL,
+        price NUMERIC(8, 2),
+        is_veg BOOLEAN,
+        contributed_by TEXT,
+        contributed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (chayakkada_id, menu_item_id),
+        FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE,
+        FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS chayakkada_menu_item_idx
+      ON chayakkada_menu(menu_item_id)
+    `);
+
+    await menu.syncCatalogue(client);
+
+    // Create weekly opening hours (Asia/Kolkata wall-clock times; several ranges
+    // per day allowed, closes_at <= opens_at means the range runs past midnight)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chayakkada_hours (
+        id SERIAL PRIMARY KEY,
+        chayakkada_id INTEGER NOT NULL,
+        day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+        opens_at TIME NOT NULL,
+        closes_at TIME NOT NULL,
+        contributed_by TEXT,
+        contributed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS chayakkada_hours_chayakkada_idx
+      ON chayakkada_hours(chayakkada_id)
+    `);
+
+    // Create opening hours exceptions (holidays, special hours) replacing the weekly hours for a date
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chayakkada_hours_exceptions (
+        id SERIAL PRIMARY KEY,
+        chayakkada_id INTEGER NOT NULL,
+        date DATE NOT NULL,
+        is_closed BOOLEAN NOT NULL DEFAULT true,
+        opens_at TIME,
+        closes_at TIME,
+        note TEXT,
+        contributed_by TEXT,
+        contributed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (chayakkada_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS chayakkada_hours_exceptions_chayakkada_idx
+      ON chayakkada_hours_exceptions(chayakkada_id, date)
+    `);
+
+    // Create redirects left behind when a duplicate shop is merged into another,
+    // so old links and re-adds of the merged Google listing reach the survivor
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chayakkada_redirects (
+        old_id INTEGER PRIMARY KEY,
+        new_id INTEGER NOT NULL,
+        google_place_id TEXT UNIQUE,
+        merged_by INTEGER,
+        merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (new_id) REFERENCES chayakkadas(id) ON DELETE CASCADE
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS chayakkada_redirects_new_idx
+      ON chayakkada_redirects(new_id)
+    `);
+
     // Create reviews table
     await client.query(`
       CREATE TABLE IF NOT EXISTS reviews (
@@ -150,6 +398,35 @@ async function initDatabase() {
       ON reviews(chayakkada_id)
     `);
 
+    // Star rating (1-5) and optional sub-scores on each review. Reviews from
+    // before ratings existed keep NULL and don't count towards the aggregate.
+    for (const column of ['rating', ...ratings.SUB_SCORES]) {
+      await client.query(`
+        ALTER TABLE reviews
+        ADD COLUMN IF NOT EXISTS ${column} SMALLINT CHECK (${column} BETWEEN 1 AND 5)
+      `);
+    }
+
+    // Per-shop rating aggregate, kept up to date by services/ratings.js
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS chayakkada_rating_aggregates (
+        chayakkada_id INTEGER PRIMARY KEY REFERENCES chayakkadas(id) ON DELETE CASCADE,
+        review_count INTEGER NOT NULL DEFAULT 0,
+        rating_mean REAL,
+        bayesian_rating REAL,
+        tea_strength_mean REAL,
+        snacks_mean REAL,
+        cleanliness_mean REAL,
+        value_mean REAL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS chayakkada_rating_aggregates_bayesian_idx
+      ON chayakkada_rating_aggregates(bayesian_rating DESC NULLS LAST)
+    `);
+
     // Create users table for authentication
     await client.query(`
       CREATE TABLE IF NOT EXISTS users (
@@ -167,6 +444,276 @@ async function initDatabase() {
       ON users(username)
     `);
 
+    // Roles (user, moderator, admin) and bans
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user'
+      CHECK (role IN ('user', 'moderator', 'admin'))
+    `);
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMP');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_reason TEXT');
+
+    // Two-factor authentication: the TOTP secret is stored encrypted, and the
+    // last accepted time step stops a code from being used twice
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret_encrypted TEXT');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT');
+
+    // Single-use recovery codes (hashed) for users who lose their authenticator
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        used_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS user_recovery_codes_user_idx
+      ON user_recovery_codes(user_id)
+    `);
+
+    // Site settings admins change at runtime (see services/settings.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        key TEXT PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Failed logins per username (lowercased), including usernames that don't exist
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_failures (
+        username TEXT PRIMARY KEY,
+        failure_count INTEGER NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP NOT NULL,
+        last_ip TEXT,
+        locked_until TIMESTAMP
+      )
+    `);
+
+    // Email is optional and only used for password resets
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP');
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS users_email_idx
+      ON users(LOWER(email))
+    `);
+
+    // Accounts the user asked to delete, and what to do with their contributions
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_due_at TIMESTAMP');
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_mode TEXT
+      CHECK (deletion_mode IN ('anonymize', 'delete'))
+    `);
+
+    // Menu entries and opening hours belong to the logged-in user who wrote
+    // them. contributed_by is only a display name, which anonymous visitors
+    // could type too, so export and deletion match on user_id.
+    for (const table of ['chayakkada_menu', 'chayakkada_hours', 'chayakkada_hours_exceptions']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL`);
+    }
+
+    // Accounts at OpenID Connect providers linked to users. Users who signed
+    // up that way have no password (password_set false) until they set one.
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS password_set BOOLEAN NOT NULL DEFAULT true');
+
+    // Passwords used to be stored with "." and "$" replaced by "_". The column
+    // is added as true so rows from before then are marked, and new ones aren't.
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS password_legacy BOOLEAN NOT NULL DEFAULT true');
+    await client.query('ALTER TABLE users ALTER COLUMN password_legacy SET DEFAULT false');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        email TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP,
+        UNIQUE (provider, subject),
+        UNIQUE (user_id, provider)
+      )
+    `);
+
+    // Single-use password reset tokens (hashed), replaced by each new request
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        requested_ip TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx
+      ON password_reset_tokens(user_id)
+    `);
+
+    // Login sessions. Only hashes of refresh tokens are stored; the previous
+    // hash is kept to spot a refresh token being used twice.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        previous_token_hash TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS sessions_user_idx
+      ON sessions(user_id)
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS sessions_previous_token_idx
+      ON sessions(previous_token_hash)
+    `);
+
+    // When the user behind a session last signed in again with their OpenID
+    // Connect provider, which users without a password need for account changes
+    await client.query('ALTER TABLE sessions ADD COLUMN IF NOT EXISTS reauthenticated_at TIMESTAMP');
+
+    // Attribute contributions to user accounts. Anonymous contributions (when
+    // ANONYMOUS_CONTRIBUTIONS=moderated) are 'pending' until a moderator acts.
+    await client.query('ALTER TABLE chayakkadas ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE chayakkada_metadata ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+
+    for (const table of ['chayakkadas', 'chayakkada_metadata', 'reviews']) {
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'approved'
+        CHECK (status IN ('pending', 'approved', 'rejected'))
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS ${table}_pending_idx
+        ON ${table}(id) WHERE status = 'pending'
+      `);
+    }
+
+    // Authors can edit and soft-delete their reviews; earlier versions are
+    // kept in review_edits for moderators
+    await client.query('ALTER TABLE reviews ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP');
+    await client.query('ALTER TABLE reviews ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS review_edits (
+        id SERIAL PRIMARY KEY,
+        review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+        review_text TEXT NOT NULL,
+        rating SMALLINT,
+        tea_strength SMALLINT,
+        snacks SMALLINT,
+        cleanliness SMALLINT,
+        value SMALLINT,
+        edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        edited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS review_edits_review_idx
+      ON review_edits(review_id)
+    `);
+
+    // "Helpful" votes on reviews, one per user, counted towards the author's reputation
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS review_votes (
+        review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (review_id, user_id)
+      )
+    `);
+
+    // Profile pages list contributions by user
+    await client.query('CREATE INDEX IF NOT EXISTS chayakkadas_created_by_idx ON chayakkadas(created_by)');
+    await client.query('CREATE INDEX IF NOT EXISTS chayakkada_metadata_user_idx ON chayakkada_metadata(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS reviews_user_idx ON reviews(user_id)');
+
+    // Badges users have earned. Badge ids refer to the rules in services/badges.js,
+    // so new badges need no schema change.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_badges (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        badge_id TEXT NOT NULL,
+        awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, badge_id)
+      )
+    `);
+
+    // Flagged reviews and metadata can be hidden until a moderator acts
+    for (const table of ['chayakkada_metadata', 'reviews']) {
+      await client.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_status_check`);
+      await client.query(`
+        ALTER TABLE ${table}
+        ADD CONSTRAINT ${table}_status_check
+        CHECK (status IN ('pending', 'approved', 'rejected', 'hidden'))
+      `);
+    }
+
+    // One open flag per user per item; resolved flags are kept for the record
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS content_flags (
+        id SERIAL PRIMARY KEY,
+        content_type TEXT NOT NULL CHECK (content_type IN ('reviews', 'metadata')),
+        content_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        reason TEXT NOT NULL CHECK (reason IN ('spam', 'abusive', 'fake', 'other')),
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS content_flags_open_idx
+      ON content_flags(content_type, content_id, user_id) WHERE resolved_at IS NULL
+    `);
+
+    // Every moderation decision, with the moderator (NULL for automatic hiding) and note
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS moderation_actions (
+        id SERIAL PRIMARY KEY,
+        content_type TEXT NOT NULL,
+        content_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        moderator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS moderation_actions_content_idx
+      ON moderation_actions(content_type, content_id)
+    `);
+
+    // Recompute every shop's rating aggregate: the Bayesian averages depend on
+    // the overall mean, so all of them change with it, not just missing ones
+    await ratings.refreshRatings(client);
+
+    // Award badges earned since the last run (or defined since)
+    await badges.evaluateBadges(client);
+
     logger.info('Database schema initialized successfully');
   } catch (err) {
     logger.error('Error initializing database:', err);
@@ -184,10 +731,19 @@ initDatabase();
 // AUTHENTICATION ROUTES
 // ============================================
 
+// Open a session for a user who has just proved who they are and set the login cookies
+async function startSession(req, res, user) {
+  const { session, refreshToken } = await sessions.createSession(pool, user.id, {
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip
+  });
+  setAuthCookies(res, generateToken(user, session.id), refreshToken);
+}
+
 // Register new user
 app.post('/api/auth/register', authLimiter, validateRegistration, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, email } = req.body;
 
     logger.info('Registration attempt', { username });
 
@@ -199,28 +755,31 @@ app.post('/api/auth/register', authLimiter, validateRegistration, async (req, re
       return res.status(400).json({ error: 'Username already taken' });
     }
 
+    // An email another account uses is left off rather than refused, so the
+    // response doesn't reveal which addresses have accounts. It can be set
+    // under Account later.
+    let accountEmail = email || null;
+    if (email) {
+      const emailTaken = await pool.query('SELECT id FROM users WHERE LOWER(email) = $1', [email]);
+      if (emailTaken.rows.length > 0) {
+        logger.warn('Registration email already in use, registering without it', { username });
+        accountEmail = null;
+      }
+    }
+
     // Hash password
-    const passwordHash = await bcrypt.hash(password, 12);
+    const passwordHash = await passwords.hashPassword(password);
 
     // Create user
     const result = await pool.query(`
-      INSERT INTO users (username, password_hash)
-      VALUES ($1, $2)
-      RETURNING id, username, created_at
-    `, [username, passwordHash]);
+      INSERT INTO users (username, password_hash, email)
+      VALUES ($1, $2, $3)
+      RETURNING id, username, role, created_at
+    `, [username, passwordHash, accountEmail]);
 
     const user = result.rows[0];
 
-    // Generate JWT token
-    const token = generateToken(user);
-
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    await startSession(req, res, user);
 
     logger.info('User registered successfully', { username, userId: user.id });
 
@@ -228,9 +787,9 @@ app.post('/api/auth/register', authLimiter, validateRegistration, async (req, re
       message: 'Registration successful',
       user: {
         id: user.id,
-        username: user.username
-      },
-      token
+        username: user.username,
+        role: user.role
+      }
     });
   } catch (err) {
     logger.error('Registration error:', err);
@@ -238,371 +797,2128 @@ app.post('/api/auth/register', authLimiter, validateRegistration, async (req, re
   }
 });
 
-// Login user
+// Same answer for every throttled username, real or not
+function sendLoginThrottled(res, seconds) {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Please try again in ${loginThrottle.describeWait(seconds)}.`,
+    retryAfter: seconds
+  });
+}
+
+// Count a failed password or code for a username and answer 401, or 429 once
+// the username is locked out (recording the lockout when the account exists)
+async function sendLoginFailed(req, res, username, user) {
+  const failure = await loginThrottle.recordFailure(pool, username, req.ip);
+  if (!failure.locked) {
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  logger.warn('Login locked out after repeated failures', {
+    username,
+    ip: req.ip,
+    failures: failure.failureCount,
+    lockedForSeconds: failure.retryAfter
+  });
+  if (user) {
+    await moderation.recordAction(pool, 'users', user.id, 'lockout', null,
+      `${failure.failureCount} failed logins, last from ${req.ip}`);
+  }
+  return sendLoginThrottled(res, failure.retryAfter);
+}
+
+// Record a login and open its session
+async function logIn(req, res, user) {
+  await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+
+  await startSession(req, res, user);
+
+  logger.info('User logged in successfully', { username: user.username, userId: user.id });
+}
+
+// Last step of a login: open the session and answer with the user
+async function completeLogin(req, res, user, extra = {}) {
+  await logIn(req, res, user);
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role
+    },
+    ...extra
+  });
+}
+
+// Login user. Accounts with two-factor authentication get a challenge to
+// finish with POST /api/auth/login/2fa instead of a session.
 app.post('/api/auth/login', authLimiter, validateLogin, async (req, res) => {
   try {
     const { username, password } = req.body;
 
     logger.info('Login attempt', { username });
 
+    // Usernames with recent failures must wait before trying again
+    const wait = await loginThrottle.retryAfter(pool, username);
+    if (wait > 0) {
+      logger.warn('Login refused: username throttled', { username, ip: req.ip, retryAfter: wait });
+      return sendLoginThrottled(res, wait);
+    }
+
     // Get user
     const result = await pool.query(`
-      SELECT id, username, password_hash FROM users WHERE username = $1
+      SELECT id, username, password_hash, password_legacy, role, banned_at, totp_enabled_at, deletion_due_at
+      FROM users WHERE username = $1
     `, [username]);
 
-    if (result.rows.length === 0) {
-      logger.warn('Login failed: user not found', { username });
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
     const user = result.rows[0];
 
-    // Verify password
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    // Verify password (unknown usernames take just as long and fail the same way)
+    const validPassword = await passwords.verifyPassword(password, user?.password_hash, {
+      db: pool, userId: user?.id, legacy: user?.password_legacy
+    });
 
     if (!validPassword) {
-      logger.warn('Login failed: invalid password', { username });
-      return res.status(401).json({ error: 'Invalid credentials' });
+      logger.warn(user ? 'Login failed: invalid password' : 'Login failed: user not found', { username });
+      return sendLoginFailed(req, res, username, user);
     }
 
-    // Update last login
-    await pool.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+    await loginThrottle.clearFailures(pool, username);
 
-    // Generate JWT token
-    const token = generateToken(user);
+    if (user.banned_at) {
+      logger.warn('Login refused: user is banned', { username });
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
 
-    // Set cookie
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
+    if (user.deletion_due_at) {
+      logger.info('Login refused: account scheduled for deletion', { username });
+      return res.status(403).json({
+        error: 'This account is scheduled for deletion',
+        code: 'account_pending_deletion',
+        deletionDueAt: user.deletion_due_at
+      });
+    }
 
-    logger.info('User logged in successfully', { username, userId: user.id });
+    if (user.totp_enabled_at) {
+      logger.info('Login password accepted, waiting for second factor', { username, userId: user.id });
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challenge: generateLoginChallenge(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        username: user.username
-      },
-      token
-    });
+    await completeLogin(req, res, user);
   } catch (err) {
     logger.error('Login error:', err);
     res.status(500).json({ error: 'Login failed', details: err.message });
   }
 });
 
-// Logout user
-app.post('/api/auth/logout', (req, res) => {
-  res.clearCookie('token');
-  logger.info('User logged out');
-  res.json({ message: 'Logged out successfully' });
-});
-
-// Get current user
-app.get('/api/auth/me', verifyToken, async (req, res) => {
+// Second login step for accounts with two-factor authentication:
+// { challenge, code } or { challenge, recoveryCode }
+app.post('/api/auth/login/2fa', authLimiter, validateLoginTwoFactor, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const result = await pool.query(`
-      SELECT id, username, created_at, last_login
-      FROM users
-      WHERE id = $1
-    `, [req.user.id]);
+    const { challenge, code, recoveryCode } = req.body;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    const userId = verifyLoginChallenge(challenge);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login has expired, please login again' });
     }
 
-    res.json({ user: result.rows[0] });
+    const result = await client.query(
+      'SELECT id, username, role, banned_at FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = result.rows[0];
+    if (!user || user.banned_at) {
+      return res.status(401).json({ error: 'Login has expired, please login again' });
+    }
+
+    // Wrong codes count as failed logins for the username
+    const wait = await loginThrottle.retryAfter(client, user.username);
+    if (wait > 0) {
+      return sendLoginThrottled(res, wait);
+    }
+
+    await client.query('BEGIN');
+    const method = await twoFactor.verifyCode(client, user.id, { code, recoveryCode });
+    await client.query('COMMIT');
+
+    if (!method) {
+      logger.warn('Login failed: invalid second factor', { username: user.username });
+      return sendLoginFailed(req, res, user.username, user);
+    }
+
+    await loginThrottle.clearFailures(pool, user.username);
+
+    if (method === 'recovery') {
+      const left = await twoFactor.remainingRecoveryCodes(pool, user.id);
+      logger.info('Recovery code used to login', { userId: user.id, recoveryCodesLeft: left });
+      return completeLogin(req, res, user, { recoveryCodesLeft: left });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Two-factor login error:', err);
+    res.status(500).json({ error: 'Login failed', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Swap the refresh token cookie for a new access token and refresh token.
+// A refresh token that was already used revokes its session.
+app.post('/api/auth/refresh', apiLimiter, async (req, res) => {
+  try {
+    const refreshToken = req.cookies?.refresh_token;
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { session, refreshToken: nextToken, user, error } = await sessions.rotateSession(pool, refreshToken, {
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip
+    });
+
+    if (error === 'reused') {
+      logger.warn('Refresh token reused, session revoked', { sessionId: session.id, userId: session.user_id, ip: req.ip });
+    }
+    if (error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ error: 'Session has ended, please login again' });
+    }
+
+    if (user.banned_at) {
+      await sessions.revokeSession(pool, user.id, session.id);
+      clearAuthCookies(res);
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
+
+    setAuthCookies(res, generateToken(user, session.id), nextToken);
+    res.json({ user: { id: user.id, username: user.username, role: user.role } });
+  } catch (err) {
+    logger.error('Token refresh error:', err);
+    res.status(500).json({ error: 'Failed to refresh session', details: err.message });
+  }
+});
+
+// Logout user: revokes the session, so copies of its tokens stop working too
+app.post('/api/auth/logout', optionalAuth, async (req, res) => {
+  try {
+    if (req.user) {
+      await sessions.revokeSession(pool, req.user.id, req.user.sid);
+    } else if (req.cookies?.refresh_token) {
+      // Access token already expired: find the session by its refresh token
+      await sessions.revokeByRefreshToken(pool, req.cookies.refresh_token);
+    }
+
+    clearAuthCookies(res);
+    logger.info('User logged out', { userId: req.user?.id });
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    logger.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed', details: err.message });
+  }
+});
+
+// Active sessions for the current user, with the device and IP they were last used from
+app.get('/api/auth/sessions', verifyToken, async (req, res) => {
+  try {
+    const active = await sessions.listSessions(pool, req.user.id);
+    res.json(active.map(session => ({ ...session, current: session.id === req.user.sid })));
+  } catch (err) {
+    logger.error('List sessions error:', err);
+    res.status(500).json({ error: 'Failed to list sessions', details: err.message });
+  }
+});
+
+// Revoke every session, including this one
+app.delete('/api/auth/sessions', verifyToken, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(pool, req.user.id);
+    clearAuthCookies(res);
+
+    logger.info('All sessions revoked', { userId: req.user.id, revoked });
+    res.json({ message: `Logged out of ${revoked} session${revoked === 1 ? '' : 's'}` });
+  } catch (err) {
+    logger.error('Revoke sessions error:', err);
+    res.status(500).json({ error: 'Failed to revoke sessions', details: err.message });
+  }
+});
+
+// Revoke one session (log out a lost phone, say)
+app.delete('/api/auth/sessions/:id', verifyToken, validateSessionId, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const revoked = await sessions.revokeSession(pool, req.user.id, id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (id === req.user.sid) {
+      clearAuthCookies(res);
+    }
+
+    logger.info(`Session ${id} revoked`, { userId: req.user.id });
+    res.json({ message: 'Session revoked' });
+  } catch (err) {
+    logger.error('Revoke session error:', err);
+    res.status(500).json({ error: 'Failed to revoke session', details: err.message });
+  }
+});
+
+// Check that whoever holds the session owns the account before a sensitive
+// change. Users who signed up with OpenID Connect and have no password sign in
+// with their provider again instead (/api/auth/oidc/:provider/start?reauth=1),
+// which counts for this session for a few minutes. user is the users row with
+// password_hash, password_legacy and password_set. Sends a 403 and returns
+// false when the check fails.
+async function confirmAccountOwner(db, req, res, user, password, message = 'Password is incorrect') {
+  if (!user.password_set) {
+    if (await sessions.isRecentlyReauthenticated(db, req.user.sid)) {
+      return true;
+    }
+    res.status(403).json({
+      error: `Sign in with your linked account again to confirm this (it counts for ${sessions.REAUTH_WINDOW_MINUTES} minutes)`,
+      code: 'reauth_required'
+    });
+    return false;
+  }
+
+  const validPassword = await passwords.verifyPassword(password || '', user.password_hash, {
+    db, userId: req.user.id, legacy: user.password_legacy
+  });
+  if (!validPassword) {
+    logger.warn('Account change refused: wrong password', { userId: req.user.id, path: req.path });
+    // 403, not 401: the session is fine, only the password is wrong
+    res.status(403).json({ error: message });
+  }
+  return validPassword;
+}
+
+// Change password while logged in. Other sessions are logged out; this one stays.
+app.post('/api/auth/password/change', authLimiter, verifyToken, validatePasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const result = await pool.query('SELECT password_hash, password_legacy, password_set FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Users who signed up with OpenID Connect set their first password after
+    // signing in with their provider again
+    if (!(await confirmAccountOwner(pool, req, res, result.rows[0], currentPassword, 'Current password is incorrect'))) {
+      return;
+    }
+
+    await passwords.setPassword(pool, req.user.id, newPassword);
+    const revoked = await sessions.revokeAllSessions(pool, req.user.id, req.user.sid);
+
+    logger.info('Password changed', { userId: req.user.id, revokedSessions: revoked });
+    res.json({ message: 'Password changed. Your other devices have been logged out.' });
+  } catch (err) {
+    logger.error('Password change error:', err);
+    res.status(500).json({ error: 'Failed to change password', details: err.message });
+  }
+});
+
+// Set the email address password reset links are sent to (needs the password,
+// or a fresh provider sign-in for users without one)
+app.put('/api/auth/email', authLimiter, verifyToken, validateEmailChange, async (req, res) => {
+  try {
+    const { password, email } = req.body;
+
+    const result = await pool.query('SELECT password_hash, password_legacy, password_set FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await confirmAccountOwner(pool, req, res, result.rows[0], password))) {
+      return;
+    }
+
+    await pool.query('UPDATE users SET email = $2 WHERE id = $1', [req.user.id, email]);
+
+    logger.info('Email changed', { userId: req.user.id });
+    res.json({ message: 'Email updated', email });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Email already in use' });
+    }
+    logger.error('Email change error:', err);
+    res.status(500).json({ error: 'Failed to update email', details: err.message });
+  }
+});
+
+// Issue a reset token and mail it, logging any failure
+async function sendResetLink(user, ip) {
+  try {
+    const token = await passwords.createResetToken(pool, user.id, ip);
+    if (token) {
+      await mailer.send(passwords.resetMessage(user, `${APP_URL}/#reset=${token}`));
+      logger.info('Password reset link sent', { userId: user.id });
+    }
+  } catch (err) {
+    logger.error('Password reset email failed:', err);
+  }
+}
+
+// Email a password reset link. The response is the same whether or not the
+// address belongs to an account, so it can't be used to find users.
+app.post('/api/auth/password/forgot', passwordResetLimiter, validateForgotPassword, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await pool.query(
+      'SELECT id, username, email FROM users WHERE LOWER(email) = $1 AND banned_at IS NULL',
+      [email]
+    );
+    const user = result.rows[0];
+
+    if (user) {
+      // Not awaited: unknown emails are answered straight away, so a known one
+      // mustn't wait for the token and the mail server either
+      sendResetLink(user, req.ip);
+    } else {
+      logger.info('Password reset requested for unknown email', { ip: req.ip });
+    }
+
+    res.json({ message: 'If an account uses that email, a reset link is on its way.' });
+  } catch (err) {
+    logger.error('Password reset request error:', err);
+    res.status(500).json({ error: 'Failed to request password reset', details: err.message });
+  }
+});
+
+// Choose a new password with a reset token. Every session is logged out.
+app.post('/api/auth/password/reset', authLimiter, validatePasswordReset, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { token, newPassword } = req.body;
+
+    await client.query('BEGIN');
+
+    const userId = await passwords.consumeResetToken(client, token);
+    if (!userId) {
+      await client.query('ROLLBACK');
+      logger.warn('Password reset with invalid token', { ip: req.ip });
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+
+    await passwords.setPassword(client, userId, newPassword);
+    const revoked = await sessions.revokeAllSessions(client, userId);
+
+    await client.query('COMMIT');
+
+    clearAuthCookies(res);
+    logger.info('Password reset', { userId, revokedSessions: revoked });
+    res.json({ message: 'Password reset. Please login with your new password.' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Password reset error:', err);
+    res.status(500).json({ error: 'Failed to reset password', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Two-factor status: whether it's on, recovery codes left and whether the user's role requires it
+app.get('/api/auth/2fa', verifyToken, async (req, res) => {
+  try {
+    const requiredFor = await settings.getSetting(pool, 'require_2fa_roles');
+    res.json({
+      enabled: req.user.twoFactor,
+      required: twoFactorRequiredFor(req.user.role, requiredFor),
+      recoveryCodesLeft: req.user.twoFactor ? await twoFactor.remainingRecoveryCodes(pool, req.user.id) : 0
+    });
+  } catch (err) {
+    logger.error('Two-factor status error:', err);
+    res.status(500).json({ error: 'Failed to fetch two-factor status', details: err.message });
+  }
+});
+
+// Start two-factor enrolment: a new secret as a QR code and otpauth:// URI.
+// Nothing changes at login until the first code is confirmed.
+app.post('/api/auth/2fa/setup', verifyToken, async (req, res) => {
+  try {
+    const setup = await twoFactor.startSetup(pool, req.user);
+    if (setup.error) {
+      return res.status(setup.status).json({ error: setup.error });
+    }
+
+    res.json(setup);
+  } catch (err) {
+    logger.error('Two-factor setup error:', err);
+    res.status(500).json({ error: 'Failed to start two-factor setup', details: err.message });
+  }
+});
+
+// Confirm enrolment with the first code ({ code }). Answers with the recovery
+// codes, which are never shown again.
+app.post('/api/auth/2fa/enable', authLimiter, verifyToken, validateTwoFactorCode, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await twoFactor.enable(client, req.user.id, req.body.code);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    logger.info('Two-factor authentication enabled', { userId: req.user.id });
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: result.recoveryCodes });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Two-factor enable error:', err);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Replace the recovery codes ({ code } from the authenticator app)
+app.post('/api/auth/2fa/recovery-codes', authLimiter, verifyToken, validateTwoFactorCode, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const method = await twoFactor.verifyCode(client, req.user.id, { code: req.body.code });
+    if (!method) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Invalid code' });
+    }
+
+    const recoveryCodes = await twoFactor.replaceRecoveryCodes(client, req.user.id);
+    await client.query('COMMIT');
+
+    logger.info('Recovery codes replaced', { userId: req.user.id });
+    res.json({ recoveryCodes });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Recovery code error:', err);
+    res.status(500).json({ error: 'Failed to replace recovery codes', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Turn two-factor authentication off ({ password, code } or { password, recoveryCode };
+// users without a password sign in with their provider again instead).
+// Not allowed while the user's role requires it.
+app.post('/api/auth/2fa/disable', authLimiter, verifyToken, validateTwoFactorDisable, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const requiredFor = await settings.getSetting(client, 'require_2fa_roles');
+    if (twoFactorRequiredFor(req.user.role, requiredFor)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const result = await client.query('SELECT password_hash, password_legacy, password_set FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!(await confirmAccountOwner(client, req, res, result.rows[0], password))) {
+      return;
+    }
+
+    await client.query('BEGIN');
+
+    const method = await twoFactor.verifyCode(client, req.user.id, { code, recoveryCode });
+    if (!method) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Invalid code' });
+    }
+
+    await twoFactor.disable(client, req.user.id);
+    await client.query('COMMIT');
+
+    logger.info('Two-factor authentication disabled', { userId: req.user.id });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Two-factor disable error:', err);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Get current user
+app.get('/api/auth/me', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, username, email, role, created_at, last_login, password_set,
+             totp_enabled_at IS NOT NULL as two_factor
+      FROM users
+      WHERE id = $1
+    `, [req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (err) {
+    logger.error('Get user error:', err);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// ============================================
+// OPENID CONNECT ROUTES
+// ============================================
+
+// Back to the app after a sign-in attempt; the page reads the outcome from the hash
+function redirectAfterOidc(res, outcome, value) {
+  res.redirect(`${APP_URL}/#oidc-${outcome}=${encodeURIComponent(value)}`);
+}
+
+// Slack for the provider's clock when checking that a re-authentication is fresh
+const OIDC_REAUTH_CLOCK_SKEW_SECONDS = 60;
+
+function oidcRedirectUri(provider) {
+  return `${APP_URL}/api/auth/oidc/${provider.id}/callback`;
+}
+
+// Providers users can sign in with, for the login buttons
+app.get('/api/auth/oidc/providers', (_req, res) => {
+  res.json({
+    providers: [...oidcProviders.values()].map(provider => ({ id: provider.id, label: provider.label }))
+  });
+});
+
+// Send the browser to a provider to sign in, or with ?link=1 (while logged
+// in) to link the provider account to the current user. ?restore=1 signs in
+// to an account scheduled for deletion and keeps it. ?reauth=1 (while logged
+// in) makes the user sign in again to confirm an account change, for users
+// without a password.
+app.get('/api/auth/oidc/:provider/start', authLimiter, optionalAuth, async (req, res) => {
+  try {
+    const provider = oidcProviders.get(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Unknown sign-in provider' });
+    }
+
+    const linking = req.query.link === '1';
+    if (linking && !req.user) {
+      return redirectAfterOidc(res, 'error', 'Please login again to link an account');
+    }
+    const reauth = req.query.reauth === '1';
+    if (reauth && !req.user) {
+      return redirectAfterOidc(res, 'error', 'Please login again');
+    }
+
+    const pkce = createPkcePair();
+    const flow = {
+      provider: provider.id,
+      state: randomToken(),
+      nonce: randomToken(),
+      verifier: pkce.verifier,
+      linkUserId: linking ? req.user.id : null,
+      restore: req.query.restore === '1',
+      reauth: reauth ? { userId: req.user.id, sessionId: req.user.sid, startedAt: Math.floor(Date.now() / 1000) } : null
+    };
+
+    const url = await provider.authorizationUrl({
+      redirectUri: oidcRedirectUri(provider),
+      state: flow.state,
+      nonce: flow.nonce,
+      codeChallenge: pkce.challenge,
+      reauthenticate: reauth
+    });
+
+    setOidcFlowCookie(res, flow);
+    res.redirect(url);
+  } catch (err) {
+    logger.error('OpenID Connect start error:', err);
+    redirectAfterOidc(res, 'error', 'Sign-in is unavailable right now, please try again later');
+  }
+});
+
+// The provider sends the browser back here with ?code&state (or ?error)
+app.get('/api/auth/oidc/:provider/callback', authLimiter, async (req, res) => {
+  const flow = takeOidcFlow(req, res);
+  const provider = oidcProviders.get(req.params.provider);
+
+  if (!provider || !flow || flow.provider !== provider.id || flow.state !== req.query.state) {
+    logger.warn('OpenID Connect callback with missing or mismatched state', { provider: req.params.provider, ip: req.ip });
+    return redirectAfterOidc(res, 'error', 'Sign-in expired, please try again');
+  }
+  if (req.query.error || !req.query.code) {
+    return redirectAfterOidc(res, 'error', 'Sign-in was cancelled');
+  }
+
+  const client = await pool.connect();
+  try {
+    const claims = await provider.exchangeCode({
+      code: String(req.query.code),
+      codeVerifier: flow.verifier,
+      redirectUri: oidcRedirectUri(provider),
+      nonce: flow.nonce
+    });
+
+    // Confirming an account change: the provider account must be the user's
+    // own, and the provider must say they signed in just now
+    if (flow.reauth) {
+      const owner = await identities.findIdentityUser(client, provider.id, claims.sub);
+      if (!owner || owner.id !== flow.reauth.userId) {
+        return redirectAfterOidc(res, 'error', `This ${provider.label} account isn't linked to yours`);
+      }
+      if (!claims.auth_time || claims.auth_time < flow.reauth.startedAt - OIDC_REAUTH_CLOCK_SKEW_SECONDS) {
+        logger.warn('OpenID Connect re-authentication without a fresh sign-in', { userId: owner.id, provider: provider.id });
+        return redirectAfterOidc(res, 'error', `${provider.label} didn't ask you to sign in again, so this can't be confirmed`);
+      }
+      await sessions.markReauthenticated(client, flow.reauth.sessionId);
+      logger.info('Re-authenticated with OpenID Connect', { userId: owner.id, provider: provider.id });
+      return redirectAfterOidc(res, 'reauth', provider.label);
+    }
+
+    // Linking to the user who started the flow
+    if (flow.linkUserId) {
+      const result = await identities.linkIdentity(client, flow.linkUserId, provider.id, claims);
+      if (result.error) {
+        return redirectAfterOidc(res, 'error', result.error);
+      }
+      logger.info('External account linked', { userId: flow.linkUserId, provider: provider.id });
+      return redirectAfterOidc(res, 'linked', provider.label);
+    }
+
+    let user = await identities.findIdentityUser(client, provider.id, claims.sub);
+    if (user) {
+      await identities.touchIdentity(client, user.identity_id, claims);
+    } else {
+      // Never link to an existing account by email alone: the owner links from Account
+      if (claims.email) {
+        const existing = await client.query('SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)', [claims.email]);
+        if (existing.rows.length > 0) {
+          return redirectAfterOidc(res, 'error',
+            `An account already uses this email. Login with your password and link ${provider.label} under Account.`);
+        }
+      }
+
+      await client.query('BEGIN');
+      user = await identities.createUserForIdentity(client, provider.id, claims);
+      await client.query('COMMIT');
+      logger.info('User registered with OpenID Connect', { username: user.username, userId: user.id, provider: provider.id });
+    }
+
+    if (user.banned_at) {
+      return redirectAfterOidc(res, 'error', 'This account has been suspended');
+    }
+    if (user.deletion_due_at) {
+      // Signing in again is the proof needed to keep it, as the password is on /api/account/restore
+      if (!flow.restore) {
+        return redirectAfterOidc(res, 'restore', provider.id);
+      }
+      await accounts.cancelDeletion(client, user.id);
+      await moderation.recordAction(client, 'users', user.id, 'cancel_deletion', user.id);
+      logger.info('Account deletion cancelled', { userId: user.id, provider: provider.id });
+    }
+
+    // Two-factor authentication applies however the first step was done
+    if (user.totp_enabled_at) {
+      return redirectAfterOidc(res, '2fa', generateLoginChallenge(user));
+    }
+
+    await logIn(req, res, user);
+    res.redirect(`${APP_URL}/`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('OpenID Connect callback error:', err);
+    redirectAfterOidc(res, 'error', 'Sign-in failed, please try again');
+  } finally {
+    client.release();
+  }
+});
+
+// The current user's linked accounts, and the providers they could link
+app.get('/api/auth/identities', verifyToken, async (req, res) => {
+  try {
+    res.json({
+      identities: await identities.listIdentities(pool, req.user.id),
+      providers: [...oidcProviders.values()].map(provider => ({ id: provider.id, label: provider.label }))
+    });
+  } catch (err) {
+    logger.error('List identities error:', err);
+    res.status(500).json({ error: 'Failed to fetch linked accounts', details: err.message });
+  }
+});
+
+// Unlink an account (not the last way to log in to an account without a password)
+app.delete('/api/auth/identities/:id', verifyToken, validateIdentityId, async (req, res) => {
+  try {
+    const result = await identities.unlinkIdentity(pool, req.user.id, parseInt(req.params.id, 10));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    logger.info('External account unlinked', { userId: req.user.id, provider: result.identity.provider });
+    res.json({ message: 'Account unlinked', identity: result.identity });
+  } catch (err) {
+    logger.error('Unlink identity error:', err);
+    res.status(500).json({ error: 'Failed to unlink account', details: err.message });
+  }
+});
+
+// ============================================
+// ACCOUNT ROUTES
+// ============================================
+
+// Download everything stored about the current user as JSON
+app.get('/api/account/export', apiLimiter, verifyToken, async (req, res) => {
+  try {
+    const bundle = await accounts.exportAccount(pool, req.user.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info('Account data exported', { userId: req.user.id });
+    res.setHeader('Content-Disposition', `attachment; filename="chayakkada-account-${bundle.account.username}.json"`);
+    res.json(bundle);
+  } catch (err) {
+    logger.error('Account export error:', err);
+    res.status(500).json({ error: 'Failed to export account data', details: err.message });
+  }
+});
+
+// Ask for the account to be deleted ({ password, contributions: 'anonymize' | 'delete' };
+// users without a password sign in with their provider again instead).
+// Every session is logged out now; the account is deleted after the grace period.
+app.delete('/api/account', authLimiter, verifyToken, validateAccountDeletion, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { password, contributions } = req.body;
+
+    const result = await client.query('SELECT password_hash, password_legacy, password_set FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await confirmAccountOwner(client, req, res, result.rows[0], password))) {
+      return;
+    }
+
+    await client.query('BEGIN');
+    const deletionDueAt = await accounts.requestDeletion(client, req.user.id, contributions);
+    await moderation.recordAction(client, 'users', req.user.id, 'request_deletion', req.user.id, contributions);
+    await client.query('COMMIT');
+
+    clearAuthCookies(res);
+    logger.info('Account deletion requested', { userId: req.user.id, contributions, deletionDueAt });
+    res.json({
+      message: `Your account will be deleted on ${deletionDueAt.toISOString().slice(0, 10)}. Log in before then to keep it.`,
+      deletionDueAt
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Account deletion error:', err);
+    res.status(500).json({ error: 'Failed to delete account', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Keep an account that is scheduled for deletion ({ username, password }). Users
+// without a password sign in with their provider instead (start with ?restore=1).
+app.post('/api/account/restore', authLimiter, validateLogin, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const wait = await loginThrottle.retryAfter(pool, username);
+    if (wait > 0) {
+      return sendLoginThrottled(res, wait);
+    }
+
+    const result = await pool.query('SELECT id, username, password_hash, password_legacy FROM users WHERE username = $1', [username]);
+    const user = result.rows[0];
+
+    const validPassword = await passwords.verifyPassword(password, user?.password_hash, {
+      db: pool, userId: user?.id, legacy: user?.password_legacy
+    });
+    if (!validPassword) {
+      return sendLoginFailed(req, res, username, user);
+    }
+
+    await loginThrottle.clearFailures(pool, username);
+
+    if (!await accounts.cancelDeletion(pool, user.id)) {
+      return res.status(400).json({ error: 'This account is not scheduled for deletion' });
+    }
+
+    await moderation.recordAction(pool, 'users', user.id, 'cancel_deletion', user.id);
+    logger.info('Account deletion cancelled', { userId: user.id });
+    res.json({ message: 'Your account has been restored. You can log in again.' });
+  } catch (err) {
+    logger.error('Account restore error:', err);
+    res.status(500).json({ error: 'Failed to restore account', details: err.message });
+  }
+});
+
+// ============================================
+// PUBLIC ROUTES (No auth required)
+// ============================================
+
+// Search chayakkadas by location and filters
+app.post('/api/search', searchLimiter, validateSearch, async (req, res) => {
+  try {
+    const {
+      latitude,
+      longitude,
+      maxDistance,
+      maxWalkingTime,
+      items,
+      noCigarettes,
+      minRating,
+      minGoogleRating,
+      openNow,
+      openAt,
+      sortBy = 'walkingTime'
+    } = req.body;
+    logger.info('Search request received', {
+      latitude, longitude, maxDistance, maxWalkingTime, items, noCigarettes, minRating, minGoogleRating, openNow, openAt, sortBy
+    });
+
+    if (!latitude || !longitude) {
+      logger.warn('Search request missing coordinates');
+      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    }
+
+    // First, do a broad search using PostGIS to get candidates
+    // Use a generous radius to ensure we don't miss shops
+    const searchRadiusMeters = maxDistance ? maxDistance * 1500 : 5000; // 1.5x buffer or 5km default
+
+    // Attribute filters run in SQL so we never pay to route shops the user won't see
+    const params = [longitude, latitude, searchRadiusMeters];
+    const conditions = [
+      'ST_DWithin(c.location, ST_MakePoint($1, $2)::geography, $3)',
+      "c.status = 'approved'"
+    ];
+
+    // Catalogue items (with synonyms) match the structured menu; anything the
+    // catalogue doesn't know falls back to the free-text items list
+    const resolvedItems = await menu.resolveMenuItems(pool, items || []);
+
+    for (const [item, menuItem] of resolvedItems) {
+      if (menuItem) {
+        params.push(menuItem.id);
+        conditions.push(`EXISTS (
+          SELECT 1 FROM chayakkada_menu cm
+          WHERE cm.chayakkada_id = c.id AND cm.menu_item_id = $${params.length}
+        )`);
+      } else {
+        params.push(`%${item.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`m.items_available ILIKE $${params.length}`);
+      }
+    }
+
+    if (noCigarettes === true || noCigarettes === 'true') {
+      conditions.push('m.sells_cigarettes IS FALSE');
+    }
+
+    // Review ratings where the shop has them, else the latest contributed rating
+    if (minRating) {
+      params.push(minRating);
+      conditions.push(`COALESCE(a.rating_mean, m.chayakkada_rating) >= $${params.length}`);
+    }
+
+    if (minGoogleRating) {
+      params.push(minGoogleRating);
+      conditions.push(`c.google_rating >= $${params.length}`);
+    }
+
+    // "Open at" filtering needs known hours, so only consider shops that have some
+    const filterByHours = Boolean(openAt) || openNow === true || openNow === 'true';
+    const statusAt = openAt ? new Date(openAt) : new Date();
+
+    if (filterByHours) {
+      conditions.push('EXISTS (SELECT 1 FROM chayakkada_hours h WHERE h.chayakkada_id = c.id)');
+    }
+
+    const query = `
+      SELECT
+        c.id,
+        c.google_place_id,
+        c.name,
+        ST_Y(c.location::geometry) as latitude,
+        ST_X(c.location::geometry) as longitude,
+        c.address,
+        c.google_rating,
+        c.google_photo_references,
+        ST_Distance(c.location, ST_MakePoint($1, $2)::geography) as straight_distance,
+        m.chayakkada_rating,
+        m.items_available,
+        m.sells_cigarettes,
+        ${ratings.RATING_JSON} as rating
+      FROM chayakkadas c
+      LEFT JOIN LATERAL (
+        SELECT chayakkada_rating, items_available, sells_cigarettes
+        FROM chayakkada_metadata
+        WHERE chayakkada_id = c.id AND status = 'approved'
+        ORDER BY contributed_at DESC
+        LIMIT 1
+      ) m ON true
+      LEFT JOIN chayakkada_rating_aggregates a ON a.chayakkada_id = c.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY straight_distance ASC
+      LIMIT 50
+    `;
+
+    const result = await pool.query(query, params);
+
+    // Work out open/closed status before routing so closed shops are never routed
+    const hours = await openingHours.loadHours(pool, result.rows.map(shop => shop.id), statusAt);
+    for (const shop of result.rows) {
+      const { weekly, exceptions } = hours.get(shop.id);
+      shop.openStatus = openingHours.getOpenStatus(weekly, exceptions, statusAt);
+    }
+
+    if (filterByHours) {
+      result.rows = result.rows.filter(shop => shop.openStatus && shop.openStatus.isOpen);
+    }
+
+    if (result.rows.length === 0) {
+      return res.json({ results: [], routing: { failures: [], unrouted: 0, cacheHits: 0 } });
+    }
+
+    // Resolve walking routes in provider-sized batches, falling back through
+    // the configured providers for any batch that fails
+    const destinations = result.rows.map(shop => ({
+      id: shop.id,
+      lat: shop.latitude,
+      lng: shop.longitude
+    }));
+
+    const { routes, failures, cacheHits } = await routing.getWalkingRoutes({ lat: latitude, lng: longitude }, destinations);
+
+    // Combine results with walking data
+    const shops = result.rows.map((shop, index) => {
+      const route = routes[index];
+
+      let walkingDistance = null;
+      let walkingTime = null;
+
+      if (route) {
+        walkingDistance = (route.distanceMeters / 1000).toFixed(2); // Convert to km
+        walkingTime = Math.round(route.durationSeconds / 60); // Convert to minutes
+      }
+
+      return {
+        ...shop,
+        walkingDistance,
+        walkingTime,
+        routingProvider: route ? route.provider : null,
+        walkingEstimate: route ? route.isEstimate : null,
+        straight_distance: (shop.straight_distance / 1000).toFixed(2),
+        google_photo_references: shop.google_photo_references || []
+      };
+    });
+
+    // Filter by user criteria
+    let filtered = shops.filter(shop => shop.walkingDistance !== null);
+
+    if (maxDistance) {
+      filtered = filtered.filter(shop => parseFloat(shop.walkingDistance) <= maxDistance);
+    }
+
+    if (maxWalkingTime) {
+      filtered = filtered.filter(shop => shop.walkingTime <= maxWalkingTime);
+    }
+
+    // Sort by walking time (default), straight-line distance, or Bayesian
+    // rating with unrated shops last and ties broken by walking time
+    if (sortBy === 'distance') {
+      filtered.sort((a, b) => parseFloat(a.straight_distance) - parseFloat(b.straight_distance));
+    } else if (sortBy === 'rating') {
+      const score = shop => shop.rating.bayesian === null ? -Infinity : shop.rating.bayesian;
+      filtered.sort((a, b) => score(b) - score(a) || a.walkingTime - b.walkingTime);
+    } else {
+      filtered.sort((a, b) => a.walkingTime - b.walkingTime);
+    }
+
+    logger.info(`Search completed: ${filtered.length} results found`, {
+      candidates: result.rows.length,
+      cacheHits,
+      failedBatches: failures.length
+    });
+    res.json({
+      results: filtered,
+      routing: {
+        // Batches a provider failed on; their shops were retried with the next provider
+        failures: failures.map(failure => ({
+          provider: failure.provider,
+          batch: failure.batch,
+          shopIds: failure.destinationIndexes.map(index => result.rows[index].id),
+          error: failure.error
+        })),
+        unrouted: routes.filter(route => route === null).length,
+        cacheHits
+      }
+    });
+  } catch (err) {
+    logger.error('Search error:', err);
+    res.status(500).json({ error: 'Search failed', details: err.message });
+  }
+});
+
+// Shops in a map viewport, for panning. Uses only the spatial index, never the
+// routing providers. Below CLUSTER_MAX_ZOOM nearby shops are grouped into
+// grid-cell clusters so a zoomed-out view doesn't ship thousands of markers.
+const CLUSTER_MAX_ZOOM = 14;
+const VIEWPORT_SHOP_LIMIT = 500;
+
+app.get('/api/chayakkadas', mapLimiter, validateBbox, async (req, res) => {
+  try {
+    const [minLng, minLat, maxLng, maxLat] = req.query.bbox.split(',').map(Number);
+    const zoom = req.query.zoom !== undefined ? parseInt(req.query.zoom, 10) : CLUSTER_MAX_ZOOM;
+    const envelope = [minLng, minLat, maxLng, maxLat];
+
+    if (zoom < CLUSTER_MAX_ZOOM) {
+      // Roughly four cells per 256px map tile at this zoom level
+      const cellSize = 360 / Math.pow(2, zoom) / 4;
+
+      const result = await pool.query(`
+        SELECT
+          COUNT(*)::int AS count,
+          AVG(ST_Y(c.location::geometry)) AS latitude,
+          AVG(ST_X(c.location::geometry)) AS longitude,
+          MIN(ST_Y(c.location::geometry)) AS min_lat,
+          MIN(ST_X(c.location::geometry)) AS min_lng,
+          MAX(ST_Y(c.location::geometry)) AS max_lat,
+          MAX(ST_X(c.location::geometry)) AS max_lng,
+          (ARRAY_AGG(c.id))[1] AS id,
+          (ARRAY_AGG(c.name))[1] AS name
+        FROM chayakkadas c
+        WHERE c.location && ST_MakeEnvelope($1, $2, $3, $4, 4326)::geography
+          AND c.status = 'approved'
+        GROUP BY ST_SnapToGrid(c.location::geometry, $5)
+      `, [...envelope, cellSize]);
+
+      // Single-shop cells are sent as plain shops
+      const shops = result.rows
+        .filter(cell => cell.count === 1)
+        .map(cell => ({ id: cell.id, name: cell.name, latitude: cell.latitude, longitude: cell.longitude }));
+
+      const clusters = result.rows
+        .filter(cell => cell.count > 1)
+        .map(cell => ({
+          count: cell.count,
+          latitude: cell.latitude,
+          longitude: cell.longitude,
+          bbox: [cell.min_lng, cell.min_lat, cell.max_lng, cell.max_lat]
+        }));
+
+      return res.json({ clustered: true, zoom, shops, clusters, truncated: false });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        c.id,
+        c.name,
+        ST_Y(c.location::geometry) as latitude,
+        ST_X(c.location::geometry) as longitude,
+        c.address,
+        c.google_rating,
+        m.chayakkada_rating,
+        m.sells_cigarettes
+      FROM chayakkadas c
+      LEFT JOIN LATERAL (
+        SELECT chayakkada_rating, sells_cigarettes
+        FROM chayakkada_metadata
+        WHERE chayakkada_id = c.id AND status = 'approved'
+        ORDER BY contributed_at DESC
+        LIMIT 1
+      ) m ON true
+      WHERE c.location && ST_MakeEnvelope($1, $2, $3, $4, 4326)::geography
+        AND c.status = 'approved'
+      ORDER BY c.id
+      LIMIT $5
+    `, [...envelope, VIEWPORT_SHOP_LIMIT + 1]);
+
+    const truncated = result.rows.length > VIEWPORT_SHOP_LIMIT;
+
+    res.json({
+      clustered: false,
+      zoom,
+      shops: result.rows.slice(0, VIEWPORT_SHOP_LIMIT),
+      clusters: [],
+      truncated
+    });
+  } catch (err) {
+    logger.error('Viewport search error:', err);
+    res.status(500).json({ error: 'Failed to load chayakkadas', details: err.message });
+  }
+});
+
+// Stream the whole dataset (optionally a bbox or district) as GeoJSON, CSV or
+// KML. Shops are fetched in id-ordered batches and written as they arrive, so
+// a large export never sits in memory.
+app.get('/api/export/chayakkadas.:format', apiLimiter, validateExport, async (req, res) => {
+  const { format } = req.params;
+  const formatter = dataExport.FORMATS[format];
+  const filters = {
+    bbox: req.query.bbox ? req.query.bbox.split(',').map(Number) : null,
+    district: req.query.district ? normalizeDistrict(req.query.district) || req.query.district : null
+  };
+
+  res.setHeader('Content-Type', formatter.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="chayakkadas.${formatter.extension}"`);
+
+  try {
+    const count = await dataExport.writeExport(pool, format, filters, res);
+    res.end();
+    logger.info(`Exported ${count} chayakkadas as ${format}`);
+  } catch (err) {
+    logger.error('Export error:', err);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ error: 'Failed to export chayakkadas', details: err.message });
+    }
+    // Part of the file has gone out already; cut the connection so the
+    // client sees a failed download rather than a silently truncated one
+    res.destroy(err);
+  }
+});
+
+// Get single chayakkada details
+app.get('/api/chayakkada/:id', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`Fetching details for chayakkada ID: ${id}`);
+
+    // Get chayakkada details
+    const shopResult = await pool.query(`
+      SELECT
+        id,
+        google_place_id,
+        source,
+        name,
+        ST_Y(location::geometry) as latitude,
+        ST_X(location::geometry) as longitude,
+        address,
+        district,
+        google_rating,
+        google_photo_references,
+        created_at
+      FROM chayakkadas
+      WHERE id = $1 AND status = 'approved'
+    `, [id]);
+
+    if (shopResult.rows.length === 0) {
+      // Merged into another shop: send old links to the survivor
+      const newId = /^\d+$/.test(id) ? await shopService.resolveRedirect(pool, id) : null;
+      if (newId) {
+        return res.redirect(301, `/api/chayakkada/${newId}`);
+      }
+
+      logger.warn(`Chayakkada not found: ${id}`);
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+
+    const shop = shopResult.rows[0];
+
+    // Get all metadata entries
+    const metadataResult = await pool.query(`
+      SELECT m.*, u.username
+      FROM chayakkada_metadata m
+      LEFT JOIN users u ON u.id = m.user_id
+      WHERE m.chayakkada_id = $1 AND m.status = 'approved'
+      ORDER BY m.contributed_at DESC
+    `, [id]);
+
+    const ratingResult = await pool.query(`
+      SELECT ${ratings.RATING_JSON} as rating
+      FROM chayakkadas c
+      LEFT JOIN chayakkada_rating_aggregates a ON a.chayakkada_id = c.id
+      WHERE c.id = $1
+    `, [id]);
+
+    shop.metadata = metadataResult.rows;
+    shop.latestMetadata = metadataResult.rows[0] || null;
+    shop.reviews = await reviewService.listShopReviews(pool, id, req.user?.id);
+    shop.rating = ratingResult.rows[0].rating;
+    shop.menu = await menu.getShopMenu(pool, id);
+
+    const { weekly, exceptions } = (await openingHours.loadHours(pool, [shop.id])).get(shop.id);
+    shop.hours = {
+      timezone: openingHours.TIMEZONE,
+      weekly,
+      exceptions,
+      status: openingHours.getOpenStatus(weekly, exceptions)
+    };
+
+    // Fetch fresh photos from Google Places API if we have a place_id
+    if (shop.google_place_id) {
+      try {
+        logger.info(`Fetching fresh photos for ${shop.name} (place_id: ${shop.google_place_id})`);
+        const placesResponse = await axios.get(
+          'https://maps.googleapis.com/maps/api/place/details/json',
+          {
+            params: {
+              place_id: shop.google_place_id,
+              fields: 'photos',
+              key: process.env.GOOGLE_MAPS_API_KEY
+            }
+          }
+        );
+
+        logger.info(`Google API response status: ${placesResponse.data.status}`);
+
+        if (placesResponse.data.result && placesResponse.data.result.photos) {
+          // Get top 6 photo references
+          shop.google_photo_references = placesResponse.data.result.photos
+            .slice(0, 6)
+            .map(photo => photo.photo_reference);
+          logger.info(`✓ Fetched ${shop.google_photo_references.length} fresh photos for ${shop.name}`);
+        } else {
+          logger.warn(`No photos returned from Google Places API for ${shop.name}`);
+        }
+      } catch (photoErr) {
+        logger.error(`Failed to fetch fresh photos for ${shop.name}:`, photoErr.response?.data || photoErr.message);
+        // Keep existing photo references from database
+      }
+    }
+
+    logger.info(`Chayakkada details fetched successfully: ${shop.name}`);
+    res.json(shop);
+  } catch (err) {
+    logger.error('Get chayakkada error:', err);
+    res.status(500).json({ error: 'Failed to fetch chayakkada', details: err.message });
+  }
+});
+
+// Add new chayakkada
+// Award the badges a new contribution may have earned its users, rather than
+// waiting for the hourly run. Not awaited: a failure only delays the badge.
+function awardBadges(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  Promise.all(ids.map(userId => badges.evaluateBadges(pool, userId)))
+    .then(results => {
+      const awarded = results.flat();
+      if (awarded.length > 0) {
+        logger.info(`Awarded ${awarded.length} badges`, { userIds: ids });
+      }
+    })
+    .catch(err => logger.error('Badge evaluation failed:', err));
+}
+
+app.post('/api/chayakkada', requireContributor, contributionLimiter, validateAddChayakkada, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const {
+      google_place_id,
+      name,
+      latitude,
+      longitude,
+      address,
+      google_rating,
+      google_photo_references,
+      chayakkada_rating,
+      items_available,
+      sells_cigarettes,
+      allow_duplicate
+    } = req.body;
+    const status = contributionStatus(req);
+    const contributedBy = req.user ? req.user.username : req.body.contributed_by || 'Anonymous';
+
+    if (!name || !latitude || !longitude) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    // A pin-dropped shop has no Google place ID to dedupe on, so check for a
+    // similar shop nearby and let the contributor confirm it's a different one
+    if (!google_place_id && allow_duplicate !== true && allow_duplicate !== 'true') {
+      const matches = await duplicates.findDuplicates(client, { name, latitude, longitude });
+      if (matches.length > 0) {
+        return res.status(409).json({
+          error: 'A similar chayakkada already exists nearby',
+          duplicates: matches.map(match => ({
+            id: match.id,
+            name: match.name,
+            distanceMeters: Math.round(match.distanceMeters)
+          }))
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const chayakkadaId = await shopService.upsertChayakkada(client, {
+      google_place_id,
+      name,
+      latitude,
+      longitude,
+      address,
+      google_rating,
+      google_photo_references,
+      status,
+      created_by: req.user ? req.user.id : null
+    });
+
+    // Insert metadata if provided
+    if (shopService.hasMetadata(req.body)) {
+      await shopService.addMetadata(client, chayakkadaId, {
+        chayakkada_rating,
+        items_available,
+        sells_cigarettes,
+        contributed_by: contributedBy,
+        user_id: req.user ? req.user.id : null,
+        status
+      });
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`Chayakkada ${chayakkadaId} contributed`, { userId: req.user?.id, status });
+    if (status === 'approved') {
+      awardBadges([req.user.id]);
+    }
+    res.json({
+      id: chayakkadaId,
+      status,
+      message: status === 'pending'
+        ? 'Thanks! Your chayakkada will appear once a moderator has reviewed it'
+        : 'Chayakkada added successfully'
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Add chayakkada error:', err);
+    res.status(500).json({ error: 'Failed to add chayakkada', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Add metadata to existing chayakkada
+app.post('/api/chayakkada/:id/metadata', requireContributor, contributionLimiter, validateMetadata, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { chayakkada_rating, items_available, sells_cigarettes } = req.body;
+    const status = contributionStatus(req);
+
+    await shopService.addMetadata(pool, id, {
+      chayakkada_rating,
+      items_available,
+      sells_cigarettes,
+      contributed_by: req.user ? req.user.username : req.body.contributed_by || 'Anonymous',
+      user_id: req.user ? req.user.id : null,
+      status
+    });
+
+    if (status === 'approved') {
+      awardBadges([req.user.id]);
+    }
+
+    res.json({
+      status,
+      message: status === 'pending'
+        ? 'Thanks! Your details will appear once a moderator has reviewed them'
+        : 'Metadata added successfully'
+    });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+    console.error('Add metadata error:', err);
+    res.status(500).json({ error: 'Failed to add metadata', details: err.message });
+  }
+});
+
+// ============================================
+// USER PROFILE ROUTES
+// ============================================
+
+// Public profile: username, role, join date, reputation and badges
+app.get('/api/users/:username', apiLimiter, validateProfile, async (req, res) => {
+  try {
+    const profile = await profiles.getProfile(pool, req.params.username);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(profile);
+  } catch (err) {
+    logger.error('Get profile error:', err);
+    res.status(500).json({ error: 'Failed to fetch profile', details: err.message });
+  }
+});
+
+// A user's approved contributions, newest first (?type=shops|metadata|reviews&limit=&offset=)
+app.get('/api/users/:username/contributions', apiLimiter, validateProfileContributions, async (req, res) => {
+  try {
+    const { type } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const user = await pool.query('SELECT id FROM users WHERE username = $1', [req.params.username]);
+    if (user.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const items = await profiles.listContributions(pool, user.rows[0].id, type, { limit, offset });
+    res.json({ type, limit, offset, items });
   } catch (err) {
-    logger.error('Get user error:', err);
-    res.status(500).json({ error: 'Failed to fetch user' });
+    logger.error('Get contributions error:', err);
+    res.status(500).json({ error: 'Failed to fetch contributions', details: err.message });
+  }
+});
+
+// Every badge, what it takes and how many users hold it
+app.get('/api/badges', apiLimiter, async (req, res) => {
+  try {
+    res.json({ badges: await badges.listBadges(pool) });
+  } catch (err) {
+    logger.error('List badges error:', err);
+    res.status(500).json({ error: 'Failed to fetch badges', details: err.message });
+  }
+});
+
+// Top contributors by reputation, all-time or for one district (?district=&limit=)
+app.get('/api/leaderboard', apiLimiter, validateLeaderboard, async (req, res) => {
+  try {
+    const district = req.query.district ? normalizeDistrict(req.query.district) : null;
+    if (req.query.district && !district) {
+      return res.status(400).json({ error: 'Unknown district' });
+    }
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const leaders = await reputation.leaderboard(pool, { district, limit });
+    res.json({ district, districts: DISTRICTS, leaders });
+  } catch (err) {
+    logger.error('Leaderboard error:', err);
+    res.status(500).json({ error: 'Failed to fetch leaderboard', details: err.message });
   }
 });
 
 // ============================================
-// PUBLIC ROUTES (No auth required)
+// MENU ROUTES
 // ============================================
 
-// Search chayakkadas by location and filters
-app.post('/api/search', searchLimiter, validateSearch, async (req, res) => {
+// Get the canonical menu catalogue with synonyms
+app.get('/api/menu/items', async (req, res) => {
   try {
-    const { latitude, longitude, maxDistance, maxWalkingTime } = req.body;
-    logger.info('Search request received', { latitude, longitude, maxDistance, maxWalkingTime });
+    const result = await pool.query(`
+      SELECT
+        m.id,
+        m.slug,
+        m.name_en,
+        m.name_ml,
+        m.category,
+        m.is_veg,
+        COALESCE(ARRAY_AGG(s.synonym ORDER BY s.synonym) FILTER (WHERE s.synonym IS NOT NULL), '{}') AS synonyms
+      FROM menu_items m
+      LEFT JOIN menu_item_synonyms s ON s.menu_item_id = m.id
+      GROUP BY m.id
+      ORDER BY m.category, m.name_en
+    `);
 
-    if (!latitude || !longitude) {
-      logger.warn('Search request missing coordinates');
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    res.json(result.rows);
+  } catch (err) {
+    logger.error('Get menu catalogue error:', err);
+    res.status(500).json({ error: 'Failed to fetch menu catalogue', details: err.message });
+  }
+});
+
+// Get a chayakkada's menu
+app.get('/api/chayakkada/:id/menu', validateChayakkadaId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shop = await pool.query('SELECT id FROM chayakkadas WHERE id = $1', [id]);
+    if (shop.rows.length === 0) {
+      return res.status(404).json({ error: 'Chayakkada not found' });
     }
 
-    // First, do a broad search using PostGIS to get candidates
-    // Use a generous radius to ensure we don't miss shops
-    const searchRadiusMeters = maxDistance ? maxDistance * 1500 : 5000; // 1.5x buffer or 5km default
+    res.json(await menu.getShopMenu(pool, id));
+  } catch (err) {
+    logger.error('Get menu error:', err);
+    res.status(500).json({ error: 'Failed to fetch menu', details: err.message });
+  }
+});
 
-    const query = `
-      SELECT
-        c.id,
-        c.google_place_id,
-        c.name,
-        ST_Y(c.location::geometry) as latitude,
-        ST_X(c.location::geometry) as longitude,
-        c.address,
-        c.google_rating,
-        c.google_photo_references,
-        ST_Distance(c.location, ST_MakePoint($1, $2)::geography) as straight_distance,
-        m.chayakkada_rating,
-        m.items_available,
-        m.sells_cigarettes
-      FROM chayakkadas c
-      LEFT JOIN LATERAL (
-        SELECT chayakkada_rating, items_available, sells_cigarettes
-        FROM chayakkada_metadata
-        WHERE chayakkada_id = c.id
-        ORDER BY contributed_at DESC
-        LIMIT 1
-      ) m ON true
-      WHERE ST_DWithin(c.location, ST_MakePoint($1, $2)::geography, $3)
-      ORDER BY straight_distance ASC
-      LIMIT 50
-    `;
+// Contribute menu entries (items with optional price and veg/non-veg tag)
+app.post('/api/chayakkada/:id/menu', verifyToken, contributionLimiter, validateMenuContribution, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { items } = req.body;
 
-    const result = await pool.query(query, [longitude, latitude, searchRadiusMeters]);
+    const shop = await pool.query('SELECT id FROM chayakkadas WHERE id = $1', [id]);
+    if (shop.rows.length === 0) {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
 
-    if (result.rows.length === 0) {
-      return res.json([]);
+    const resolved = await menu.resolveMenuItems(pool, items.map(entry => entry.name));
+    const unknown = items.filter(entry => !resolved.get(entry.name)).map(entry => entry.name);
+
+    if (unknown.length > 0) {
+      logger.warn('Menu contribution with unknown items', { chayakkadaId: id, unknown });
+      return res.status(400).json({
+        error: 'Unknown menu items',
+        details: unknown.map(name => ({ field: 'items', message: `"${name}" is not in the menu catalogue` }))
+      });
     }
 
-    // Prepare destinations for Distance Matrix API
-    const destinations = result.rows.map(shop => ({
-      lat: shop.latitude,
-      lng: shop.longitude
-    }));
+    await menu.upsertMenuEntries(pool, id, items.map(entry => ({
+      menuItemId: resolved.get(entry.name).id,
+      price: entry.price,
+      isVeg: entry.is_veg
+    })), req.user.username, req.user.id);
+
+    logger.info(`Menu updated for chayakkada ${id}`, { items: items.length });
+    res.json({ message: 'Menu updated successfully', menu: await menu.getShopMenu(pool, id) });
+  } catch (err) {
+    logger.error('Add menu error:', err);
+    res.status(500).json({ error: 'Failed to update menu', details: err.message });
+  }
+});
+
+// ============================================
+// OPENING HOURS ROUTES
+// ============================================
+
+// Get a chayakkada's opening hours and current open/closed status
+app.get('/api/chayakkada/:id/hours', validateChayakkadaId, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    const shop = await pool.query('SELECT id FROM chayakkadas WHERE id = $1', [id]);
+    if (shop.rows.length === 0) {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+
+    const { weekly, exceptions } = (await openingHours.loadHours(pool, [id])).get(id);
+
+    res.json({
+      timezone: openingHours.TIMEZONE,
+      weekly,
+      exceptions,
+      status: openingHours.getOpenStatus(weekly, exceptions)
+    });
+  } catch (err) {
+    logger.error('Get opening hours error:', err);
+    res.status(500).json({ error: 'Failed to fetch opening hours', details: err.message });
+  }
+});
+
+// Replace a chayakkada's weekly opening hours
+app.put('/api/chayakkada/:id/hours', verifyToken, contributionLimiter, validateOpeningHours, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { id } = req.params;
+    const { weekly } = req.body;
+
+    const shop = await client.query('SELECT id FROM chayakkadas WHERE id = $1', [id]);
+    if (shop.rows.length === 0) {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM chayakkada_hours WHERE chayakkada_id = $1', [id]);
+
+    for (const range of weekly) {
+      await client.query(`
+        INSERT INTO chayakkada_hours (chayakkada_id, day_of_week, opens_at, closes_at, contributed_by, user_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [id, range.day, range.opens, range.closes, req.user.username, req.user.id]);
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`Opening hours updated for chayakkada ${id}`, { ranges: weekly.length });
+    res.json({ message: 'Opening hours updated successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Update opening hours error:', err);
+    res.status(500).json({ error: 'Failed to update opening hours', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Add a holiday closure or special hours for a date
+app.post('/api/chayakkada/:id/hours/exceptions', verifyToken, contributionLimiter, validateHoursException, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, closed, opens, closes, note } = req.body;
+    const isClosed = closed === true || closed === 'true';
+
+    const result = await pool.query(`
+      INSERT INTO chayakkada_hours_exceptions
+        (chayakkada_id, date, is_closed, opens_at, closes_at, note, contributed_by, user_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, to_char(date, 'YYYY-MM-DD') AS date, is_closed, opens_at, closes_at, note
+    `, [id, date, isClosed, isClosed ? null : opens, isClosed ? null : closes, note, req.user.username, req.user.id]);
+
+    logger.info(`Opening hours exception added for chayakkada ${id}`, { date, isClosed });
+    res.json({ message: 'Opening hours exception added successfully', exception: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+    logger.error('Add opening hours exception error:', err);
+    res.status(500).json({ error: 'Failed to add opening hours exception', details: err.message });
+  }
+});
+
+// Google listings further than this from a pin are probably a different shop
+const LINK_PLACE_MAX_DISTANCE_METERS = 300;
+
+// Link a Google listing to a shop that was added by dropping a pin
+app.post('/api/chayakkada/:id/link-place', verifyToken, contributionLimiter, validateLinkPlace, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const { google_place_id } = req.body;
+
+    const shopResult = await pool.query(`
+      SELECT id, google_place_id, ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+      FROM chayakkadas
+      WHERE id = $1
+    `, [id]);
+
+    if (shopResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+
+    const shop = shopResult.rows[0];
+    if (shop.google_place_id) {
+      return res.status(409).json({ error: 'Chayakkada is already linked to a Google place' });
+    }
 
-    // Call Google Maps Distance Matrix API using axios
-    const origins = `${latitude},${longitude}`;
-    const dests = destinations.map(d => `${d.lat},${d.lng}`).join('|');
+    const existingId = await shopService.findByPlaceId(pool, google_place_id);
+    if (existingId) {
+      return res.status(409).json({
+        error: 'This Google place is already listed as another chayakkada; merge the two instead',
+        existingId
+      });
+    }
 
-    const distanceMatrixResponse = await axios.get(
-      'https://maps.googleapis.com/maps/api/distancematrix/json',
+    const placesResponse = await axios.get(
+      'https://maps.googleapis.com/maps/api/place/details/json',
       {
         params: {
-          origins,
-          destinations: dests,
-          mode: 'walking',
-          units: 'metric',
+          place_id: google_place_id,
+          fields: 'place_id,geometry,formatted_address,rating,photos',
           key: process.env.GOOGLE_MAPS_API_KEY
         }
       }
     );
 
-    // Combine results with walking data
-    const shops = result.rows.map((shop, index) => {
-      const element = distanceMatrixResponse.data.rows[0]?.elements[index];
+    const place = placesResponse.data.result;
+    if (placesResponse.data.status !== 'OK' || !place) {
+      return res.status(404).json({ error: 'Google place not found' });
+    }
 
-      let walkingDistance = null;
-      let walkingTime = null;
+    const distanceMeters = haversineMeters(
+      { lat: shop.latitude, lng: shop.longitude },
+      place.geometry.location
+    );
+    if (distanceMeters > LINK_PLACE_MAX_DISTANCE_METERS) {
+      return res.status(400).json({
+        error: `Google place is ${Math.round(distanceMeters)}m from this chayakkada's pin`
+      });
+    }
+
+    const linked = await shopService.linkGooglePlace(pool, id, {
+      google_place_id: place.place_id,
+      address: place.formatted_address,
+      google_rating: place.rating,
+      google_photo_references: place.photos ? place.photos.slice(0, 5).map(p => p.photo_reference) : []
+    });
 
-      if (element && element.status === 'OK') {
-        walkingDistance = (element.distance.value / 1000).toFixed(2); // Convert to km
-        walkingTime = Math.round(element.duration.value / 60); // Convert to minutes
+    if (!linked) {
+      return res.status(409).json({ error: 'Chayakkada is already linked to a Google place' });
+    }
+
+    logger.info(`Chayakkada ${id} linked to Google place ${place.place_id}`, { userId: req.user.id });
+    res.json({ id, google_place_id: place.place_id, message: 'Google place linked successfully' });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'This Google place is already listed as another chayakkada' });
+    }
+    logger.error('Link place error:', err);
+    res.status(500).json({ error: 'Failed to link Google place', details: err.message });
+  }
+});
+
+// ============================================
+// MODERATION ROUTES
+// ============================================
+
+// Pending anonymous contributions (ANONYMOUS_CONTRIBUTIONS=moderated)
+app.get('/api/moderation/pending', verifyToken, requireModerator, async (req, res) => {
+  try {
+    res.json(await moderation.listPending(pool));
+  } catch (err) {
+    logger.error('List pending contributions error:', err);
+    res.status(500).json({ error: 'Failed to list pending contributions', details: err.message });
+  }
+});
+
+// A review with its earlier versions, including deleted reviews
+app.get('/api/moderation/reviews/:id/history', verifyToken, requireModerator, validateReviewId, async (req, res) => {
+  try {
+    const history = await reviewService.getReviewHistory(pool, req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    res.json(history);
+  } catch (err) {
+    logger.error('Review history error:', err);
+    res.status(500).json({ error: 'Failed to fetch review history', details: err.message });
+  }
+});
+
+// Approve or reject a pending contribution ({ action: 'approve' | 'reject' })
+app.post('/api/moderation/:type/:id', verifyToken, requireModerator, validateModeration, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const { action, note } = req.body;
+
+    const updated = await moderation.moderate(pool, type, id, action, req.user.id, note);
+    if (!updated) {
+      return res.status(404).json({ error: 'Pending contribution not found' });
+    }
+
+    logger.info(`Moderator ${action}d ${type} ${id}`, { userId: req.user.id });
+    res.json({ message: `Contribution ${action}d` });
+  } catch (err) {
+    logger.error('Moderation error:', err);
+    res.status(500).json({ error: 'Failed to moderate contribution', details: err.message });
+  }
+});
+
+// Flag a review or metadata entry ({ reason: spam | abusive | fake | other, note }).
+// Items flagged by FLAG_HIDE_THRESHOLD users are hidden until a moderator acts.
+for (const type of moderation.FLAGGABLE_TYPES) {
+  app.post(`/api/${type}/:id/flag`, verifyToken, contributionLimiter, validateFlag, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const { reason, note } = req.body;
+
+      await client.query('BEGIN');
+      const { flagCount, hidden, error, status } = await moderation.flagContent(
+        client, type, parseInt(req.params.id, 10), req.user.id, reason, note
+      );
+
+      if (error) {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ error });
       }
 
-      return {
-        ...shop,
-        walkingDistance,
-        walkingTime,
-        straight_distance: (shop.straight_distance / 1000).toFixed(2),
-        google_photo_references: shop.google_photo_references || []
-      };
-    });
+      await client.query('COMMIT');
 
-    // Filter by user criteria
-    let filtered = shops.filter(shop => shop.walkingDistance !== null);
+      logger.info(`Flagged ${type} ${req.params.id}`, { userId: req.user.id, reason, flagCount, hidden });
+      res.json({ message: 'Thanks for letting us know. A moderator will take a look.', hidden });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      logger.error('Flag contribution error:', err);
+      res.status(500).json({ error: 'Failed to flag contribution', details: err.message });
+    } finally {
+      client.release();
+    }
+  });
+}
+
+// Flagged reviews and metadata with their reasons, auto-hidden items first
+app.get('/api/moderation/queue', verifyToken, requireModerator, async (req, res) => {
+  try {
+    res.json(await moderation.listFlagged(pool));
+  } catch (err) {
+    logger.error('Moderation queue error:', err);
+    res.status(500).json({ error: 'Failed to load moderation queue', details: err.message });
+  }
+});
+
+// Settle a flagged item ({ action: 'approve' | 'hide' | 'delete', note })
+app.post('/api/moderation/queue/:type/:id', verifyToken, requireModerator, validateFlagResolution, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { type, id } = req.params;
+    const { action, note } = req.body;
+
+    await client.query('BEGIN');
+    const resolved = await moderation.resolveFlagged(client, type, parseInt(id, 10), action, req.user.id, note);
+
+    if (!resolved) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Contribution not found' });
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`Moderator resolved flagged ${type} ${id}: ${action}`, { userId: req.user.id });
+    const outcome = { approve: 'approved', hide: 'hidden', delete: 'deleted' }[action];
+    res.json({ message: `Contribution ${outcome}` });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Resolve flag error:', err);
+    res.status(500).json({ error: 'Failed to moderate contribution', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+const requireAdmin = requireRole('admin');
+
+// Delete a shop with everything attached to it ({ note })
+app.delete('/api/admin/chayakkadas/:id', verifyToken, requireAdmin, validateAdminAction, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query('DELETE FROM chayakkadas WHERE id = $1 RETURNING id, name', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+
+    await moderation.recordAction(pool, 'chayakkadas', id, 'delete', req.user.id, req.body.note);
+
+    logger.info(`Admin deleted chayakkada ${id}`, { userId: req.user.id, name: result.rows[0].name });
+    res.json({ message: 'Chayakkada deleted' });
+  } catch (err) {
+    logger.error('Admin delete chayakkada error:', err);
+    res.status(500).json({ error: 'Failed to delete chayakkada', details: err.message });
+  }
+});
+
+// Hide a review whether or not it has been flagged ({ note })
+app.post('/api/admin/reviews/:id/hide', verifyToken, requireAdmin, validateAdminAction, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const hidden = await moderation.resolveFlagged(client, 'reviews', parseInt(req.params.id, 10), 'hide', req.user.id, req.body.note);
+
+    if (!hidden) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`Admin hid review ${req.params.id}`, { userId: req.user.id });
+    res.json({ message: 'Review hidden' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Admin hide review error:', err);
+    res.status(500).json({ error: 'Failed to hide review', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Ban a user ({ note } is the reason). Their token stops working straight away.
+// Admins can't be banned; demote them first with `npm run admin`.
+app.post('/api/admin/users/:id/ban', verifyToken, requireAdmin, validateAdminAction, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    if (maxDistance) {
-      filtered = filtered.filter(shop => parseFloat(shop.walkingDistance) <= maxDistance);
-    }
+    const result = await pool.query(`
+      UPDATE users
+      SET banned_at = NOW(), banned_reason = $2
+      WHERE id = $1 AND role <> 'admin'
+      RETURNING id, username
+    `, [id, req.body.note || null]);
 
-    if (maxWalkingTime) {
-      filtered = filtered.filter(shop => shop.walkingTime <= maxWalkingTime);
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT role FROM users WHERE id = $1', [id]);
+      return existing.rows.length === 0
+        ? res.status(404).json({ error: 'User not found' })
+        : res.status(400).json({ error: 'Admins cannot be banned' });
     }
 
-    // Sort by walking time
-    filtered.sort((a, b) => a.walkingTime - b.walkingTime);
+    await sessions.revokeAllSessions(pool, id);
+    await moderation.recordAction(pool, 'users', id, 'ban', req.user.id, req.body.note);
 
-    logger.info(`Search completed: ${filtered.length} results found`);
-    res.json(filtered);
+    logger.info(`Admin banned user ${id}`, { userId: req.user.id, username: result.rows[0].username });
+    res.json({ message: `${result.rows[0].username} has been banned` });
   } catch (err) {
-    logger.error('Search error:', err);
-    res.status(500).json({ error: 'Search failed', details: err.message });
+    logger.error('Admin ban user error:', err);
+    res.status(500).json({ error: 'Failed to ban user', details: err.message });
   }
 });
 
-// Get single chayakkada details
-app.get('/api/chayakkada/:id', async (req, res) => {
+// Lift a ban ({ note })
+app.delete('/api/admin/users/:id/ban', verifyToken, requireAdmin, validateAdminAction, async (req, res) => {
   try {
     const { id } = req.params;
-    logger.info(`Fetching details for chayakkada ID: ${id}`);
 
-    // Get chayakkada details
-    const shopResult = await pool.query(`
-      SELECT
-        id,
-        google_place_id,
-        name,
-        ST_Y(location::geometry) as latitude,
-        ST_X(location::geometry) as longitude,
-        address,
-        google_rating,
-        google_photo_references,
-        created_at
-      FROM chayakkadas
-      WHERE id = $1
+    const result = await pool.query(`
+      UPDATE users
+      SET banned_at = NULL, banned_reason = NULL
+      WHERE id = $1 AND banned_at IS NOT NULL
+      RETURNING id, username
     `, [id]);
 
-    if (shopResult.rows.length === 0) {
-      logger.warn(`Chayakkada not found: ${id}`);
-      return res.status(404).json({ error: 'Chayakkada not found' });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Banned user not found' });
     }
 
-    const shop = shopResult.rows[0];
-
-    // Get all metadata entries
-    const metadataResult = await pool.query(`
-      SELECT * FROM chayakkada_metadata
-      WHERE chayakkada_id = $1
-      ORDER BY contributed_at DESC
-    `, [id]);
-
-    // Get all reviews
-    const reviewsResult = await pool.query(`
-      SELECT * FROM reviews
-      WHERE chayakkada_id = $1
-      ORDER BY created_at DESC
-    `, [id]);
+    await moderation.recordAction(pool, 'users', id, 'unban', req.user.id, req.body.note);
 
-    shop.metadata = metadataResult.rows;
-    shop.latestMetadata = metadataResult.rows[0] || null;
-    shop.reviews = reviewsResult.rows;
+    logger.info(`Admin unbanned user ${id}`, { userId: req.user.id });
+    res.json({ message: `${result.rows[0].username} has been unbanned` });
+  } catch (err) {
+    logger.error('Admin unban user error:', err);
+    res.status(500).json({ error: 'Failed to unban user', details: err.message });
+  }
+});
 
-    // Fetch fresh photos from Google Places API if we have a place_id
-    if (shop.google_place_id) {
-      try {
-        logger.info(`Fetching fresh photos for ${shop.name} (place_id: ${shop.google_place_id})`);
-        const placesResponse = await axios.get(
-          'https://maps.googleapis.com/maps/api/place/details/json',
-          {
-            params: {
-              place_id: shop.google_place_id,
-              fields: 'photos',
-              key: process.env.GOOGLE_MAPS_API_KEY
-            }
-          }
-        );
+// Lift a failed-login lockout early and forget the failures ({ note })
+app.post('/api/admin/users/:id/unlock', verifyToken, requireAdmin, validateAdminAction, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-        logger.info(`Google API response status: ${placesResponse.data.status}`);
+    const result = await pool.query('SELECT id, username FROM users WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-        if (placesResponse.data.result && placesResponse.data.result.photos) {
-          // Get top 6 photo references
-          shop.google_photo_references = placesResponse.data.result.photos
-            .slice(0, 6)
-            .map(photo => photo.photo_reference);
-          logger.info(`✓ Fetched ${shop.google_photo_references.length} fresh photos for ${shop.name}`);
-        } else {
-          logger.warn(`No photos returned from Google Places API for ${shop.name}`);
-        }
-      } catch (photoErr) {
-        logger.error(`Failed to fetch fresh photos for ${shop.name}:`, photoErr.response?.data || photoErr.message);
-        // Keep existing photo references from database
-      }
+    const { username } = result.rows[0];
+    const unlocked = await loginThrottle.unlock(pool, username);
+    if (!unlocked) {
+      return res.status(404).json({ error: 'No failed logins recorded for this user' });
     }
 
-    logger.info(`Chayakkada details fetched successfully: ${shop.name}`);
-    res.json(shop);
+    await moderation.recordAction(pool, 'users', id, 'unlock', req.user.id, req.body.note);
+
+    logger.info(`Admin unlocked user ${id}`, { userId: req.user.id, username });
+    res.json({ message: `${username} can login again` });
   } catch (err) {
-    logger.error('Get chayakkada error:', err);
-    res.status(500).json({ error: 'Failed to fetch chayakkada', details: err.message });
+    logger.error('Admin unlock user error:', err);
+    res.status(500).json({ error: 'Failed to unlock user', details: err.message });
   }
 });
 
-// Add new chayakkada
-app.post('/api/chayakkada', async (req, res) => {
+// Turn off a user's two-factor authentication when they have lost both their
+// authenticator and recovery codes ({ note })
+app.delete('/api/admin/users/:id/2fa', verifyToken, requireAdmin, validateAdminAction, async (req, res) => {
   const client = await pool.connect();
   try {
-    const {
-      google_place_id,
-      name,
-      latitude,
-      longitude,
-      address,
-      google_rating,
-      google_photo_references,
-      chayakkada_rating,
-      items_available,
-      sells_cigarettes,
-      contributed_by
-    } = req.body;
-
-    if (!google_place_id || !name || !latitude || !longitude) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { id } = req.params;
 
     await client.query('BEGIN');
 
-    // Insert chayakkada
-    const insertResult = await client.query(`
-      INSERT INTO chayakkadas
-        (google_place_id, name, location, address, google_rating, google_photo_references)
-      VALUES
-        ($1, $2, ST_MakePoint($3, $4)::geography, $5, $6, $7)
-      ON CONFLICT (google_place_id) DO UPDATE
-        SET name = EXCLUDED.name,
-            address = EXCLUDED.address,
-            google_rating = EXCLUDED.google_rating
-      RETURNING id
-    `, [google_place_id, name, longitude, latitude, address, google_rating, JSON.stringify(google_photo_references || [])]);
-
-    const chayakkadaId = insertResult.rows[0].id;
-
-    // Insert metadata if provided
-    if (chayakkada_rating || items_available || sells_cigarettes !== undefined) {
-      await client.query(`
-        INSERT INTO chayakkada_metadata
-          (chayakkada_id, chayakkada_rating, items_available, sells_cigarettes, contributed_by)
-        VALUES ($1, $2, $3, $4, $5)
-      `, [chayakkadaId, chayakkada_rating, items_available, sells_cigarettes || false, contributed_by]);
+    const result = await client.query(
+      'SELECT username FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL FOR UPDATE',
+      [id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User with two-factor authentication not found' });
     }
 
+    await twoFactor.disable(client, id);
+    await sessions.revokeAllSessions(client, id);
+    await moderation.recordAction(client, 'users', id, 'reset_2fa', req.user.id, req.body.note);
+
     await client.query('COMMIT');
 
-    res.json({ id: chayakkadaId, message: 'Chayakkada added successfully' });
+    logger.info(`Admin reset two-factor authentication for user ${id}`, { userId: req.user.id });
+    res.json({ message: `Two-factor authentication turned off for ${result.rows[0].username}` });
   } catch (err) {
     await client.query('ROLLBACK');
-    console.error('Add chayakkada error:', err);
-    res.status(500).json({ error: 'Failed to add chayakkada', details: err.message });
+    logger.error('Admin reset 2FA error:', err);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication', details: err.message });
   } finally {
     client.release();
   }
 });
 
-// Add metadata to existing chayakkada
-app.post('/api/chayakkada/:id/metadata', async (req, res) => {
+// Site settings, with defaults for those never changed
+app.get('/api/admin/settings', verifyToken, requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { chayakkada_rating, items_available, sells_cigarettes, contributed_by } = req.body;
+    res.json(await settings.getSettings(pool));
+  } catch (err) {
+    logger.error('Admin settings error:', err);
+    res.status(500).json({ error: 'Failed to fetch settings', details: err.message });
+  }
+});
+
+// Roles that must use two-factor authentication ({ roles: ['moderator', 'admin'] }).
+// Users in those roles keep their logins but can't use the role's privileges
+// until they enable it. Requiring it for a role requires it for the roles above
+// too, so an admin can't require it for any role without having it.
+app.put('/api/admin/settings/require-2fa', verifyToken, requireAdmin, validateRequireTwoFactor, async (req, res) => {
+  try {
+    const roles = ROLES.filter(role => req.body.roles.includes(role));
+
+    if (twoFactorRequiredFor(req.user.role, roles) && !req.user.twoFactor) {
+      return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+    }
 
-    await pool.query(`
-      INSERT INTO chayakkada_metadata
-        (chayakkada_id, chayakkada_rating, items_available, sells_cigarettes, contributed_by)
-      VALUES ($1, $2, $3, $4, $5)
-    `, [id, chayakkada_rating, items_available, sells_cigarettes || false, contributed_by]);
+    await settings.setSetting(pool, 'require_2fa_roles', roles, req.user.id);
 
-    res.json({ message: 'Metadata added successfully' });
+    logger.info('Two-factor requirement changed', { userId: req.user.id, roles });
+    res.json({ require_2fa_roles: roles });
   } catch (err) {
-    console.error('Add metadata error:', err);
-    res.status(500).json({ error: 'Failed to add metadata', details: err.message });
+    logger.error('Admin settings error:', err);
+    res.status(500).json({ error: 'Failed to update settings', details: err.message });
+  }
+});
+
+// ============================================
+// DUPLICATE ROUTES
+// ============================================
+
+// List candidate duplicate pairs: shops a few metres apart with similar names
+app.get('/api/duplicates', apiLimiter, validateDuplicateSearch, async (req, res) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    const pairs = await duplicates.findDuplicatePairs(pool, {
+      radiusMeters: req.query.radius ? parseFloat(req.query.radius) : undefined,
+      minSimilarity: req.query.minSimilarity !== undefined ? parseFloat(req.query.minSimilarity) : undefined,
+      district: req.query.district ? normalizeDistrict(req.query.district) || req.query.district : null
+    });
+
+    res.json({ total: pairs.length, pairs: pairs.slice(0, limit) });
+  } catch (err) {
+    logger.error('Duplicate search error:', err);
+    res.status(500).json({ error: 'Failed to find duplicates', details: err.message });
+  }
+});
+
+// Merge a duplicate (:id) into the shop that survives (target_id). The merged
+// shop's id keeps working through a redirect. The source shop is deleted, so
+// this is moderator work.
+app.post('/api/chayakkada/:id/merge', verifyToken, requireModerator, validateMerge, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const sourceId = parseInt(req.params.id, 10);
+    const targetId = parseInt(req.body.target_id, 10);
+
+    await client.query('BEGIN');
+    const moved = await shopService.mergeChayakkadas(client, sourceId, targetId, req.user.id);
+
+    if (!moved) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
+
+    const note = [`Merged into ${targetId}`, req.body.note].filter(Boolean).join(': ');
+    await moderation.recordAction(client, 'chayakkadas', sourceId, 'merge', req.user.id, note);
+
+    await client.query('COMMIT');
+
+    logger.info(`Chayakkada ${sourceId} merged into ${targetId}`, { userId: req.user.id, moved });
+    res.json({ id: targetId, merged: sourceId, moved, message: 'Chayakkadas merged successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Merge chayakkadas error:', err);
+    res.status(500).json({ error: 'Failed to merge chayakkadas', details: err.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -638,6 +2954,39 @@ app.post('/api/geocode', async (req, res) => {
   }
 });
 
+// Reverse geocode a dropped pin to a suggested address. Returns nulls rather
+// than an error when no address is available, since the pin alone is enough.
+app.get('/api/geocode/reverse', apiLimiter, validateReverseGeocode, async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+
+    if (!process.env.GOOGLE_MAPS_API_KEY) {
+      return res.json({ formatted_address: null, district: null });
+    }
+
+    const response = await axios.get(
+      'https://maps.googleapis.com/maps/api/geocode/json',
+      {
+        params: {
+          latlng: `${lat},${lng}`,
+          key: process.env.GOOGLE_MAPS_API_KEY
+        }
+      }
+    );
+
+    const result = response.data.results && response.data.results[0];
+    const formattedAddress = result ? result.formatted_address : null;
+
+    res.json({
+      formatted_address: formattedAddress,
+      district: detectDistrict(formattedAddress)
+    });
+  } catch (err) {
+    logger.error('Reverse geocode error:', err);
+    res.status(500).json({ error: 'Reverse geocoding failed', details: err.message });
+  }
+});
+
 // Place autocomplete proxy (for frontend)
 app.get('/api/places/autocomplete', apiLimiter, async (req, res) => {
   try {
@@ -761,46 +3110,131 @@ app.get('/api/photo-proxy', apiLimiter, async (req, res) => {
 });
 
 // Add review to chayakkada
-app.post('/api/chayakkada/:id/review', async (req, res) => {
+app.post('/api/chayakkada/:id/review', requireContributor, contributionLimiter, validateReview, async (req, res) => {
   try {
     const { id } = req.params;
-    const { review_text, reviewer_name } = req.body;
-
-    if (!review_text || review_text.trim().length === 0) {
-      logger.warn('Review submission failed: empty review text');
-      return res.status(400).json({ error: 'Review text is required' });
-    }
+    const { review_text, rating, tea_strength, snacks, cleanliness, value } = req.body;
+    const reviewerName = req.user ? req.user.username : req.body.reviewer_name || 'Anonymous';
+    const status = contributionStatus(req);
 
-    logger.info(`Adding review to chayakkada ID: ${id}`, { reviewer: reviewer_name || 'Anonymous' });
+    logger.info(`Adding review to chayakkada ID: ${id}`, { reviewer: reviewerName, status });
 
     const result = await pool.query(`
-      INSERT INTO reviews (chayakkada_id, review_text, reviewer_name)
-      VALUES ($1, $2, $3)
+      INSERT INTO reviews
+        (chayakkada_id, review_text, reviewer_name, user_id, status, rating, tea_strength, snacks, cleanliness, value)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING *
-    `, [id, review_text.trim(), reviewer_name || 'Anonymous']);
+    `, [id, review_text, reviewerName, req.user ? req.user.id : null, status, rating, tea_strength, snacks, cleanliness, value]);
+
+    if (status === 'approved') {
+      await ratings.refreshRatings(pool, [parseInt(id, 10)]);
+
+      // The shop's creator may have earned a badge for its reviews too
+      const shop = await pool.query('SELECT created_by FROM chayakkadas WHERE id = $1', [id]);
+      awardBadges([req.user.id, shop.rows[0]?.created_by]);
+    }
 
     logger.info(`Review added successfully to chayakkada ${id}`);
-    res.json({ message: 'Review added successfully', review: result.rows[0] });
+    res.json({
+      message: status === 'pending'
+        ? 'Thanks! Your review will appear once a moderator has reviewed it'
+        : 'Review added successfully',
+      review: result.rows[0]
+    });
   } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Chayakkada not found' });
+    }
     logger.error('Add review error:', err);
     res.status(500).json({ error: 'Failed to add review', details: err.message });
   }
 });
 
+// Edit your own review; the previous version is kept for moderators
+app.patch('/api/reviews/:id', verifyToken, contributionLimiter, validateReviewEdit, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { review, error, status } = await reviewService.editReview(client, parseInt(req.params.id, 10), req.user.id, req.body);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`Review ${review.id} edited`, { userId: req.user.id });
+    res.json({ message: 'Review updated successfully', review });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Edit review error:', err);
+    res.status(500).json({ error: 'Failed to update review', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Delete your own review. The row is kept (hidden) with its edit history.
+app.delete('/api/reviews/:id', verifyToken, contributionLimiter, validateReviewId, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { review, error, status } = await reviewService.deleteReview(client, parseInt(req.params.id, 10), req.user.id);
+
+    if (error) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({ error });
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`Review ${review.id} deleted`, { userId: req.user.id });
+    res.json({ message: 'Review deleted successfully' });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Delete review error:', err);
+    res.status(500).json({ error: 'Failed to delete review', details: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Vote a review helpful
+app.post('/api/reviews/:id/helpful', verifyToken, apiLimiter, validateReviewId, async (req, res) => {
+  try {
+    const result = await reviewService.voteHelpful(pool, parseInt(req.params.id, 10), req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (err) {
+    logger.error('Review vote error:', err);
+    res.status(500).json({ error: 'Failed to vote', details: err.message });
+  }
+});
+
+// Take back a helpful vote
+app.delete('/api/reviews/:id/helpful', verifyToken, apiLimiter, validateReviewId, async (req, res) => {
+  try {
+    res.json(await reviewService.removeVote(pool, parseInt(req.params.id, 10), req.user.id));
+  } catch (err) {
+    logger.error('Review vote error:', err);
+    res.status(500).json({ error: 'Failed to remove vote', details: err.message });
+  }
+});
+
 // Get reviews for a chayakkada
-app.get('/api/chayakkada/:id/reviews', async (req, res) => {
+app.get('/api/chayakkada/:id/reviews', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     logger.info(`Fetching reviews for chayakkada ID: ${id}`);
 
-    const result = await pool.query(`
-      SELECT * FROM reviews
-      WHERE chayakkada_id = $1
-      ORDER BY created_at DESC
-    `, [id]);
+    const reviews = await reviewService.listShopReviews(pool, id, req.user?.id);
 
-    logger.info(`Found ${result.rows.length} reviews for chayakkada ${id}`);
-    res.json(result.rows);
+    logger.info(`Found ${reviews.length} reviews for chayakkada ${id}`);
+    res.json(reviews);
   } catch (err) {
     logger.error('Get reviews error:', err);
     res.status(500).json({ error: 'Failed to fetch reviews', details: err.message });
@@ -809,13 +3243,116 @@ app.get('/api/chayakkada/:id/reviews', async (req, res) => {
 
 // Health check endpoint
 app.get('/api/health', (_req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    routingCache: routingCache ? routingCache.getStats() : null
+  });
 });
 
 app.listen(PORT, () => {
   logger.info(`Server running on http://localhost:${PORT}`);
 });
 
+// Prune expired walking time cache entries hourly
+if (routingCache) {
+  setInterval(async () => {
+    try {
+      const pruned = await routingCache.pruneExpired();
+      if (pruned > 0) {
+        logger.info(`Pruned ${pruned} expired walking time cache entries`);
+      }
+    } catch (err) {
+      logger.error('Walking time cache prune failed:', err);
+    }
+  }, 60 * 60 * 1000).unref();
+}
+
+// Forget long-finished login sessions hourly
+setInterval(async () => {
+  try {
+    const pruned = await sessions.pruneSessions(pool);
+    if (pruned > 0) {
+      logger.info(`Pruned ${pruned} ended sessions`);
+    }
+  } catch (err) {
+    logger.error('Session prune failed:', err);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Forget old failed logins hourly
+setInterval(async () => {
+  try {
+    const pruned = await loginThrottle.pruneLoginFailures(pool);
+    if (pruned > 0) {
+      logger.info(`Pruned ${pruned} failed login records`);
+    }
+  } catch (err) {
+    logger.error('Failed login prune failed:', err);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Forget used and expired password reset tokens hourly
+setInterval(async () => {
+  try {
+    const pruned = await passwords.pruneResetTokens(pool);
+    if (pruned > 0) {
+      logger.info(`Pruned ${pruned} password reset tokens`);
+    }
+  } catch (err) {
+    logger.error('Password reset token prune failed:', err);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Recompute every shop's Bayesian rating hourly as the overall mean drifts
+setInterval(async () => {
+  try {
+    await ratings.refreshRatings(pool);
+  } catch (err) {
+    logger.error('Rating aggregate refresh failed:', err);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Award newly earned badges hourly
+setInterval(async () => {
+  try {
+    const awarded = await badges.evaluateBadges(pool);
+    if (awarded.length > 0) {
+      logger.info(`Awarded ${awarded.length} badges`);
+    }
+  } catch (err) {
+    logger.error('Badge evaluation failed:', err);
+  }
+}, 60 * 60 * 1000).unref();
+
+// Delete accounts whose grace period is over, each in its own transaction
+async function purgeDeletedAccounts() {
+  for (const user of await accounts.dueDeletions(pool)) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const removed = await accounts.purgeAccount(client, user);
+      await moderation.recordAction(client, 'users', user.id, 'delete_account', null, user.deletion_mode);
+      await client.query('COMMIT');
+      logger.info('Account deleted', { userId: user.id, mode: user.deletion_mode, ...removed });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      logger.error('Account deletion failed:', { userId: user.id, error: err.message });
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Carry out scheduled account deletions hourly
+setInterval(async () => {
+  try {
+    await purgeDeletedAccounts();
+  } catch (err) {
+    logger.error('Account deletion run failed:', err);
+  }
+}, 60 * 60 * 1000).unref();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, closing server...');
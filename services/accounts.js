@@ -0,0 +1,178 @@
+const sessions = require('./sessions');
+const ratings = require('./ratings');
+const reputation = require('./reputation');
+const badges = require('./badges');
+
+// Days between asking to delete an account and it being deleted. Until then
+// the user can't log in but can restore the account with their password.
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+// What happens to reviews and shop details when the account goes: kept
+// without the user's name, or deleted. Shops, menus and opening hours are
+// facts about the shop that others build on, so they are always kept anonymously.
+const DELETION_MODES = ['anonymize', 'delete'];
+
+// Tables whose rows also name their contributor as free text (contributed_by).
+// Only rows with the user's user_id are theirs: anonymous visitors can type any name.
+const CONTRIBUTED_BY_TABLES = ['chayakkada_metadata', 'chayakkada_menu', 'chayakkada_hours', 'chayakkada_hours_exceptions'];
+
+// Everything stored about a user, for download. There is no favourites
+// feature yet, so there are no favourites to include.
+async function exportAccount(db, userId) {
+  const accountResult = await db.query(`
+    SELECT id, username, email, role, created_at, last_login, password_set, password_changed_at,
+           banned_at, banned_reason, totp_enabled_at, deletion_requested_at, deletion_due_at, deletion_mode
+    FROM users
+    WHERE id = $1
+  `, [userId]);
+
+  const account = accountResult.rows[0];
+  if (!account) {
+    return null;
+  }
+
+  const byUser = async (sql) => (await db.query(sql, [userId])).rows;
+
+  return {
+    exported_at: new Date().toISOString(),
+    account,
+    reputation: await reputation.getReputation(db, userId),
+    badges: await badges.getUserBadges(db, userId),
+    shops: await byUser(`
+      SELECT id, google_place_id, source, name, address, district,
+             ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude,
+             status, created_at
+      FROM chayakkadas
+      WHERE created_by = $1
+      ORDER BY id
+    `),
+    metadata: await byUser('SELECT * FROM chayakkada_metadata WHERE user_id = $1 ORDER BY id'),
+    reviews: await byUser(`
+      SELECT r.*,
+             COALESCE((
+               SELECT json_agg(e ORDER BY e.edited_at)
+               FROM review_edits e
+               WHERE e.review_id = r.id
+             ), '[]') as earlier_versions
+      FROM reviews r
+      WHERE r.user_id = $1
+      ORDER BY r.id
+    `),
+    menu_entries: await byUser('SELECT * FROM chayakkada_menu WHERE user_id = $1 ORDER BY id'),
+    opening_hours: await byUser('SELECT * FROM chayakkada_hours WHERE user_id = $1 ORDER BY id'),
+    opening_hours_exceptions: await byUser('SELECT * FROM chayakkada_hours_exceptions WHERE user_id = $1 ORDER BY id'),
+    helpful_votes: await byUser('SELECT review_id, created_at FROM review_votes WHERE user_id = $1 ORDER BY created_at'),
+    flags: await byUser(`
+      SELECT content_type, content_id, reason, note, created_at, resolved_at
+      FROM content_flags
+      WHERE user_id = $1
+      ORDER BY created_at
+    `),
+    linked_accounts: await byUser(`
+      SELECT provider, subject, email, created_at, last_login_at
+      FROM user_identities
+      WHERE user_id = $1
+      ORDER BY created_at
+    `),
+    sessions: await byUser(`
+      SELECT id, user_agent, ip, created_at, last_used_at, expires_at, revoked_at
+      FROM sessions
+      WHERE user_id = $1
+      ORDER BY created_at
+    `),
+    password_reset_requests: await byUser(`
+      SELECT requested_ip, created_at, expires_at, used_at
+      FROM password_reset_tokens
+      WHERE user_id = $1
+      ORDER BY created_at
+    `)
+  };
+}
+
+// Schedule the account for deletion and log out every session.
+// Run inside a transaction. Returns the date it will be deleted.
+async function requestDeletion(db, userId, mode) {
+  const result = await db.query(`
+    UPDATE users
+    SET deletion_requested_at = NOW(),
+        deletion_due_at = NOW() + make_interval(days => $3),
+        deletion_mode = $2
+    WHERE id = $1
+    RETURNING deletion_due_at
+  `, [userId, mode, DELETION_GRACE_DAYS]);
+
+  await sessions.revokeAllSessions(db, userId);
+  return result.rows[0].deletion_due_at;
+}
+
+// Call off a scheduled deletion. Returns false if none was scheduled.
+async function cancelDeletion(db, userId) {
+  const result = await db.query(`
+    UPDATE users
+    SET deletion_requested_at = NULL, deletion_due_at = NULL, deletion_mode = NULL
+    WHERE id = $1 AND deletion_requested_at IS NOT NULL
+  `, [userId]);
+  return result.rowCount > 0;
+}
+
+// Accounts whose grace period is over
+async function dueDeletions(db) {
+  const result = await db.query(`
+    SELECT id, username, deletion_mode
+    FROM users
+    WHERE deletion_due_at <= NOW()
+    ORDER BY deletion_due_at
+  `);
+  return result.rows;
+}
+
+// Delete an account for good, anonymising or deleting its reviews and shop
+// details as the user chose. Sessions, votes, flags, badges and the like go
+// with the users row. Run inside a transaction. Returns what happened to the
+// contributions as { reviews, metadata } counts.
+async function purgeAccount(db, user) {
+  let reviews;
+  let metadata;
+
+  // Drop the name from rows kept below (metadata is matched before it loses its user_id)
+  for (const table of CONTRIBUTED_BY_TABLES) {
+    await db.query(`UPDATE ${table} SET contributed_by = 'Anonymous' WHERE user_id = $1`, [user.id]);
+  }
+
+  if (user.deletion_mode === 'delete') {
+    const deleted = await db.query('DELETE FROM reviews WHERE user_id = $1 RETURNING chayakkada_id', [user.id]);
+    reviews = deleted.rowCount;
+    metadata = (await db.query('DELETE FROM chayakkada_metadata WHERE user_id = $1', [user.id])).rowCount;
+
+    const shopIds = [...new Set(deleted.rows.map(row => row.chayakkada_id))];
+    if (shopIds.length > 0) {
+      await ratings.refreshRatings(db, shopIds);
+    }
+  } else {
+    reviews = (await db.query(
+      "UPDATE reviews SET user_id = NULL, reviewer_name = 'Anonymous' WHERE user_id = $1",
+      [user.id]
+    )).rowCount;
+    metadata = (await db.query(
+      'UPDATE chayakkada_metadata SET user_id = NULL WHERE user_id = $1',
+      [user.id]
+    )).rowCount;
+  }
+
+  // Columns without a foreign key that would otherwise point at a missing user
+  await db.query('UPDATE chayakkada_redirects SET merged_by = NULL WHERE merged_by = $1', [user.id]);
+  await db.query('DELETE FROM login_failures WHERE username = $1', [user.username.toLowerCase()]);
+  await db.query('DELETE FROM users WHERE id = $1', [user.id]);
+
+  return { reviews, metadata };
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  DELETION_MODES,
+  exportAccount,
+  requestDeletion,
+  cancelDeletion,
+  dueDeletions,
+  purgeAccount
+};
@@ -0,0 +1,183 @@
+// Achievement badges. Each badge is a rule over approved contributions; the
+// rules below are data, so adding a badge means adding an entry here (with an
+// existing rule type, or a new one in RULE_TYPES) and no schema change.
+// user_badges only records who earned which badge id and when.
+
+// What counts as a contribution of each kind, and whose it is
+const CONTRIBUTION_SOURCES = {
+  shops: {
+    table: 'chayakkadas',
+    userColumn: 'created_by',
+    where: "status = 'approved'"
+  },
+  metadata: {
+    table: 'chayakkada_metadata',
+    userColumn: 'user_id',
+    where: "status = 'approved'"
+  },
+  reviews: {
+    table: 'reviews',
+    userColumn: 'user_id',
+    where: "status = 'approved' AND deleted_at IS NULL"
+  }
+};
+
+// Rule types: each takes a badge's rule options and returns a query for the
+// ids of users who qualify, as { sql, params }
+const RULE_TYPES = {
+  // At least `min` approved contributions of a kind
+  count: ({ contribution, min }) => {
+    const source = CONTRIBUTION_SOURCES[contribution];
+    return {
+      sql: `
+        SELECT ${source.userColumn} as user_id
+        FROM ${source.table}
+        WHERE ${source.where} AND ${source.userColumn} IS NOT NULL
+        GROUP BY ${source.userColumn}
+        HAVING COUNT(*) >= $1
+      `,
+      params: [min]
+    };
+  },
+
+  // Added the first approved shop in a district
+  firstShopInDistrict: () => ({
+    sql: `
+      SELECT created_by as user_id
+      FROM (
+        SELECT DISTINCT ON (district) district, created_by
+        FROM chayakkadas
+        WHERE status = 'approved' AND district IS NOT NULL
+        ORDER BY district, created_at, id
+      ) first_shops
+      WHERE created_by IS NOT NULL
+    `,
+    params: []
+  }),
+
+  // Added a shop that went on to get `minReviews` reviews from other people
+  popularShopCreator: ({ minReviews }) => ({
+    sql: `
+      SELECT DISTINCT c.created_by as user_id
+      FROM chayakkadas c
+      WHERE c.status = 'approved' AND c.created_by IS NOT NULL
+        AND (
+          SELECT COUNT(*) FROM reviews r
+          WHERE r.chayakkada_id = c.id AND r.user_id IS DISTINCT FROM c.created_by
+            AND r.status = 'approved' AND r.deleted_at IS NULL
+        ) >= $1
+    `,
+    params: [minReviews]
+  })
+};
+
+// The badges. Ids are stored in user_badges, so don't rename one once it has
+// been awarded; retired badges are simply left out of listings.
+const BADGES = [
+  {
+    id: 'district_pioneer',
+    name: 'District Pioneer',
+    icon: '🧭',
+    description: 'Added the first chayakkada in a district',
+    rule: { type: 'firstShopInDistrict' }
+  },
+  {
+    id: 'verified_shops_10',
+    name: 'Tea Trail Blazer',
+    icon: '🏪',
+    description: 'Added 10 chayakkadas that passed moderation',
+    rule: { type: 'count', contribution: 'shops', min: 10 }
+  },
+  {
+    id: 'reviews_50',
+    name: 'Chaya Connoisseur',
+    icon: '✍️',
+    description: 'Wrote 50 reviews',
+    rule: { type: 'count', contribution: 'reviews', min: 50 }
+  },
+  {
+    id: 'popular_find',
+    name: 'Local Legend',
+    icon: '🌟',
+    description: 'Added a chayakkada that went on to get 20 reviews',
+    rule: { type: 'popularShopCreator', minReviews: 20 }
+  }
+];
+
+const BADGES_BY_ID = new Map(BADGES.map(badge => [badge.id, badge]));
+
+// Catch typos in the definitions at startup rather than at evaluation time
+for (const badge of BADGES) {
+  if (!RULE_TYPES[badge.rule.type]) {
+    throw new Error(`Badge ${badge.id} has unknown rule type ${badge.rule.type}`);
+  }
+  if (badge.rule.type === 'count' && !CONTRIBUTION_SOURCES[badge.rule.contribution]) {
+    throw new Error(`Badge ${badge.id} counts unknown contribution ${badge.rule.contribution}`);
+  }
+}
+
+// Public view of a badge (without its rule)
+function describeBadge({ id, name, icon, description }) {
+  return { id, name, icon, description };
+}
+
+// Award every badge whose rule is now met, to everyone or only to userId.
+// Badges once earned are kept. Returns [{ userId, badgeId }] newly awarded.
+async function evaluateBadges(db, userId = null) {
+  const awarded = [];
+
+  for (const badge of BADGES) {
+    const { sql, params } = RULE_TYPES[badge.rule.type](badge.rule);
+    const badgeParam = params.length + 1;
+    const userParam = params.length + 2;
+
+    const result = await db.query(`
+      INSERT INTO user_badges (user_id, badge_id)
+      SELECT q.user_id, $${badgeParam}
+      FROM (${sql}) q
+      JOIN users u ON u.id = q.user_id AND u.banned_at IS NULL
+      WHERE $${userParam}::int IS NULL OR q.user_id = $${userParam}
+      ON CONFLICT (user_id, badge_id) DO NOTHING
+      RETURNING user_id
+    `, [...params, badge.id, userId]);
+
+    for (const row of result.rows) {
+      awarded.push({ userId: row.user_id, badgeId: badge.id });
+    }
+  }
+
+  return awarded;
+}
+
+// A user's badges, oldest first
+async function getUserBadges(db, userId) {
+  const result = await db.query(
+    'SELECT badge_id, awarded_at FROM user_badges WHERE user_id = $1 ORDER BY awarded_at, badge_id',
+    [userId]
+  );
+
+  return result.rows
+    .filter(row => BADGES_BY_ID.has(row.badge_id))
+    .map(row => ({ ...describeBadge(BADGES_BY_ID.get(row.badge_id)), awarded_at: row.awarded_at }));
+}
+
+// Every badge with how many users hold it
+async function listBadges(db) {
+  const result = await db.query(`
+    SELECT b.badge_id, COUNT(*)::int as holders
+    FROM user_badges b
+    JOIN users u ON u.id = b.user_id AND u.banned_at IS NULL
+    GROUP BY b.badge_id
+  `);
+  const holders = new Map(result.rows.map(row => [row.badge_id, row.holders]));
+
+  return BADGES.map(badge => ({ ...describeBadge(badge), holders: holders.get(badge.id) || 0 }));
+}
+
+module.exports = {
+  BADGES,
+  RULE_TYPES,
+  evaluateBadges,
+  getUserBadges,
+  listBadges
+};
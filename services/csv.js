@@ -0,0 +1,84 @@
+// Minimal RFC 4180 CSV reading and writing for dataset import and export
+
+// Quoted when it contains a delimiter, quote or line break
+function formatField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value instanceof Date ? value.toISOString() : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(values) {
+  return values.map(formatField).join(',') + '\r\n';
+}
+
+// Parse CSV text into rows of string fields. Handles quoted fields with
+// embedded commas, quotes and line breaks, CRLF or LF endings and a UTF-8 BOM
+// (spreadsheet exports usually have one).
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Parse CSV with a header row into objects keyed by header name
+function parse(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(name => name.trim());
+  return rows.map(values =>
+    Object.fromEntries(columns.map((column, index) => [column, values[index] !== undefined ? values[index] : '']))
+  );
+}
+
+module.exports = {
+  formatRow,
+  parseRows,
+  parse
+};
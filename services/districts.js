@@ -0,0 +1,62 @@
+// Kerala districts with common alternate names and the larger towns people
+// write in addresses instead of the district name
+const DISTRICTS = {
+  Thiruvananthapuram: ['trivandrum', 'tvm', 'neyyattinkara', 'varkala', 'attingal', 'nedumangad', 'kazhakkoottam'],
+  Kollam: ['quilon', 'karunagappally', 'kottarakkara', 'punalur'],
+  Pathanamthitta: ['thiruvalla', 'tiruvalla', 'adoor', 'ranni'],
+  Alappuzha: ['alleppey', 'cherthala', 'kayamkulam', 'haripad', 'mavelikkara'],
+  Kottayam: ['changanassery', 'changanacherry', 'pala', 'ettumanoor', 'vaikom'],
+  Idukki: ['munnar', 'thodupuzha', 'kattappana', 'adimali'],
+  Ernakulam: ['kochi', 'cochin', 'aluva', 'kakkanad', 'edappally', 'fort kochi', 'perumbavoor', 'muvattupuzha', 'kalamassery', 'angamaly', 'tripunithura'],
+  Thrissur: ['trichur', 'guruvayur', 'chalakudy', 'irinjalakuda', 'kodungallur', 'kunnamkulam'],
+  Palakkad: ['palghat', 'ottapalam', 'shoranur', 'mannarkkad', 'chittur'],
+  Malappuram: ['manjeri', 'tirur', 'perinthalmanna', 'kottakkal', 'nilambur', 'ponnani'],
+  Kozhikode: ['calicut', 'vatakara', 'vadakara', 'koyilandy', 'feroke', 'ramanattukara'],
+  Wayanad: ['wynad', 'kalpetta', 'sulthan bathery', 'mananthavady'],
+  Kannur: ['cannanore', 'thalassery', 'tellicherry', 'payyanur', 'taliparamba'],
+  Kasaragod: ['kasargod', 'kasaragode', 'kanhangad', 'nileshwar']
+};
+
+// [{ district, pattern }] matching the district name or any alias as a whole word
+const MATCHERS = Object.entries(DISTRICTS).flatMap(([district, aliases]) =>
+  [district.toLowerCase(), ...aliases].map(name => ({
+    district,
+    pattern: new RegExp(`\\b${name.replace(/ /g, '\\s+')}\\b`, 'gi')
+  }))
+);
+
+// Best-guess district for a free-text address. Addresses run from specific to
+// general ("MG Road, Kochi, Kerala"), so the match closest to the end wins.
+function detectDistrict(address) {
+  if (!address) {
+    return null;
+  }
+
+  let best = null;
+  for (const { district, pattern } of MATCHERS) {
+    for (const match of String(address).matchAll(pattern)) {
+      if (!best || match.index > best.index) {
+        best = { district, index: match.index };
+      }
+    }
+  }
+
+  return best ? best.district : null;
+}
+
+// Canonical district name for user input ("calicut" -> "Kozhikode"), or null
+function normalizeDistrict(name) {
+  const value = String(name || '').trim().toLowerCase();
+  const match = MATCHERS.find(({ pattern }) => {
+    pattern.lastIndex = 0;
+    const found = pattern.exec(value);
+    return found && found[0].length === value.length;
+  });
+  return match ? match.district : null;
+}
+
+module.exports = {
+  DISTRICTS: Object.keys(DISTRICTS),
+  detectDistrict,
+  normalizeDistrict
+};
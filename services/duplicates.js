@@ -0,0 +1,163 @@
+const { haversineMeters } = require('./geo');
+
+// Two listings closer than this with similar names are probably the same shop.
+// Tiny stalls are often pinned a few metres apart by different Google listings.
+const DUPLICATE_RADIUS_METERS = 50;
+const NAME_SIMILARITY_THRESHOLD = 0.6;
+
+// Words that say "tea shop" rather than which tea shop
+const GENERIC_WORDS = new Set([
+  'the', 'and', 'tea', 'shop', 'stall', 'store', 'chayakkada', 'chaya', 'kada',
+  'chai', 'cafe', 'hotel', 'restaurant', 'bakery', 'cool', 'bar', 'centre', 'center',
+  'ചായക്കട', 'ചായ', 'കട'
+]);
+
+// Lowercase, strip accents, punctuation and generic words
+function normalizeName(name) {
+  const words = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&#x27;|['\u2019]/g, '')
+    .replace(/&amp;|&quot;|&lt;|&gt;/g, ' ')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  const significant = words.filter(word => !GENERIC_WORDS.has(word));
+  // "Tea Stall" alone is still a name; keep it rather than comparing empty strings
+  return (significant.length > 0 ? significant : words).join(' ');
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+// Name similarity from 0 to 1: Dice coefficient over character bigrams of the
+// normalised names, or 1 when one name is wholly contained in the other
+// ("Ammachi's" vs "Ammachis Chayakkada Kaloor")
+function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right || ` ${left} `.includes(` ${right} `) || ` ${right} `.includes(` ${left} `)) {
+    return 1;
+  }
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  let total = 0;
+
+  for (const [gram, count] of leftGrams) {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+    total += count;
+  }
+  for (const count of rightGrams.values()) {
+    total += count;
+  }
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+// Whether two shops ({ name, latitude, longitude }) look like the same place.
+// Returns { distanceMeters, similarity } when they do, otherwise null.
+function compareShops(a, b, { radiusMeters = DUPLICATE_RADIUS_METERS, minSimilarity = NAME_SIMILARITY_THRESHOLD } = {}) {
+  const distanceMeters = haversineMeters(
+    { lat: Number(a.latitude), lng: Number(a.longitude) },
+    { lat: Number(b.latitude), lng: Number(b.longitude) }
+  );
+  if (distanceMeters > radiusMeters) {
+    return null;
+  }
+
+  const similarity = nameSimilarity(a.name, b.name);
+  return similarity >= minSimilarity ? { distanceMeters, similarity } : null;
+}
+
+// Existing shops that look like the same place as `shop`, closest first
+async function findDuplicates(db, shop, options = {}) {
+  const radiusMeters = options.radiusMeters || DUPLICATE_RADIUS_METERS;
+
+  const result = await db.query(`
+    SELECT
+      id,
+      google_place_id,
+      name,
+      ST_Y(location::geometry) as latitude,
+      ST_X(location::geometry) as longitude
+    FROM chayakkadas
+    WHERE ST_DWithin(location, ST_MakePoint($1, $2)::geography, $3)
+      AND status <> 'rejected'
+  `, [shop.longitude, shop.latitude, radiusMeters]);
+
+  return result.rows
+    .map(existing => ({ ...existing, ...compareShops(shop, existing, options) }))
+    .filter(existing => existing.similarity !== undefined)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+}
+
+// Candidate duplicate pairs across the dataset (optionally one district):
+// shops within radiusMeters of each other whose names are similar.
+// Returns [{ shops: [a, b], distanceMeters, similarity }], closest first.
+async function findDuplicatePairs(db, options = {}) {
+  const radiusMeters = options.radiusMeters || DUPLICATE_RADIUS_METERS;
+  const params = [radiusMeters];
+  let districtFilter = '';
+
+  if (options.district) {
+    params.push(options.district);
+    districtFilter = `AND LOWER(a.district) = LOWER($${params.length})`;
+  }
+
+  // Each pair once (a.id < b.id); the spatial index keeps the self-join cheap
+  const result = await db.query(`
+    SELECT
+      a.id as a_id, a.name as a_name, a.address as a_address,
+      ST_Y(a.location::geometry) as a_latitude, ST_X(a.location::geometry) as a_longitude,
+      b.id as b_id, b.name as b_name, b.address as b_address,
+      ST_Y(b.location::geometry) as b_latitude, ST_X(b.location::geometry) as b_longitude
+    FROM chayakkadas a
+    JOIN chayakkadas b
+      ON a.id < b.id
+     AND ST_DWithin(a.location, b.location, $1)
+    WHERE a.status <> 'rejected' AND b.status <> 'rejected' ${districtFilter}
+  `, params);
+
+  const shop = (row, prefix) => ({
+    id: row[`${prefix}_id`],
+    name: row[`${prefix}_name`],
+    address: row[`${prefix}_address`],
+    latitude: row[`${prefix}_latitude`],
+    longitude: row[`${prefix}_longitude`]
+  });
+
+  return result.rows
+    .map(row => {
+      const a = shop(row, 'a');
+      const b = shop(row, 'b');
+      return { shops: [a, b], ...compareShops(a, b, options) };
+    })
+    .filter(pair => pair.similarity !== undefined)
+    .sort((x, y) => x.distanceMeters - y.distanceMeters);
+}
+
+module.exports = {
+  DUPLICATE_RADIUS_METERS,
+  NAME_SIMILARITY_THRESHOLD,
+  normalizeName,
+  nameSimilarity,
+  compareShops,
+  findDuplicates,
+  findDuplicatePairs
+};
@@ -0,0 +1,236 @@
+const { once } = require('events');
+
+const csv = require('./csv');
+
+// Shops per query while streaming an export; keeps memory flat however big the table gets
+const EXPORT_BATCH_SIZE = 500;
+
+// Columns in every export, in CSV column order
+const EXPORT_FIELDS = [
+  'id',
+  'google_place_id',
+  'source',
+  'name',
+  'latitude',
+  'longitude',
+  'address',
+  'district',
+  'google_rating',
+  'rating_average',
+  'rating_count',
+  'latest_rating',
+  'review_count',
+  'review_rating',
+  'bayesian_rating',
+  'items_available',
+  'sells_cigarettes',
+  'metadata_updated_at',
+  'created_at'
+];
+
+// WHERE clause for the optional bbox ([minLng, minLat, maxLng, maxLat]) and district filters
+function buildFilter({ bbox, district } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (bbox) {
+    params.push(...bbox);
+    const n = params.length;
+    conditions.push(`c.location && ST_MakeEnvelope($${n - 3}, $${n - 2}, $${n - 1}, $${n}, 4326)::geography`);
+  }
+
+  if (district) {
+    params.push(district);
+    conditions.push(`LOWER(c.district) = LOWER($${params.length})`);
+  }
+
+  return { conditions, params };
+}
+
+// Async generator over every shop matching the filters, with its latest
+// metadata and aggregate community rating. Pages by id so each query is cheap
+// and only one batch is held in memory at a time.
+async function* iterateShops(db, filters = {}, batchSize = EXPORT_BATCH_SIZE) {
+  const { conditions, params } = buildFilter(filters);
+  let lastId = 0;
+
+  while (true) {
+    const pageParams = [...params, lastId, batchSize];
+    const where = [...conditions, "c.status = 'approved'", `c.id > $${pageParams.length - 1}`].join(' AND ');
+
+    const result = await db.query(`
+      SELECT
+        c.id,
+        c.google_place_id,
+        c.source,
+        c.name,
+        ST_Y(c.location::geometry) as latitude,
+        ST_X(c.location::geometry) as longitude,
+        c.address,
+        c.district,
+        c.google_rating,
+        r.rating_average,
+        COALESCE(r.rating_count, 0) as rating_count,
+        m.chayakkada_rating as latest_rating,
+        COALESCE(a.review_count, 0) as review_count,
+        a.rating_mean as review_rating,
+        a.bayesian_rating,
+        m.items_available,
+        m.sells_cigarettes,
+        m.contributed_at as metadata_updated_at,
+        c.created_at
+      FROM chayakkadas c
+      LEFT JOIN LATERAL (
+        SELECT chayakkada_rating, items_available, sells_cigarettes, contributed_at
+        FROM chayakkada_metadata
+        WHERE chayakkada_id = c.id AND status = 'approved'
+        ORDER BY contributed_at DESC
+        LIMIT 1
+      ) m ON true
+      LEFT JOIN LATERAL (
+        SELECT ROUND(AVG(chayakkada_rating)::numeric, 2)::float as rating_average,
+               COUNT(chayakkada_rating)::int as rating_count
+        FROM chayakkada_metadata
+        WHERE chayakkada_id = c.id AND status = 'approved'
+      ) r ON true
+      LEFT JOIN chayakkada_rating_aggregates a ON a.chayakkada_id = c.id
+      WHERE ${where}
+      ORDER BY c.id
+      LIMIT $${pageParams.length}
+    `, pageParams);
+
+    for (const row of result.rows) {
+      yield row;
+    }
+
+    if (result.rows.length < batchSize) {
+      return;
+    }
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+function toIsoString(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Export formats: each turns the shop stream into header, per-shop and footer chunks
+const FORMATS = {
+  geojson: {
+    contentType: 'application/geo+json; charset=utf-8',
+    extension: 'geojson',
+    header: () => '{"type":"FeatureCollection","features":[\n',
+    row: (shop, index) => {
+      const { latitude, longitude, ...properties } = shop;
+      properties.metadata_updated_at = toIsoString(properties.metadata_updated_at);
+      properties.created_at = toIsoString(properties.created_at);
+      const feature = {
+        type: 'Feature',
+        id: shop.id,
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      };
+      return (index > 0 ? ',\n' : '') + JSON.stringify(feature);
+    },
+    footer: () => '\n]}\n'
+  },
+
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => csv.formatRow(EXPORT_FIELDS),
+    row: shop => csv.formatRow(EXPORT_FIELDS.map(field => shop[field])),
+    footer: () => ''
+  },
+
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8',
+    extension: 'kml',
+    header: () => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '<Document>',
+      '<name>Chayakkadas</name>',
+      ''
+    ].join('\n'),
+    row: shop => {
+      const description = [
+        shop.address,
+        shop.rating_average !== null ? `Rating: ${shop.rating_average} (${shop.rating_count})` : null,
+        shop.review_rating !== null ? `Reviews: ${shop.review_rating}/5 (${shop.review_count})` : null,
+        shop.items_available ? `Items: ${shop.items_available}` : null
+      ].filter(Boolean).join('\n');
+
+      const data = EXPORT_FIELDS
+        .filter(field => !['name', 'latitude', 'longitude'].includes(field))
+        .filter(field => shop[field] !== null && shop[field] !== undefined)
+        .map(field => `<Data name="${field}"><value>${xmlEscape(toIsoString(shop[field]))}</value></Data>`)
+        .join('');
+
+      return [
+        `<Placemark id="chayakkada-${shop.id}">`,
+        `<name>${xmlEscape(shop.name)}</name>`,
+        `<description>${xmlEscape(description)}</description>`,
+        `<ExtendedData>${data}</ExtendedData>`,
+        `<Point><coordinates>${shop.longitude},${shop.latitude}</coordinates></Point>`,
+        '</Placemark>',
+        ''
+      ].join('\n');
+    },
+    footer: () => '</Document>\n</kml>\n'
+  }
+};
+
+// Stream an export into a writable (HTTP response or file), waiting on
+// backpressure so a slow client doesn't buffer the whole dataset.
+// Returns the number of shops written.
+async function writeExport(db, format, filters, out) {
+  const formatter = FORMATS[format];
+  if (!formatter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const write = async chunk => {
+    if (out.destroyed) {
+      throw new Error('Export destination closed');
+    }
+    if (chunk && !out.write(chunk)) {
+      // Wait for the buffer to drain, or stop if the client goes away
+      const waiting = new AbortController();
+      try {
+        await Promise.race([
+          once(out, 'drain', { signal: waiting.signal }),
+          once(out, 'close', { signal: waiting.signal })
+        ]);
+      } finally {
+        waiting.abort();
+      }
+    }
+  };
+
+  let count = 0;
+  await write(formatter.header());
+  for await (const shop of iterateShops(db, filters)) {
+    await write(formatter.row(shop, count));
+    count++;
+  }
+  await write(formatter.footer());
+
+  return count;
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  FORMATS,
+  iterateShops,
+  writeExport
+};
@@ -0,0 +1,57 @@
+// Mean Earth radius (IUGG), good enough for walking-scale distances
+const EARTH_RADIUS_METERS = 6371008.8;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance in meters between two { lat, lng } points
+function haversineMeters(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Encode a point as a geohash string; precision 7 is a cell of roughly 150m x 150m
+function encodeGeohash(lat, lng, precision = 7) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate between longitude and latitude, longitude first
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    charIndex <<= 1;
+    if (value >= mid) {
+      charIndex |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+}
+
+module.exports = {
+  haversineMeters,
+  encodeGeohash
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const passwords = require('./passwords');
+
+// External (OpenID Connect) identities linked to users: one per provider per
+// user, and each provider account linked to at most one user
+
+// The user behind a provider account, or null
+async function findIdentityUser(db, provider, subject) {
+  const result = await db.query(`
+    SELECT i.id as identity_id, u.id, u.username, u.role, u.banned_at, u.totp_enabled_at, u.deletion_due_at
+    FROM user_identities i
+    JOIN users u ON u.id = i.user_id
+    WHERE i.provider = $1 AND i.subject = $2
+  `, [provider, subject]);
+  return result.rows[0] || null;
+}
+
+// Note a sign-in with an identity, keeping the email the provider reports
+async function touchIdentity(db, identityId, claims) {
+  await db.query(
+    'UPDATE user_identities SET email = $2, last_login_at = NOW() WHERE id = $1',
+    [identityId, claims.email || null]
+  );
+}
+
+// A user's linked identities
+async function listIdentities(db, userId) {
+  const result = await db.query(`
+    SELECT id, provider, email, created_at, last_login_at
+    FROM user_identities
+    WHERE user_id = $1
+    ORDER BY created_at
+  `, [userId]);
+  return result.rows;
+}
+
+// Link a provider account to a user. Returns { identity } or { error, status }.
+async function linkIdentity(db, userId, provider, claims) {
+  const existing = await db.query(`
+    SELECT user_id, provider, subject FROM user_identities
+    WHERE (provider = $1 AND subject = $2) OR (user_id = $3 AND provider = $1)
+  `, [provider, claims.sub, userId]);
+
+  for (const row of existing.rows) {
+    if (row.subject === claims.sub && row.user_id === userId) {
+      return { status: 409, error: 'This account is already linked' };
+    }
+    if (row.subject === claims.sub) {
+      return { status: 409, error: 'This account is linked to another user' };
+    }
+    return { status: 409, error: 'Unlink your other account with this provider first' };
+  }
+
+  const result = await db.query(`
+    INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    RETURNING id, provider, email, created_at
+  `, [userId, provider, claims.sub, claims.email || null]);
+
+  return { identity: result.rows[0] };
+}
+
+// Unlink an identity, unless it's the user's only way to log in.
+// Returns { identity } or { error, status }.
+async function unlinkIdentity(db, userId, identityId) {
+  const result = await db.query(`
+    SELECT i.id, i.provider, u.password_set,
+           (SELECT COUNT(*) FROM user_identities o WHERE o.user_id = i.user_id)::int as identity_count
+    FROM user_identities i
+    JOIN users u ON u.id = i.user_id
+    WHERE i.id = $1 AND i.user_id = $2
+  `, [identityId, userId]);
+
+  const identity = result.rows[0];
+  if (!identity) {
+    return { status: 404, error: 'Linked account not found' };
+  }
+  if (!identity.password_set && identity.identity_count === 1) {
+    return { status: 400, error: 'Set a password before unlinking your only sign-in method' };
+  }
+
+  await db.query('DELETE FROM user_identities WHERE id = $1', [identityId]);
+  return { identity: { id: identity.id, provider: identity.provider } };
+}
+
+// Usernames to try for a new user, from the provider's claims
+function usernameCandidates(claims) {
+  const bases = [claims.preferred_username, claims.email?.split('@')[0], claims.name]
+    .map(value => String(value || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 24))
+    .filter(value => value.length >= 3);
+  const base = bases[0] || 'chayafan';
+  const suffix = () => crypto.randomInt(1000, 10000);
+
+  return [...new Set([...bases, `${base}_${suffix()}`, `${base}_${suffix()}`, `${base}_${suffix()}`])];
+}
+
+// Create a user for a provider account that isn't linked to anyone. The user
+// has no password until they set one under Account. The provider's email
+// is kept only when it is verified and not used by another account.
+// Run inside a transaction (it throws if the provider account was linked
+// meanwhile). Returns the user.
+async function createUserForIdentity(db, provider, claims) {
+  let username = null;
+  for (const candidate of usernameCandidates(claims)) {
+    const taken = await db.query('SELECT 1 FROM users WHERE LOWER(username) = LOWER($1)', [candidate]);
+    if (taken.rows.length === 0) {
+      username = candidate;
+      break;
+    }
+  }
+  if (!username) {
+    throw new Error('Could not find a free username');
+  }
+
+  let email = null;
+  if (claims.email && claims.email_verified === true) {
+    const taken = await db.query('SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)', [claims.email]);
+    email = taken.rows.length === 0 ? claims.email.toLowerCase() : null;
+  }
+
+  // A random password nobody knows keeps password login closed
+  const passwordHash = await passwords.hashPassword(crypto.randomBytes(32).toString('base64url'));
+
+  const result = await db.query(`
+    INSERT INTO users (username, password_hash, password_set, email)
+    VALUES ($1, $2, false, $3)
+    RETURNING id, username, role, banned_at, totp_enabled_at, deletion_due_at
+  `, [username, passwordHash, email]);
+  const user = result.rows[0];
+
+  // Another sign-in with the same provider account got there first: fail so
+  // the caller rolls back instead of keeping a user nobody can log in to
+  const linked = await linkIdentity(db, user.id, provider, claims);
+  if (linked.error) {
+    throw new Error(`Could not link the new user: ${linked.error}`);
+  }
+  return user;
+}
+
+module.exports = {
+  findIdentityUser,
+  touchIdentity,
+  listIdentities,
+  linkIdentity,
+  unlinkIdentity,
+  usernameCandidates,
+  createUserForIdentity
+};
@@ -0,0 +1,115 @@
+// Failed logins are tracked per username (whether or not the account exists,
+// so lockouts say nothing about which usernames are real). After a couple of
+// failures each attempt has to wait a little longer; at the threshold the
+// username is locked out, and every further failure locks it again.
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+// Failures are forgotten after a day without one
+const FAILURE_MEMORY_HOURS = 24;
+
+// Longest wait between attempts before the lockout threshold
+const MAX_DELAY_SECONDS = 30;
+
+function throttleKey(username) {
+  return String(username).trim().toLowerCase();
+}
+
+// Seconds the username must wait after its nth consecutive failure
+// (none after the first, then 1, 2, 4... seconds, then the lockout)
+function delayAfter(failureCount) {
+  if (failureCount >= LOGIN_LOCKOUT_THRESHOLD) {
+    return LOGIN_LOCKOUT_MINUTES * 60;
+  }
+  if (failureCount < 2) {
+    return 0;
+  }
+  return Math.min(2 ** (failureCount - 2), MAX_DELAY_SECONDS);
+}
+
+// Seconds until the username may try again, or 0 if it may try now
+async function retryAfter(db, username) {
+  const result = await db.query(`
+    SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int as seconds
+    FROM login_failures
+    WHERE username = $1 AND locked_until > NOW()
+  `, [throttleKey(username)]);
+
+  return result.rows[0]?.seconds || 0;
+}
+
+// Count a failed login. Returns { failureCount, retryAfter, locked }, locked
+// being true when this failure locked the username out.
+async function recordFailure(db, username, ip) {
+  const key = throttleKey(username);
+
+  const result = await db.query(`
+    INSERT INTO login_failures (username, failure_count, last_failed_at, last_ip)
+    VALUES ($1, 1, NOW(), $2)
+    ON CONFLICT (username) DO UPDATE
+      SET failure_count = CASE
+            WHEN login_failures.last_failed_at < NOW() - make_interval(hours => $3) THEN 1
+            ELSE login_failures.failure_count + 1
+          END,
+          last_failed_at = NOW(),
+          last_ip = EXCLUDED.last_ip
+    RETURNING failure_count
+  `, [key, ip, FAILURE_MEMORY_HOURS]);
+
+  const failureCount = result.rows[0].failure_count;
+  const seconds = delayAfter(failureCount);
+
+  if (seconds > 0) {
+    await db.query(
+      'UPDATE login_failures SET locked_until = NOW() + make_interval(secs => $2) WHERE username = $1',
+      [key, seconds]
+    );
+  }
+
+  return {
+    failureCount,
+    retryAfter: seconds,
+    locked: failureCount >= LOGIN_LOCKOUT_THRESHOLD
+  };
+}
+
+// Forget a username's failures (after a successful login)
+async function clearFailures(db, username) {
+  await db.query('DELETE FROM login_failures WHERE username = $1', [throttleKey(username)]);
+}
+
+// Lift a lockout. Returns false if the username had no failed logins.
+async function unlock(db, username) {
+  const result = await db.query('DELETE FROM login_failures WHERE username = $1', [throttleKey(username)]);
+  return result.rowCount > 0;
+}
+
+// Forget failures that are no longer counted and no longer lock anything
+async function pruneLoginFailures(db) {
+  const result = await db.query(`
+    DELETE FROM login_failures
+    WHERE last_failed_at < NOW() - make_interval(hours => $1)
+      AND (locked_until IS NULL OR locked_until < NOW())
+  `, [FAILURE_MEMORY_HOURS]);
+  return result.rowCount;
+}
+
+// "15 minutes", "30 seconds"
+function describeWait(seconds) {
+  if (seconds >= 120) {
+    return `${Math.ceil(seconds / 60)} minutes`;
+  }
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_MINUTES,
+  delayAfter,
+  retryAfter,
+  recordFailure,
+  clearFailures,
+  unlock,
+  pruneLoginFailures,
+  describeWait
+};
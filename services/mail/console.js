@@ -0,0 +1,27 @@
+const logger = require('../../logger');
+
+// Reset tokens in links, which must not end up in logs
+const TOKEN_PATTERN = /(#reset=)[^\s]+/g;
+
+function redactTokens(text) {
+  return (text || '').replace(TOKEN_PATTERN, '$1[redacted]');
+}
+
+// Writes messages to the log instead of sending them, with reset tokens
+// redacted. The default outside production, so a development setup runs
+// without a mail server; use the file transport to follow reset links.
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      logger.info('Email (console transport, not sent)', {
+        to: message.to,
+        subject: message.subject,
+        text: redactTokens(message.text)
+      });
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
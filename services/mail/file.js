@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// Saves each message as a JSON file in a directory, for tests and staging
+// servers that should never email real people
+function createFileTransport({ directory }) {
+  if (!directory) {
+    throw new Error('MAIL_FILE_DIR is not set');
+  }
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const file = path.join(directory, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+    }
+  };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,82 @@
+const logger = require('../../logger');
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createSmtpTransport = require('./smtp');
+
+const TRANSPORT_FACTORIES = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+// Read mail settings from the environment
+function loadMailConfig(env = process.env) {
+  return {
+    transport: (env.MAIL_TRANSPORT || 'console').trim().toLowerCase(),
+    from: env.MAIL_FROM || 'Chayakkada Near Me <no-reply@localhost>',
+    file: {
+      directory: env.MAIL_FILE_DIR || 'mail'
+    },
+    smtp: {
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    }
+  };
+}
+
+// Stands in for the console transport in production, where mail must really
+// be sent: each message is dropped with an error
+function createDisabledTransport() {
+  return {
+    name: 'disabled',
+
+    async send(message) {
+      logger.error('Email not sent: no mail transport configured', { subject: message.subject });
+    }
+  };
+}
+
+// Build the configured transport, falling back to the console transport when
+// it is unknown or misconfigured so the server still starts. Production never
+// uses the console transport, so messages are dropped instead.
+function createMailer(config = loadMailConfig(), { production = process.env.NODE_ENV === 'production' } = {}) {
+  let transport;
+  const fallback = production ? 'disabled' : 'console';
+  const factory = TRANSPORT_FACTORIES[config.transport];
+
+  if (!factory) {
+    logger.warn(`Unknown mail transport "${config.transport}", using ${fallback}`);
+  } else if (config.transport === 'console' && production) {
+    logger.error('The console mail transport is not allowed in production, set MAIL_TRANSPORT: mail is disabled');
+  } else {
+    try {
+      transport = factory(config[config.transport] || {});
+    } catch (err) {
+      logger.warn(`Mail transport "${config.transport}" disabled, using ${fallback}: ${err.message}`);
+    }
+  }
+
+  if (!transport) {
+    transport = production ? createDisabledTransport() : createConsoleTransport();
+  }
+
+  logger.info('Mail transport enabled', { transport: transport.name });
+
+  // Send a plain-text message ({ to, subject, text })
+  async function send(message) {
+    await transport.send({ from: config.from, ...message });
+  }
+
+  return {
+    transport: transport.name,
+    send
+  };
+}
+
+module.exports = {
+  loadMailConfig,
+  createMailer
+};
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// Any SMTP server (a provider's relay, or a local Postfix)
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) {
+    throw new Error('SMTP_HOST is not set');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,218 @@
+
+// Canonical snack and drink catalogue. Synonyms cover spelling variants,
+// English descriptions and Malayalam script; all are matched after
+// normalizeItemName(). is_veg is the usual tag, shops can override it.
+const CATALOGUE = [
+  // Snacks
+  { slug: 'pazhampori', name_en: 'Pazhampori', name_ml: 'പഴംപൊരി', category: 'snack', is_veg: true,
+    synonyms: ['pazham pori', 'pazhampori', 'ethakka appam', 'ethakkappam', 'banana fritter', 'banana fry', 'pazham porichathu'] },
+  { slug: 'egg-puffs', name_en: 'Egg Puffs', name_ml: 'മുട്ട പഫ്സ്', category: 'snack', is_veg: false,
+    synonyms: ['egg puff', 'mutta puffs', 'mutta puff', 'egg puffs'] },
+  { slug: 'veg-puffs', name_en: 'Veg Puffs', name_ml: 'വെജ് പഫ്സ്', category: 'snack', is_veg: true,
+    synonyms: ['veg puff', 'vegetable puffs', 'vegetable puff'] },
+  { slug: 'samosa', name_en: 'Samosa', name_ml: 'സമൂസ', category: 'snack', is_veg: true,
+    synonyms: ['samoosa', 'samusa', 'veg samosa'] },
+  { slug: 'uzhunnu-vada', name_en: 'Uzhunnu Vada', name_ml: 'ഉഴുന്നുവട', category: 'snack', is_veg: true,
+    synonyms: ['vada', 'vadai', 'medu vada', 'uzhunnu vada', 'ulundu vada'] },
+  { slug: 'parippu-vada', name_en: 'Parippu Vada', name_ml: 'പരിപ്പുവട', category: 'snack', is_veg: true,
+    synonyms: ['parippuvada', 'dal vada', 'paruppu vadai', 'masala vada'] },
+  { slug: 'ulli-vada', name_en: 'Ulli Vada', name_ml: 'ഉള്ളിവട', category: 'snack', is_veg: true,
+    synonyms: ['ullivada', 'onion vada', 'onion pakoda', 'ulli vada'] },
+  { slug: 'bonda', name_en: 'Bonda', name_ml: 'ബോണ്ട', category: 'snack', is_veg: true,
+    synonyms: ['potato bonda', 'aloo bonda'] },
+  { slug: 'mulaku-bajji', name_en: 'Mulaku Bajji', name_ml: 'മുളക് ബജി', category: 'snack', is_veg: true,
+    synonyms: ['bajji', 'mulaku bajji', 'chilli bajji', 'mirchi bajji'] },
+  { slug: 'unniyappam', name_en: 'Unniyappam', name_ml: 'ഉണ്ണിയപ്പം', category: 'snack', is_veg: true,
+    synonyms: ['unni appam', 'unniappam'] },
+  { slug: 'neyyappam', name_en: 'Neyyappam', name_ml: 'നെയ്യപ്പം', category: 'snack', is_veg: true,
+    synonyms: ['neyy appam', 'neyappam'] },
+  { slug: 'sukhiyan', name_en: 'Sukhiyan', name_ml: 'സുഖിയൻ', category: 'snack', is_veg: true,
+    synonyms: ['sugiyan', 'suhiyan', 'green gram fritter'] },
+  { slug: 'beef-cutlet', name_en: 'Beef Cutlet', name_ml: 'ബീഫ് കട്‌ലറ്റ്', category: 'snack', is_veg: false,
+    synonyms: ['beef cutlet'] },
+  { slug: 'chicken-cutlet', name_en: 'Chicken Cutlet', name_ml: 'ചിക്കൻ കട്‌ലറ്റ്', category: 'snack', is_veg: false,
+    synonyms: ['chicken cutlet'] },
+  { slug: 'chicken-roll', name_en: 'Chicken Roll', name_ml: 'ചിക്കൻ റോൾ', category: 'snack', is_veg: false,
+    synonyms: ['chicken roll'] },
+  // Meals
+  { slug: 'parotta', name_en: 'Parotta', name_ml: 'പൊറോട്ട', category: 'meal', is_veg: true,
+    synonyms: ['porotta', 'paratha', 'kerala parotta', 'barotta'] },
+  { slug: 'kadala-curry', name_en: 'Kadala Curry', name_ml: 'കടല കറി', category: 'meal', is_veg: true,
+    synonyms: ['kadala', 'kadala curry', 'chickpea curry', 'black chana curry'] },
+  { slug: 'puttu', name_en: 'Puttu', name_ml: 'പുട്ട്', category: 'meal', is_veg: true,
+    synonyms: ['pittu'] },
+  { slug: 'appam', name_en: 'Appam', name_ml: 'അപ്പം', category: 'meal', is_veg: true,
+    synonyms: ['palappam', 'vellayappam'] },
+  // Drinks
+  { slug: 'tea', name_en: 'Tea', name_ml: 'ചായ', category: 'drink', is_veg: true,
+    synonyms: ['chaya', 'chai', 'milk tea', 'paal chaya'] },
+  { slug: 'strong-tea', name_en: 'Strong Tea', name_ml: 'കടുപ്പത്തിൽ ചായ', category: 'drink', is_veg: true,
+    synonyms: ['strong tea', 'kaduppam chaya', 'kadupp chaya', 'strong chaya'] },
+  { slug: 'black-tea', name_en: 'Black Tea', name_ml: 'കട്ടൻ ചായ', category: 'drink', is_veg: true,
+    synonyms: ['kattan chaya', 'kattan', 'black tea', 'kattanchaya'] },
+  { slug: 'sulaimani', name_en: 'Sulaimani', name_ml: 'സുലൈമാനി', category: 'drink', is_veg: true,
+    synonyms: ['sulaimani tea', 'suleimani', 'sulemani', 'lemon tea'] },
+  { slug: 'ginger-tea', name_en: 'Ginger Tea', name_ml: 'ഇഞ്ചി ചായ', category: 'drink', is_veg: true,
+    synonyms: ['inji chaya', 'ginger chai', 'ginger tea'] },
+  { slug: 'coffee', name_en: 'Coffee', name_ml: 'കാപ്പി', category: 'drink', is_veg: true,
+    synonyms: ['kaapi', 'kappi', 'filter coffee', 'milk coffee'] },
+  { slug: 'black-coffee', name_en: 'Black Coffee', name_ml: 'കട്ടൻ കാപ്പി', category: 'drink', is_veg: true,
+    synonyms: ['kattan kaapi', 'kattan kappi', 'black coffee'] },
+  { slug: 'lime-juice', name_en: 'Lime Juice', name_ml: 'നാരങ്ങ വെള്ളം', category: 'drink', is_veg: true,
+    synonyms: ['naranga vellam', 'lemon juice', 'nimbu pani', 'lime soda', 'lemon soda'] }
+];
+
+// Lowercase, Unicode-normalise and strip punctuation so "Pazham-pori " and
+// "pazham pori" compare equal. Malayalam combining marks are kept.
+function normalizeItemName(name) {
+  return String(name)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Split a free-text items_available string into individual item names
+function splitItemsList(text) {
+  if (!text) {
+    return [];
+  }
+  return String(text)
+    .split(/[,;\n/&]|\band\b/i)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Every lookup key for a catalogue entry, normalised
+function catalogueKeys(entry) {
+  return [...new Set(
+    [entry.slug.replace(/-/g, ' '), entry.name_en, entry.name_ml, ...entry.synonyms]
+      .filter(Boolean)
+      .map(normalizeItemName)
+  )];
+}
+
+// Upsert CATALOGUE into menu_items / menu_item_synonyms (run at startup)
+async function syncCatalogue(db) {
+  for (const entry of CATALOGUE) {
+    const result = await db.query(`
+      INSERT INTO menu_items (slug, name_en, name_ml, category, is_veg)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (slug) DO UPDATE
+        SET name_en = EXCLUDED.name_en,
+            name_ml = EXCLUDED.name_ml,
+            category = EXCLUDED.category,
+            is_veg = EXCLUDED.is_veg
+      RETURNING id
+    `, [entry.slug, entry.name_en, entry.name_ml, entry.category, entry.is_veg]);
+
+    const menuItemId = result.rows[0].id;
+
+    await db.query(`
+      INSERT INTO menu_item_synonyms (synonym, menu_item_id)
+      SELECT UNNEST($1::text[]), $2
+      ON CONFLICT (synonym) DO UPDATE SET menu_item_id = EXCLUDED.menu_item_id
+    `, [catalogueKeys(entry), menuItemId]);
+  }
+}
+
+// Resolve free-text names to catalogue items.
+// Returns Map(original name -> { id, slug, name_en, is_veg } | null)
+async function resolveMenuItems(db, names) {
+  const resolved = new Map();
+  if (names.length === 0) {
+    return resolved;
+  }
+
+  // Try the name as given and with a trailing plural "s" removed ("Samosas")
+  const candidates = names.map(name => {
+    const normalized = normalizeItemName(name);
+    return [normalized, normalized.replace(/s$/, '')];
+  });
+
+  const result = await db.query(`
+    SELECT s.synonym, m.id, m.slug, m.name_en, m.is_veg
+    FROM menu_item_synonyms s
+    JOIN menu_items m ON m.id = s.menu_item_id
+    WHERE s.synonym = ANY($1::text[])
+  `, [candidates.flat()]);
+
+  const bySynonym = new Map(result.rows.map(row => [row.synonym, row]));
+
+  names.forEach((name, index) => {
+    const match = candidates[index].map(key => bySynonym.get(key)).find(Boolean);
+    resolved.set(name, match
+      ? { id: match.id, slug: match.slug, name_en: match.name_en, is_veg: match.is_veg }
+      : null);
+  });
+
+  return resolved;
+}
+
+// Upsert a shop's menu entries: [{ menuItemId, price, isVeg }]. userId is the
+// logged-in contributor, if any. A newer contribution for the same item
+// replaces the price and tag only when given.
+async function upsertMenuEntries(db, chayakkadaId, entries, contributedBy, userId = null) {
+  for (const entry of entries) {
+    await db.query(`
+      INSERT INTO chayakkada_menu (chayakkada_id, menu_item_id, price, is_veg, contributed_by, user_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (chayakkada_id, menu_item_id) DO UPDATE
+        SET price = COALESCE(EXCLUDED.price, chayakkada_menu.price),
+            is_veg = COALESCE(EXCLUDED.is_veg, chayakkada_menu.is_veg),
+            contributed_by = EXCLUDED.contributed_by,
+            user_id = EXCLUDED.user_id,
+            contributed_at = CURRENT_TIMESTAMP
+    `, [chayakkadaId, entry.menuItemId, entry.price ?? null, entry.isVeg ?? null, contributedBy || null, userId]);
+  }
+}
+
+// Parse a free-text items_available string into menu entries for a shop.
+// Returns the names that did not match the catalogue.
+async function recordItemsAvailable(db, chayakkadaId, itemsText, contributedBy, userId = null) {
+  const names = splitItemsList(itemsText);
+  const resolved = await resolveMenuItems(db, names);
+
+  const menuItemIds = [...new Set([...resolved.values()].filter(Boolean).map(item => item.id))];
+  await upsertMenuEntries(db, chayakkadaId, menuItemIds.map(menuItemId => ({ menuItemId })), contributedBy, userId);
+
+  return names.filter(name => !resolved.get(name));
+}
+
+// A shop's menu with catalogue names; veg tag falls back to the catalogue default
+async function getShopMenu(db, chayakkadaId) {
+  const result = await db.query(`
+    SELECT
+      m.id AS menu_item_id,
+      m.slug,
+      m.name_en,
+      m.name_ml,
+      m.category,
+      cm.price,
+      COALESCE(cm.is_veg, m.is_veg) AS is_veg,
+      cm.contributed_by,
+      cm.contributed_at
+    FROM chayakkada_menu cm
+    JOIN menu_items m ON m.id = cm.menu_item_id
+    WHERE cm.chayakkada_id = $1
+    ORDER BY m.category, m.name_en
+  `, [chayakkadaId]);
+
+  return result.rows.map(row => ({
+    ...row,
+    price: row.price === null ? null : Number(row.price)
+  }));
+}
+
+module.exports = {
+  CATALOGUE,
+  normalizeItemName,
+  splitItemsList,
+  syncCatalogue,
+  resolveMenuItems,
+  upsertMenuEntries,
+  recordItemsAvailable,
+  getShopMenu
+};
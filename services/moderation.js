@@ -0,0 +1,245 @@
+const menu = require('./menu');
+const ratings = require('./ratings');
+
+// Contribution types that can be held for moderation, and the table behind each
+const MODERATED_TABLES = {
+  chayakkadas: 'chayakkadas',
+  metadata: 'chayakkada_metadata',
+  reviews: 'reviews'
+};
+
+// Contribution types visitors can flag
+const FLAGGABLE_TYPES = ['reviews', 'metadata'];
+const FLAG_REASONS = ['spam', 'abusive', 'fake', 'other'];
+
+// Distinct users whose flags hide an item until a moderator looks at it
+const FLAG_HIDE_THRESHOLD = parseInt(process.env.FLAG_HIDE_THRESHOLD, 10) || 3;
+
+// Deleted reviews are gone from the queue and can't be flagged
+function notDeleted(type, alias = '') {
+  return type === 'reviews' ? `AND ${alias}deleted_at IS NULL` : '';
+}
+
+// Keep a record of every moderation decision. moderatorId is null for automatic actions.
+async function recordAction(db, type, id, action, moderatorId, note) {
+  await db.query(`
+    INSERT INTO moderation_actions (content_type, content_id, action, moderator_id, note)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [type, id, action, moderatorId, note || null]);
+}
+
+// Reviews feed the shop's rating aggregate, so any visibility change refreshes it
+async function refreshShopRating(db, type, row) {
+  if (type === 'reviews') {
+    await ratings.refreshRatings(db, [row.chayakkada_id]);
+  }
+}
+
+// Pending contributions, oldest first, grouped by type
+async function listPending(db) {
+  const [shops, metadata, reviews] = await Promise.all([
+    db.query(`
+      SELECT
+        id,
+        google_place_id,
+        source,
+        name,
+        ST_Y(location::geometry) as latitude,
+        ST_X(location::geometry) as longitude,
+        address,
+        created_at
+      FROM chayakkadas
+      WHERE status = 'pending'
+      ORDER BY id
+    `),
+    db.query(`
+      SELECT m.*, c.name as chayakkada_name
+      FROM chayakkada_metadata m
+      JOIN chayakkadas c ON c.id = m.chayakkada_id
+      WHERE m.status = 'pending'
+      ORDER BY m.id
+    `),
+    db.query(`
+      SELECT r.*, c.name as chayakkada_name
+      FROM reviews r
+      JOIN chayakkadas c ON c.id = r.chayakkada_id
+      WHERE r.status = 'pending' AND r.deleted_at IS NULL
+      ORDER BY r.id
+    `)
+  ]);
+
+  return {
+    chayakkadas: shops.rows,
+    metadata: metadata.rows,
+    reviews: reviews.rows
+  };
+}
+
+// Approve or reject a pending contribution. Approved metadata is applied to
+// the structured menu and approved reviews to the shop's rating at this point,
+// since both were skipped on submission.
+// Returns false if there is no pending contribution with that id.
+async function moderate(db, type, id, action, moderatorId, note) {
+  const table = MODERATED_TABLES[type];
+  const status = action === 'approve' ? 'approved' : 'rejected';
+
+  const result = await db.query(`
+    UPDATE ${table}
+    SET status = $2
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [id, status]);
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const row = result.rows[0];
+  if (type === 'metadata' && status === 'approved' && row.items_available) {
+    await menu.recordItemsAvailable(db, row.chayakkada_id, row.items_available, row.contributed_by, row.user_id);
+  }
+  if (status === 'approved') {
+    await refreshShopRating(db, type, row);
+  }
+
+  await recordAction(db, type, id, action, moderatorId, note);
+  return true;
+}
+
+// Flag a visible review or metadata entry. Once FLAG_HIDE_THRESHOLD distinct
+// users have open flags on it, it is hidden until a moderator acts.
+// Run inside a transaction. Returns { flagCount, hidden } or { error, status }.
+async function flagContent(db, type, id, userId, reason, note) {
+  const table = MODERATED_TABLES[type];
+  const found = await db.query(`
+    SELECT * FROM ${table}
+    WHERE id = $1 AND status IN ('approved', 'hidden') ${notDeleted(type)}
+    FOR UPDATE
+  `, [id]);
+  const item = found.rows[0];
+
+  if (!item) {
+    return { status: 404, error: 'Contribution not found' };
+  }
+  if (item.user_id === userId) {
+    return { status: 400, error: 'You cannot flag your own contribution' };
+  }
+
+  const inserted = await db.query(`
+    INSERT INTO content_flags (content_type, content_id, user_id, reason, note)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (content_type, content_id, user_id) WHERE resolved_at IS NULL DO NOTHING
+    RETURNING id
+  `, [type, id, userId, reason, note || null]);
+
+  if (inserted.rows.length === 0) {
+    return { status: 409, error: 'You have already flagged this' };
+  }
+
+  const count = await db.query(`
+    SELECT COUNT(DISTINCT user_id)::int as flag_count
+    FROM content_flags
+    WHERE content_type = $1 AND content_id = $2 AND resolved_at IS NULL
+  `, [type, id]);
+  const flagCount = count.rows[0].flag_count;
+
+  if (item.status === 'approved' && flagCount >= FLAG_HIDE_THRESHOLD) {
+    await db.query(`UPDATE ${table} SET status = 'hidden' WHERE id = $1`, [id]);
+    await refreshShopRating(db, type, item);
+    await recordAction(db, type, id, 'auto_hide', null, `Flagged by ${flagCount} users`);
+    return { flagCount, hidden: true };
+  }
+
+  return { flagCount, hidden: item.status === 'hidden' };
+}
+
+// Flagged reviews and metadata with their open flags, auto-hidden items first
+async function listFlagged(db) {
+  const queue = {};
+
+  for (const type of FLAGGABLE_TYPES) {
+    const result = await db.query(`
+      SELECT
+        t.*,
+        c.name as chayakkada_name,
+        f.flag_count,
+        f.flags
+      FROM (
+        SELECT
+          cf.content_id,
+          COUNT(DISTINCT cf.user_id)::int as flag_count,
+          json_agg(json_build_object(
+            'reason', cf.reason,
+            'note', cf.note,
+            'user_id', cf.user_id,
+            'username', u.username,
+            'created_at', cf.created_at
+          ) ORDER BY cf.created_at) as flags
+        FROM content_flags cf
+        LEFT JOIN users u ON u.id = cf.user_id
+        WHERE cf.content_type = $1 AND cf.resolved_at IS NULL
+        GROUP BY cf.content_id
+      ) f
+      JOIN ${MODERATED_TABLES[type]} t ON t.id = f.content_id
+      JOIN chayakkadas c ON c.id = t.chayakkada_id
+      WHERE true ${notDeleted(type, 't.')}
+      ORDER BY (t.status = 'hidden') DESC, f.flag_count DESC, t.id
+    `, [type]);
+
+    queue[type] = result.rows;
+  }
+
+  return queue;
+}
+
+// Settle a flagged item: approve (visible again), hide, or delete (reviews are
+// soft-deleted, metadata is rejected). Open flags are resolved either way.
+// Run inside a transaction. Returns false if the item doesn't exist.
+async function resolveFlagged(db, type, id, action, moderatorId, note) {
+  const table = MODERATED_TABLES[type];
+  let update;
+
+  if (action === 'approve') {
+    update = "status = 'approved'";
+  } else if (action === 'hide') {
+    update = "status = 'hidden'";
+  } else if (type === 'reviews') {
+    update = 'deleted_at = NOW()';
+  } else {
+    update = "status = 'rejected'";
+  }
+
+  const result = await db.query(`
+    UPDATE ${table}
+    SET ${update}
+    WHERE id = $1 AND status IN ('approved', 'hidden') ${notDeleted(type)}
+    RETURNING *
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await db.query(`
+    UPDATE content_flags
+    SET resolved_at = NOW()
+    WHERE content_type = $1 AND content_id = $2 AND resolved_at IS NULL
+  `, [type, id]);
+
+  await refreshShopRating(db, type, result.rows[0]);
+  await recordAction(db, type, id, action, moderatorId, note);
+  return true;
+}
+
+module.exports = {
+  MODERATED_TABLES,
+  FLAGGABLE_TYPES,
+  FLAG_REASONS,
+  FLAG_HIDE_THRESHOLD,
+  recordAction,
+  listPending,
+  moderate,
+  flagContent,
+  listFlagged,
+  resolveFlagged
+};
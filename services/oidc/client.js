@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// Discovery documents and signing keys are fetched again after an hour
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+// An ID token signed with an unknown key id refetches the keys (the provider
+// may have rotated them), but not more than once a minute
+const JWKS_REFETCH_MS = 60 * 1000;
+
+// Asymmetric algorithms only: HS256 would be signed with our client secret
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Allowance for clock differences with the provider
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// PKCE (RFC 7636): the verifier stays with us, its S256 hash goes with the
+// authorization request, and the token request proves we sent it
+function createPkcePair() {
+  const verifier = randomToken();
+  return {
+    verifier,
+    challenge: crypto.createHash('sha256').update(verifier).digest('base64url')
+  };
+}
+
+// An OpenID Connect relying party for one provider, configured from its
+// discovery document (authorization code flow with PKCE)
+function createOidcClient({ id, label, discoveryUrl, clientId, clientSecret, scopes }) {
+  let metadata = null;
+  let metadataFetchedAt = 0;
+  let signingKeys = new Map();
+  let keysFetchedAt = 0;
+
+  async function getMetadata() {
+    if (!metadata || Date.now() - metadataFetchedAt > METADATA_TTL_MS) {
+      const response = await axios.get(discoveryUrl, { timeout: REQUEST_TIMEOUT_MS });
+      for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!response.data?.[field]) {
+          throw new Error(`Discovery document for ${id} has no ${field}`);
+        }
+      }
+      metadata = response.data;
+      metadataFetchedAt = Date.now();
+    }
+    return metadata;
+  }
+
+  async function fetchSigningKeys() {
+    const { jwks_uri: jwksUri } = await getMetadata();
+    const response = await axios.get(jwksUri, { timeout: REQUEST_TIMEOUT_MS });
+
+    const keys = new Map();
+    for (const jwk of response.data?.keys || []) {
+      if (jwk.use && jwk.use !== 'sig') {
+        continue;
+      }
+      try {
+        keys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (err) {
+        // Key types Node can't load (or symmetric keys) can't sign ID tokens we accept
+      }
+    }
+
+    signingKeys = keys;
+    keysFetchedAt = Date.now();
+  }
+
+  async function getSigningKey(kid = '') {
+    const stale = Date.now() - keysFetchedAt > METADATA_TTL_MS;
+    const unknown = !signingKeys.has(kid) && Date.now() - keysFetchedAt > JWKS_REFETCH_MS;
+    if (stale || unknown) {
+      await fetchSigningKeys();
+    }
+
+    // Tokens without a key id are fine when the provider has only one key
+    const key = signingKeys.get(kid) || (!kid && signingKeys.size === 1 ? [...signingKeys.values()][0] : null);
+    if (!key) {
+      throw new Error(`No signing key ${kid || '(no kid)'} published by ${id}`);
+    }
+    return key;
+  }
+
+  // Where to send the browser to sign in. With reauthenticate, the provider
+  // is asked to make the user sign in again rather than reuse its session,
+  // and reports when they did in the auth_time claim.
+  async function authorizationUrl({ redirectUri, state, nonce, codeChallenge, reauthenticate = false }) {
+    const { authorization_endpoint: endpoint } = await getMetadata();
+    const url = new URL(endpoint);
+    const params = {
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      ...(reauthenticate && { prompt: 'login', max_age: '0' })
+    };
+    for (const [name, value] of Object.entries(params)) {
+      url.searchParams.set(name, value);
+    }
+    return url.toString();
+  }
+
+  // Check an ID token's signature, issuer, audience, expiry and nonce.
+  // Returns its claims, or throws.
+  async function verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('Malformed ID token');
+    }
+
+    const { issuer } = await getMetadata();
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer,
+      audience: clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce does not match');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+      throw new Error('ID token was issued to another client');
+    }
+    if (!claims.sub) {
+      throw new Error('ID token has no subject');
+    }
+    return claims;
+  }
+
+  // Swap the authorization code (and PKCE verifier) for tokens and return
+  // the verified ID token claims
+  async function exchangeCode({ code, codeVerifier, redirectUri, nonce }) {
+    const meta = await getMetadata();
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: clientId
+    });
+    const headers = { Accept: 'application/json' };
+
+    // client_secret_basic unless the provider only takes the secret in the body
+    if (clientSecret) {
+      const methods = meta.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+      if (methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        params.set('client_secret', clientSecret);
+      }
+    }
+
+    let response;
+    try {
+      response = await axios.post(meta.token_endpoint, params, { headers, timeout: REQUEST_TIMEOUT_MS });
+    } catch (err) {
+      const reason = err.response?.data?.error_description || err.response?.data?.error || err.message;
+      throw new Error(`Token request to ${id} failed: ${reason}`);
+    }
+
+    if (!response.data?.id_token) {
+      throw new Error(`Token response from ${id} has no ID token`);
+    }
+    return verifyIdToken(response.data.id_token, nonce);
+  }
+
+  return {
+    id,
+    label,
+    authorizationUrl,
+    exchangeCode,
+    verifyIdToken
+  };
+}
+
+module.exports = {
+  randomToken,
+  createPkcePair,
+  createOidcClient
+};
@@ -0,0 +1,58 @@
+const logger = require('../../logger');
+const { randomToken, createPkcePair, createOidcClient } = require('./client');
+
+// Read OpenID Connect providers from the environment. OIDC_PROVIDERS lists
+// provider ids (say "google,mock"); each is configured with
+// OIDC_<ID>_DISCOVERY_URL, OIDC_<ID>_CLIENT_ID, OIDC_<ID>_CLIENT_SECRET and
+// optionally OIDC_<ID>_LABEL and OIDC_<ID>_SCOPES.
+function loadOidcConfig(env = process.env) {
+  const ids = (env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    providers: ids.map(id => {
+      const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+      return {
+        id,
+        prefix,
+        label: env[`${prefix}LABEL`] || id.charAt(0).toUpperCase() + id.slice(1),
+        discoveryUrl: env[`${prefix}DISCOVERY_URL`],
+        clientId: env[`${prefix}CLIENT_ID`],
+        clientSecret: env[`${prefix}CLIENT_SECRET`] || null,
+        scopes: env[`${prefix}SCOPES`] || 'openid email profile'
+      };
+    })
+  };
+}
+
+// Clients for the configured providers, by id. Misconfigured providers are
+// left out (with a warning) so the server still starts.
+function createOidcProviders(config = loadOidcConfig()) {
+  const providers = new Map();
+
+  for (const provider of config.providers) {
+    if (!/^[a-z0-9-]+$/.test(provider.id)) {
+      logger.warn(`OpenID Connect provider "${provider.id}" disabled: ids may only use a-z, 0-9 and -`);
+      continue;
+    }
+    if (!provider.discoveryUrl || !provider.clientId) {
+      logger.warn(`OpenID Connect provider "${provider.id}" disabled: set ${provider.prefix}DISCOVERY_URL and ${provider.prefix}CLIENT_ID`);
+      continue;
+    }
+    providers.set(provider.id, createOidcClient(provider));
+  }
+
+  if (providers.size > 0) {
+    logger.info('OpenID Connect providers enabled', { providers: [...providers.keys()] });
+  }
+  return providers;
+}
+
+module.exports = {
+  loadOidcConfig,
+  createOidcProviders,
+  randomToken,
+  createPkcePair
+};
@@ -0,0 +1,157 @@
+// All opening hours are wall-clock times in India Standard Time
+const TIMEZONE = 'Asia/Kolkata';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const localFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  weekday: 'short',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Local date, weekday and minute-of-day of an instant in TIMEZONE
+function toLocalTime(date) {
+  const parts = Object.fromEntries(localFormatter.formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    dayOfWeek: WEEKDAYS[parts.weekday],
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+// 'HH:MM' or 'HH:MM:SS' (as returned by Postgres TIME) to minutes since midnight
+function parseTime(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Calendar date arithmetic on 'YYYY-MM-DD' strings
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Ranges that start on a given local date, as [start, end) minutes relative to
+// that date's midnight. A range whose closing time is not after its opening
+// time runs past midnight. Exceptions for the date replace the weekly hours.
+function rangesStartingOn(date, dayOfWeek, weekly, exceptions) {
+  const dayExceptions = exceptions.filter(e => e.date === date);
+  let ranges;
+
+  if (dayExceptions.length > 0) {
+    ranges = dayExceptions.some(e => e.is_closed) ? [] : dayExceptions;
+  } else {
+    ranges = weekly.filter(h => h.day_of_week === dayOfWeek);
+  }
+
+  return ranges.map(range => {
+    const start = parseTime(range.opens_at);
+    let end = parseTime(range.closes_at);
+    if (end <= start) {
+      end += MINUTES_PER_DAY;
+    }
+    return { start, end };
+  });
+}
+
+// Whether a shop is open at an instant, given its weekly hours
+// ({ day_of_week, opens_at, closes_at }) and date exceptions
+// ({ date: 'YYYY-MM-DD', is_closed, opens_at, closes_at }).
+// Returns null when no hours are known, otherwise
+// { isOpen, closesInMinutes, opensInMinutes }.
+function getOpenStatus(weekly, exceptions, at = new Date()) {
+  if (weekly.length === 0 && exceptions.length === 0) {
+    return null;
+  }
+
+  const now = toLocalTime(at);
+
+  // Collect ranges from yesterday (overnight spill) through the next week,
+  // all relative to today's midnight
+  const ranges = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const date = addDays(now.date, offset);
+    const dayOfWeek = (now.dayOfWeek + offset + 7) % 7;
+    for (const range of rangesStartingOn(date, dayOfWeek, weekly, exceptions)) {
+      ranges.push({
+        start: range.start + offset * MINUTES_PER_DAY,
+        end: range.end + offset * MINUTES_PER_DAY
+      });
+    }
+  }
+  ranges.sort((a, b) => a.start - b.start);
+
+  const current = ranges.find(range => range.start <= now.minutes && now.minutes < range.end);
+
+  if (current) {
+    // Back-to-back or overlapping ranges count as one stretch of opening
+    let closesAt = current.end;
+    for (const range of ranges) {
+      if (range.start <= closesAt && range.end > closesAt) {
+        closesAt = range.end;
+      }
+    }
+    return {
+      isOpen: true,
+      closesInMinutes: closesAt - now.minutes,
+      opensInMinutes: null
+    };
+  }
+
+  const next = ranges.find(range => range.start > now.minutes);
+  return {
+    isOpen: false,
+    closesInMinutes: null,
+    opensInMinutes: next ? next.start - now.minutes : null
+  };
+}
+
+// Weekly hours and exceptions from the day before `from` onwards for a set of shops.
+// Returns Map(chayakkadaId -> { weekly, exceptions })
+async function loadHours(db, chayakkadaIds, from = new Date()) {
+  const byShop = new Map(chayakkadaIds.map(id => [id, { weekly: [], exceptions: [] }]));
+  if (chayakkadaIds.length === 0) {
+    return byShop;
+  }
+
+  const [weekly, exceptions] = await Promise.all([
+    db.query(`
+      SELECT chayakkada_id, day_of_week, opens_at, closes_at
+      FROM chayakkada_hours
+      WHERE chayakkada_id = ANY($1::int[])
+      ORDER BY day_of_week, opens_at
+    `, [chayakkadaIds]),
+    // From the day before, so an overnight exception still applies after midnight
+    db.query(`
+      SELECT chayakkada_id, to_char(date, 'YYYY-MM-DD') AS date, is_closed, opens_at, closes_at, note
+      FROM chayakkada_hours_exceptions
+      WHERE chayakkada_id = ANY($1::int[])
+        AND date >= $2::date - 1
+      ORDER BY date, opens_at
+    `, [chayakkadaIds, toLocalTime(from).date])
+  ]);
+
+  for (const row of weekly.rows) {
+    byShop.get(row.chayakkada_id).weekly.push(row);
+  }
+  for (const row of exceptions.rows) {
+    byShop.get(row.chayakkada_id).exceptions.push(row);
+  }
+
+  return byShop;
+}
+
+module.exports = {
+  TIMEZONE,
+  toLocalTime,
+  getOpenStatus,
+  loadHours
+};
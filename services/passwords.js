@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = 12;
+
+// How long a password reset link works
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 60;
+
+// A reset link is not sent again to the same account within this window
+const RESET_RESEND_MINUTES = 5;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Compared against when a username doesn't exist, so a failed login takes as
+// long either way and response times don't reveal which usernames are real
+let dummyHash = null;
+
+// Requests used to have every "." and "$" replaced with "_", passwords
+// included, so hashes from before that stopped (users.password_legacy) are of
+// the password in that form
+function legacyPassword(password) {
+  return password.replace(/[$.]/g, '_');
+}
+
+// Check a password against a user's hash (null for an unknown user). The
+// legacy form is only accepted for a legacy hash, but it is compared whenever
+// it differs, so the number of compares depends on the password alone and not
+// on whether or how the account exists. Given db and userId, a legacy hash
+// that matches is replaced with one of the password as typed.
+async function verifyPassword(password, passwordHash, { db, userId, legacy = false } = {}) {
+  const legacyForm = legacyPassword(password);
+  const candidates = legacyForm === password ? [password] : [password, legacyForm];
+
+  if (!passwordHash) {
+    dummyHash = dummyHash || await hashPassword('not-a-real-password');
+  }
+  const hash = passwordHash || dummyHash;
+  const matches = [];
+  for (const candidate of candidates) {
+    matches.push(await bcrypt.compare(candidate, hash));
+  }
+
+  if (!passwordHash) {
+    return false;
+  }
+  if (matches[0]) {
+    return true;
+  }
+  if (!legacy || !matches[1]) {
+    return false;
+  }
+  if (db && userId) {
+    await db.query(
+      'UPDATE users SET password_hash = $3, password_legacy = false WHERE id = $1 AND password_hash = $2',
+      [userId, passwordHash, await hashPassword(password)]
+    );
+  }
+  return true;
+}
+
+// Replace a user's password (or set the first one, for users who signed up
+// with OpenID Connect)
+async function setPassword(db, userId, password) {
+  await db.query(
+    'UPDATE users SET password_hash = $2, password_changed_at = NOW(), password_set = true, password_legacy = false WHERE id = $1',
+    [userId, await hashPassword(password)]
+  );
+}
+
+// Issue a reset token for a user, replacing any earlier unused ones.
+// Returns the token, or null when one was issued moments ago.
+async function createResetToken(db, userId, ip) {
+  const recent = await db.query(`
+    SELECT 1 FROM password_reset_tokens
+    WHERE user_id = $1 AND used_at IS NULL
+      AND created_at > NOW() - make_interval(mins => $2)
+  `, [userId, RESET_RESEND_MINUTES]);
+
+  if (recent.rows.length > 0) {
+    return null;
+  }
+
+  await db.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+    VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))
+  `, [userId, hashToken(token), ip, RESET_TOKEN_TTL_MINUTES]);
+
+  return token;
+}
+
+// Use up a reset token. Returns the user id, or null if the token is unknown,
+// expired or already used.
+async function consumeResetToken(db, token) {
+  const result = await db.query(`
+    UPDATE password_reset_tokens SET used_at = NOW()
+    WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING user_id
+  `, [hashToken(token)]);
+
+  return result.rows[0]?.user_id || null;
+}
+
+// The email sent for a reset request
+function resetMessage(user, link) {
+  return {
+    to: user.email,
+    subject: 'Reset your Chayakkada Near Me password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone (hopefully you) asked to reset your password. Open this link to choose a new one:',
+      '',
+      link,
+      '',
+      `The link works once and expires in ${RESET_TOKEN_TTL_MINUTES} minutes.`,
+      'If you didn\'t ask for this, ignore this email and your password stays the same.'
+    ].join('\n')
+  };
+}
+
+// Forget reset tokens that stopped working over a day ago
+async function pruneResetTokens(db) {
+  const result = await db.query(`
+    DELETE FROM password_reset_tokens
+    WHERE COALESCE(used_at, expires_at) < NOW() - INTERVAL '1 day'
+  `);
+  return result.rowCount;
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  hashPassword,
+  verifyPassword,
+  setPassword,
+  createResetToken,
+  consumeResetToken,
+  resetMessage,
+  pruneResetTokens
+};
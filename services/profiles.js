@@ -0,0 +1,68 @@
+const reputation = require('./reputation');
+const badges = require('./badges');
+
+// Contribution lists on a public profile. Only what the public can see
+// elsewhere is listed: approved shops, metadata and reviews, minus deleted reviews.
+const CONTRIBUTION_QUERIES = {
+  shops: `
+    SELECT id, name, address, district, created_at
+    FROM chayakkadas
+    WHERE created_by = $1 AND status = 'approved'
+    ORDER BY created_at DESC, id DESC
+    LIMIT $2 OFFSET $3
+  `,
+  metadata: `
+    SELECT m.id, m.chayakkada_id, c.name as chayakkada_name, m.chayakkada_rating,
+           m.items_available, m.sells_cigarettes, m.contributed_at
+    FROM chayakkada_metadata m
+    JOIN chayakkadas c ON c.id = m.chayakkada_id AND c.status = 'approved'
+    WHERE m.user_id = $1 AND m.status = 'approved'
+    ORDER BY m.contributed_at DESC, m.id DESC
+    LIMIT $2 OFFSET $3
+  `,
+  reviews: `
+    SELECT r.id, r.chayakkada_id, c.name as chayakkada_name, r.rating, r.review_text,
+           r.created_at, r.edited_at,
+           (SELECT COUNT(*) FROM review_votes v WHERE v.review_id = r.id)::int as helpful_count
+    FROM reviews r
+    JOIN chayakkadas c ON c.id = r.chayakkada_id AND c.status = 'approved'
+    WHERE r.user_id = $1 AND r.status = 'approved' AND r.deleted_at IS NULL
+    ORDER BY r.created_at DESC, r.id DESC
+    LIMIT $2 OFFSET $3
+  `
+};
+
+const CONTRIBUTION_TYPES = Object.keys(CONTRIBUTION_QUERIES);
+
+// Public profile by username (no email or login details) with reputation and
+// badges, or null
+async function getProfile(db, username) {
+  const result = await db.query(`
+    SELECT id, username, role, created_at, banned_at IS NOT NULL as banned
+    FROM users
+    WHERE username = $1
+  `, [username]);
+
+  const user = result.rows[0];
+  if (!user) {
+    return null;
+  }
+
+  return {
+    ...user,
+    reputation: await reputation.getReputation(db, user.id),
+    badges: await badges.getUserBadges(db, user.id)
+  };
+}
+
+// One page of a user's contributions of a type (shops, metadata or reviews)
+async function listContributions(db, userId, type, { limit = 20, offset = 0 } = {}) {
+  const result = await db.query(CONTRIBUTION_QUERIES[type], [userId, limit, offset]);
+  return result.rows;
+}
+
+module.exports = {
+  CONTRIBUTION_TYPES,
+  getProfile,
+  listContributions
+};
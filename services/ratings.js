@@ -0,0 +1,68 @@
+// Aggregate star ratings per shop, maintained from approved reviews.
+// The Bayesian average pulls shops with few reviews towards the mean of all
+// reviews, so one 5-star review doesn't outrank fifty 4-star ones.
+const RATING_PRIOR_WEIGHT = parseFloat(process.env.RATING_PRIOR_WEIGHT) || 5;
+
+const SUB_SCORES = ['tea_strength', 'snacks', 'cleanliness', 'value'];
+
+// Aggregate as a JSON column, for queries that join chayakkada_rating_aggregates as "a"
+const RATING_JSON = `
+  json_build_object(
+    'count', COALESCE(a.review_count, 0),
+    'mean', a.rating_mean,
+    'bayesian', a.bayesian_rating,
+    'subScores', json_build_object(
+      ${SUB_SCORES.map(score => `'${score}', a.${score}_mean`).join(',\n      ')}
+    )
+  )
+`;
+
+// Recompute the aggregates of the given shops, or of every shop when no ids
+// are given. Every shop's Bayesian average depends on the overall mean, so a
+// full refresh runs periodically to keep them comparable.
+async function refreshRatings(db, chayakkadaIds = null) {
+  await db.query(`
+    WITH prior AS (
+      SELECT COALESCE(AVG(rating), 3) as mean
+      FROM reviews
+      WHERE status = 'approved' AND deleted_at IS NULL AND rating IS NOT NULL
+    ),
+    stats AS (
+      SELECT
+        c.id as chayakkada_id,
+        COUNT(r.rating)::int as review_count,
+        AVG(r.rating) as rating_mean,
+        ${SUB_SCORES.map(score => `AVG(r.${score}) as ${score}_mean`).join(',\n        ')}
+      FROM chayakkadas c
+      LEFT JOIN reviews r
+        ON r.chayakkada_id = c.id AND r.status = 'approved' AND r.deleted_at IS NULL AND r.rating IS NOT NULL
+      WHERE $1::int[] IS NULL OR c.id = ANY($1::int[])
+      GROUP BY c.id
+    )
+    INSERT INTO chayakkada_rating_aggregates
+      (chayakkada_id, review_count, rating_mean, bayesian_rating, ${SUB_SCORES.map(score => `${score}_mean`).join(', ')}, updated_at)
+    SELECT
+      s.chayakkada_id,
+      s.review_count,
+      ROUND(s.rating_mean, 2)::real,
+      CASE WHEN s.review_count > 0
+        THEN ROUND((($2::numeric * p.mean + s.rating_mean * s.review_count) / ($2::numeric + s.review_count)), 2)::real
+      END,
+      ${SUB_SCORES.map(score => `ROUND(s.${score}_mean, 2)::real`).join(',\n      ')},
+      NOW()
+    FROM stats s, prior p
+    ON CONFLICT (chayakkada_id) DO UPDATE
+      SET review_count = EXCLUDED.review_count,
+          rating_mean = EXCLUDED.rating_mean,
+          bayesian_rating = EXCLUDED.bayesian_rating,
+          ${SUB_SCORES.map(score => `${score}_mean = EXCLUDED.${score}_mean`).join(',\n          ')},
+          updated_at = EXCLUDED.updated_at
+  `, [chayakkadaIds, RATING_PRIOR_WEIGHT]);
+}
+
+module.exports = {
+  RATING_PRIOR_WEIGHT,
+  SUB_SCORES,
+  RATING_JSON,
+  refreshRatings
+};
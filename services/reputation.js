@@ -0,0 +1,99 @@
+// Reputation: points for contributions that survived moderation (approved,
+// and for reviews not deleted) plus helpful votes other users gave the
+// user's reviews. Computed on demand so moderation decisions apply at once.
+const REPUTATION_POINTS = {
+  shop: 10,
+  metadata: 3,
+  review: 5,
+  helpfulVote: 2
+};
+
+// { score, shops, metadata, reviews, helpfulVotes } for a user
+async function getReputation(db, userId) {
+  const result = await db.query(`
+    SELECT
+      (SELECT COUNT(*) FROM chayakkadas
+        WHERE created_by = $1 AND status = 'approved')::int as shops,
+      (SELECT COUNT(*) FROM chayakkada_metadata
+        WHERE user_id = $1 AND status = 'approved')::int as metadata,
+      (SELECT COUNT(*) FROM reviews
+        WHERE user_id = $1 AND status = 'approved' AND deleted_at IS NULL)::int as reviews,
+      (SELECT COUNT(*) FROM review_votes v
+        JOIN reviews r ON r.id = v.review_id
+        WHERE r.user_id = $1 AND v.user_id <> $1
+          AND r.status = 'approved' AND r.deleted_at IS NULL)::int as helpful_votes
+  `, [userId]);
+
+  const counts = result.rows[0];
+  const score =
+    counts.shops * REPUTATION_POINTS.shop +
+    counts.metadata * REPUTATION_POINTS.metadata +
+    counts.reviews * REPUTATION_POINTS.review +
+    counts.helpful_votes * REPUTATION_POINTS.helpfulVote;
+
+  return {
+    score,
+    shops: counts.shops,
+    metadata: counts.metadata,
+    reviews: counts.reviews,
+    helpfulVotes: counts.helpful_votes
+  };
+}
+
+// Whether a user has at least `points` reputation, for gating privileges
+async function hasReputation(db, userId, points) {
+  const { score } = await getReputation(db, userId);
+  return score >= points;
+}
+
+// Top contributors by reputation, all-time or counting only contributions to
+// shops in one district. Banned users are left out.
+async function leaderboard(db, { district = null, limit = 20 } = {}) {
+  const result = await db.query(`
+    WITH points AS (
+      SELECT c.created_by as user_id, c.district, $2::int as points
+      FROM chayakkadas c
+      WHERE c.status = 'approved'
+      UNION ALL
+      SELECT m.user_id, c.district, $3::int
+      FROM chayakkada_metadata m
+      JOIN chayakkadas c ON c.id = m.chayakkada_id
+      WHERE m.status = 'approved'
+      UNION ALL
+      SELECT r.user_id, c.district, $4::int
+      FROM reviews r
+      JOIN chayakkadas c ON c.id = r.chayakkada_id
+      WHERE r.status = 'approved' AND r.deleted_at IS NULL
+      UNION ALL
+      SELECT r.user_id, c.district, $5::int
+      FROM review_votes v
+      JOIN reviews r ON r.id = v.review_id
+      JOIN chayakkadas c ON c.id = r.chayakkada_id
+      WHERE v.user_id <> r.user_id AND r.status = 'approved' AND r.deleted_at IS NULL
+    )
+    SELECT u.id, u.username, SUM(p.points)::int as score,
+           (SELECT COUNT(*) FROM user_badges b WHERE b.user_id = u.id)::int as badge_count
+    FROM points p
+    JOIN users u ON u.id = p.user_id AND u.banned_at IS NULL
+    WHERE $1::text IS NULL OR p.district = $1
+    GROUP BY u.id, u.username
+    ORDER BY score DESC, u.username
+    LIMIT $6
+  `, [
+    district,
+    REPUTATION_POINTS.shop,
+    REPUTATION_POINTS.metadata,
+    REPUTATION_POINTS.review,
+    REPUTATION_POINTS.helpfulVote,
+    limit
+  ]);
+
+  return result.rows.map((row, index) => ({ rank: index + 1, ...row }));
+}
+
+module.exports = {
+  REPUTATION_POINTS,
+  getReputation,
+  hasReputation,
+  leaderboard
+};
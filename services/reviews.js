@@ -0,0 +1,153 @@
+const ratings = require('./ratings');
+
+// Fields an author can change after posting
+const EDITABLE_FIELDS = ['review_text', 'rating', ...ratings.SUB_SCORES];
+
+// The author's review, locked for update. Returns { review } or { error, status }.
+async function findOwnReview(db, reviewId, userId) {
+  const result = await db.query(
+    'SELECT * FROM reviews WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+    [reviewId]
+  );
+  const review = result.rows[0];
+
+  if (!review) {
+    return { status: 404, error: 'Review not found' };
+  }
+  if (review.user_id !== userId) {
+    return { status: 403, error: 'You can only change your own reviews' };
+  }
+  return { review };
+}
+
+// Apply an author's edit, keeping the previous version in review_edits.
+// Only fields present in `changes` are updated; sub-scores can be cleared with null.
+// Run inside a transaction. Returns { review } or { error, status }.
+async function editReview(db, reviewId, userId, changes) {
+  const found = await findOwnReview(db, reviewId, userId);
+  if (!found.review) {
+    return found;
+  }
+  const previous = found.review;
+
+  await db.query(`
+    INSERT INTO review_edits (review_id, ${EDITABLE_FIELDS.join(', ')}, edited_by)
+    VALUES ($1, ${EDITABLE_FIELDS.map((_, index) => `$${index + 2}`).join(', ')}, $${EDITABLE_FIELDS.length + 2})
+  `, [reviewId, ...EDITABLE_FIELDS.map(field => previous[field]), userId]);
+
+  const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+  const result = await db.query(`
+    UPDATE reviews
+    SET ${fields.map((field, index) => `${field} = $${index + 2}`).concat('edited_at = NOW()').join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [reviewId, ...fields.map(field => changes[field])]);
+
+  const review = result.rows[0];
+  if (review.status === 'approved') {
+    await ratings.refreshRatings(db, [review.chayakkada_id]);
+  }
+  return { review };
+}
+
+// Soft-delete an author's review: hidden everywhere but kept, with its edit
+// history, for moderators. Run inside a transaction. Returns { review } or { error, status }.
+async function deleteReview(db, reviewId, userId) {
+  const found = await findOwnReview(db, reviewId, userId);
+  if (!found.review) {
+    return found;
+  }
+
+  const result = await db.query(
+    'UPDATE reviews SET deleted_at = NOW() WHERE id = $1 RETURNING *',
+    [reviewId]
+  );
+
+  const review = result.rows[0];
+  if (review.status === 'approved') {
+    await ratings.refreshRatings(db, [review.chayakkada_id]);
+  }
+  return { review };
+}
+
+// Approved reviews of a shop, newest first, with the author's username and
+// helpful votes. voted_helpful says whether viewerId (may be null) voted.
+async function listShopReviews(db, chayakkadaId, viewerId = null) {
+  const result = await db.query(`
+    SELECT
+      r.*,
+      u.username,
+      COUNT(v.user_id)::int as helpful_count,
+      COALESCE(BOOL_OR(v.user_id = $2), false) as voted_helpful
+    FROM reviews r
+    LEFT JOIN users u ON u.id = r.user_id
+    LEFT JOIN review_votes v ON v.review_id = r.id
+    WHERE r.chayakkada_id = $1 AND r.status = 'approved' AND r.deleted_at IS NULL
+    GROUP BY r.id, u.username
+    ORDER BY r.created_at DESC
+  `, [chayakkadaId, viewerId]);
+
+  return result.rows;
+}
+
+// Mark someone else's review as helpful (once per user).
+// Returns { helpfulCount } or { error, status }.
+async function voteHelpful(db, reviewId, userId) {
+  const result = await db.query(
+    "SELECT user_id FROM reviews WHERE id = $1 AND status = 'approved' AND deleted_at IS NULL",
+    [reviewId]
+  );
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Review not found' };
+  }
+  if (result.rows[0].user_id === userId) {
+    return { status: 400, error: 'You cannot vote for your own review' };
+  }
+
+  await db.query(`
+    INSERT INTO review_votes (review_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT DO NOTHING
+  `, [reviewId, userId]);
+
+  return { helpfulCount: await countHelpful(db, reviewId) };
+}
+
+// Take back a helpful vote. Returns { helpfulCount }.
+async function removeVote(db, reviewId, userId) {
+  await db.query('DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2', [reviewId, userId]);
+  return { helpfulCount: await countHelpful(db, reviewId) };
+}
+
+async function countHelpful(db, reviewId) {
+  const result = await db.query('SELECT COUNT(*)::int as count FROM review_votes WHERE review_id = $1', [reviewId]);
+  return result.rows[0].count;
+}
+
+// A review (deleted or not) with its earlier versions, newest first, or null
+async function getReviewHistory(db, reviewId) {
+  const review = await db.query('SELECT * FROM reviews WHERE id = $1', [reviewId]);
+  if (review.rows.length === 0) {
+    return null;
+  }
+
+  const edits = await db.query(`
+    SELECT e.*, u.username as edited_by_username
+    FROM review_edits e
+    LEFT JOIN users u ON u.id = e.edited_by
+    WHERE e.review_id = $1
+    ORDER BY e.edited_at DESC, e.id DESC
+  `, [reviewId]);
+
+  return { review: review.rows[0], edits: edits.rows };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  editReview,
+  deleteReview,
+  getReviewHistory,
+  listShopReviews,
+  voteHelpful,
+  removeVote
+};
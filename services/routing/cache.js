@@ -0,0 +1,109 @@
+const logger = require('../../logger');
+const { encodeGeohash } = require('../geo');
+
+// Persistent cache of walking routes in the walking_time_cache table, keyed by
+// the geohash cell of the search origin and the chayakkada ID. Searches from
+// anywhere within the same cell share entries. Entries for a shop are dropped
+// by a database trigger when its location changes (see initDatabase).
+function createRoutingCache(db, { ttlHours = 168, precision = 7 } = {}) {
+  const stats = {
+    hits: 0,
+    misses: 0,
+    writes: 0,
+    errors: 0
+  };
+
+  function originCell(origin) {
+    return encodeGeohash(Number(origin.lat), Number(origin.lng), precision);
+  }
+
+  // Fetch unexpired entries for the given shops; returns Map(chayakkadaId -> route)
+  async function lookup(cell, chayakkadaIds) {
+    const cached = new Map();
+
+    try {
+      const result = await db.query(`
+        SELECT chayakkada_id, distance_meters, duration_seconds, provider
+        FROM walking_time_cache
+        WHERE origin_cell = $1
+          AND chayakkada_id = ANY($2::int[])
+          AND cached_at > NOW() - make_interval(hours => $3)
+      `, [cell, chayakkadaIds, ttlHours]);
+
+      for (const row of result.rows) {
+        cached.set(row.chayakkada_id, {
+          distanceMeters: row.distance_meters,
+          durationSeconds: row.duration_seconds,
+          provider: row.provider
+        });
+      }
+    } catch (err) {
+      // A broken cache must never break search; treat everything as a miss
+      stats.errors++;
+      logger.error('Walking time cache lookup failed:', err);
+    }
+
+    stats.hits += cached.size;
+    stats.misses += chayakkadaIds.length - cached.size;
+    return cached;
+  }
+
+  // Upsert freshly routed entries: [{ chayakkadaId, distanceMeters, durationSeconds, provider }]
+  async function store(cell, entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    try {
+      await db.query(`
+        INSERT INTO walking_time_cache
+          (origin_cell, chayakkada_id, distance_meters, duration_seconds, provider)
+        SELECT $1, e.chayakkada_id, e.distance_meters, e.duration_seconds, e.provider
+        FROM UNNEST($2::int[], $3::real[], $4::real[], $5::text[])
+          AS e(chayakkada_id, distance_meters, duration_seconds, provider)
+        ON CONFLICT (origin_cell, chayakkada_id) DO UPDATE
+          SET distance_meters = EXCLUDED.distance_meters,
+              duration_seconds = EXCLUDED.duration_seconds,
+              provider = EXCLUDED.provider,
+              cached_at = CURRENT_TIMESTAMP
+      `, [
+        cell,
+        entries.map(e => e.chayakkadaId),
+        entries.map(e => e.distanceMeters),
+        entries.map(e => e.durationSeconds),
+        entries.map(e => e.provider)
+      ]);
+      stats.writes += entries.length;
+    } catch (err) {
+      stats.errors++;
+      logger.error('Walking time cache write failed:', err);
+    }
+  }
+
+  // Remove entries older than the TTL; returns the number of rows deleted
+  async function pruneExpired() {
+    const result = await db.query(`
+      DELETE FROM walking_time_cache
+      WHERE cached_at <= NOW() - make_interval(hours => $1)
+    `, [ttlHours]);
+    return result.rowCount;
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    return {
+      ...stats,
+      hitRate: lookups > 0 ? Number((stats.hits / lookups).toFixed(3)) : null
+    };
+  }
+
+  return {
+    originCell,
+    lookup,
+    store,
+    pruneExpired,
+    getStats
+  };
+}
+
+module.exports = createRoutingCache;
@@ -0,0 +1,53 @@
+const axios = require('axios');
+
+const DISTANCE_MATRIX_URL = 'https://maps.googleapis.com/maps/api/distancematrix/json';
+
+// Distance Matrix accepts at most 25 destinations per request
+const MAX_DESTINATIONS = 25;
+
+// Google Maps Distance Matrix API in walking mode
+function createGoogleProvider({ apiKey, timeoutMs }) {
+  if (!apiKey) {
+    throw new Error('GOOGLE_MAPS_API_KEY is not set');
+  }
+
+  return {
+    name: 'google',
+    isEstimate: false,
+    maxDestinations: MAX_DESTINATIONS,
+
+    async getRoutes(origin, destinations) {
+      const response = await axios.get(DISTANCE_MATRIX_URL, {
+        params: {
+          origins: `${origin.lat},${origin.lng}`,
+          destinations: destinations.map(d => `${d.lat},${d.lng}`).join('|'),
+          mode: 'walking',
+          units: 'metric',
+          key: apiKey
+        },
+        timeout: timeoutMs
+      });
+
+      // Request-level failures (OVER_QUERY_LIMIT, REQUEST_DENIED, ...) come back as HTTP 200
+      const { status, error_message: errorMessage } = response.data;
+      if (status !== 'OK') {
+        throw new Error(`Distance Matrix returned ${status}${errorMessage ? `: ${errorMessage}` : ''}`);
+      }
+
+      const elements = response.data.rows[0]?.elements || [];
+
+      return destinations.map((_, index) => {
+        const element = elements[index];
+        if (!element || element.status !== 'OK') {
+          return null;
+        }
+        return {
+          distanceMeters: element.distance.value,
+          durationSeconds: element.duration.value
+        };
+      });
+    }
+  };
+}
+
+module.exports = createGoogleProvider;
@@ -0,0 +1,52 @@
+const axios = require('axios');
+
+// GraphHopper Matrix API, hosted or self-hosted
+// (https://docs.graphhopper.com/#tag/Matrix-API)
+// The hosted Matrix API caps locations per request by plan; 50 fits the smallest
+function createGraphHopperProvider({ baseUrl, apiKey, profile = 'foot', maxDestinations = 49, timeoutMs }) {
+  if (!baseUrl) {
+    throw new Error('ROUTING_GRAPHHOPPER_URL is not set');
+  }
+
+  const matrixUrl = `${baseUrl.replace(/\/+$/, '')}/matrix`;
+
+  return {
+    name: 'graphhopper',
+    isEstimate: false,
+    maxDestinations,
+
+    async getRoutes(origin, destinations) {
+      const response = await axios.post(
+        matrixUrl,
+        {
+          from_points: [[origin.lng, origin.lat]],
+          to_points: destinations.map(d => [d.lng, d.lat]),
+          profile,
+          out_arrays: ['distances', 'times'],
+          fail_fast: false
+        },
+        {
+          params: apiKey ? { key: apiKey } : undefined,
+          timeout: timeoutMs
+        }
+      );
+
+      const { distances, times } = response.data;
+      if (!Array.isArray(distances) || !Array.isArray(times)) {
+        throw new Error(`GraphHopper returned no matrix${response.data.message ? `: ${response.data.message}` : ''}`);
+      }
+
+      return destinations.map((_, index) => {
+        const distanceMeters = distances[0]?.[index];
+        const durationSeconds = times[0]?.[index];
+
+        if (distanceMeters == null || durationSeconds == null) {
+          return null;
+        }
+        return { distanceMeters, durationSeconds };
+      });
+    }
+  };
+}
+
+module.exports = createGraphHopperProvider;
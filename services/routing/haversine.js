@@ -0,0 +1,25 @@
+const { haversineMeters } = require('../geo');
+
+// Offline estimator: straight-line distance stretched by a detour factor to
+// approximate the street network, walked at a constant pace. Never fails, so
+// it works as the last provider in the fallback chain.
+function createHaversineProvider({ detourFactor = 1.3, walkingSpeedKmh = 4.8 }) {
+  const metersPerSecond = (walkingSpeedKmh * 1000) / 3600;
+
+  return {
+    name: 'haversine',
+    isEstimate: true,
+
+    async getRoutes(origin, destinations) {
+      return destinations.map(destination => {
+        const distanceMeters = haversineMeters(origin, destination) * detourFactor;
+        return {
+          distanceMeters,
+          durationSeconds: distanceMeters / metersPerSecond
+        };
+      });
+    }
+  };
+}
+
+module.exports = createHaversineProvider;
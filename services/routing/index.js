@@ -0,0 +1,202 @@
+const logger = require('../../logger');
+const createGoogleProvider = require('./google');
+const createOsrmProvider = require('./osrm');
+const createGraphHopperProvider = require('./graphhopper');
+const createHaversineProvider = require('./haversine');
+const createRoutingCache = require('./cache');
+
+const PROVIDER_FACTORIES = {
+  google: createGoogleProvider,
+  osrm: createOsrmProvider,
+  graphhopper: createGraphHopperProvider,
+  haversine: createHaversineProvider
+};
+
+// Read routing settings from the environment
+function loadRoutingConfig(env = process.env) {
+  return {
+    // Order matters: each provider only handles what the previous ones could not
+    providers: (env.ROUTING_PROVIDERS || 'google,haversine')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean),
+    timeoutMs: parseInt(env.ROUTING_TIMEOUT_MS, 10) || 10000,
+    // Maximum number of provider requests in flight per search
+    concurrency: parseInt(env.ROUTING_CONCURRENCY, 10) || 4,
+    google: {
+      apiKey: env.GOOGLE_MAPS_API_KEY
+    },
+    osrm: {
+      baseUrl: env.ROUTING_OSRM_URL,
+      profile: env.ROUTING_OSRM_PROFILE || 'foot',
+      maxDestinations: parseInt(env.ROUTING_OSRM_BATCH_SIZE, 10) || undefined
+    },
+    graphhopper: {
+      baseUrl: env.ROUTING_GRAPHHOPPER_URL,
+      apiKey: env.ROUTING_GRAPHHOPPER_KEY,
+      profile: env.ROUTING_GRAPHHOPPER_PROFILE || 'foot',
+      maxDestinations: parseInt(env.ROUTING_GRAPHHOPPER_BATCH_SIZE, 10) || undefined
+    },
+    haversine: {
+      detourFactor: parseFloat(env.ROUTING_DETOUR_FACTOR) || 1.3,
+      walkingSpeedKmh: parseFloat(env.ROUTING_WALKING_SPEED_KMH) || 4.8
+    },
+    cache: {
+      enabled: env.ROUTING_CACHE_ENABLED !== 'false',
+      ttlHours: parseInt(env.ROUTING_CACHE_TTL_HOURS, 10) || 168, // 7 days
+      precision: parseInt(env.ROUTING_CACHE_PRECISION, 10) || 7
+    }
+  };
+}
+
+// Split items into arrays of at most size elements
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Run fn over items with at most limit calls in flight at once
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Build the configured provider chain, skipping providers that are misconfigured.
+// With a cache (see ./cache), only uncached origin/shop pairs reach the providers.
+function createRoutingService(config = loadRoutingConfig(), { cache = null } = {}) {
+  const providers = [];
+
+  for (const name of config.providers) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      logger.warn(`Unknown routing provider "${name}" ignored`);
+      continue;
+    }
+
+    try {
+      providers.push(factory({ ...config[name], timeoutMs: config.timeoutMs }));
+    } catch (err) {
+      logger.warn(`Routing provider "${name}" disabled: ${err.message}`);
+    }
+  }
+
+  if (providers.length === 0) {
+    logger.warn('No routing providers configured, falling back to haversine estimates');
+    providers.push(createHaversineProvider(config.haversine || {}));
+  }
+
+  logger.info('Routing providers enabled', { providers: providers.map(p => p.name) });
+
+  const concurrency = Math.max(1, config.concurrency || 1);
+
+  // Resolve walking routes from origin to every destination ({ id, lat, lng },
+  // id being the chayakkada ID used as the cache key).
+  // Destinations are split into provider-sized batches that run with bounded
+  // concurrency; a failed batch falls through to the next provider on its own
+  // without affecting the other batches.
+  // Returns { routes, failures, cacheHits }: routes is aligned with destinations
+  // (null where no provider could route), failures lists every failed batch.
+  async function getWalkingRoutes(origin, destinations) {
+    const routes = new Array(destinations.length).fill(null);
+    const failures = [];
+    let pending = destinations.map((_, index) => index);
+    let cell = null;
+
+    if (cache) {
+      cell = cache.originCell(origin);
+      const cached = await cache.lookup(cell, destinations.map(d => d.id));
+
+      destinations.forEach((destination, index) => {
+        const hit = cached.get(destination.id);
+        if (hit) {
+          routes[index] = { ...hit, isEstimate: false, cached: true };
+        }
+      });
+      pending = pending.filter(index => routes[index] === null);
+    }
+
+    const cacheHits = destinations.length - pending.length;
+
+    for (const provider of providers) {
+      if (pending.length === 0) {
+        break;
+      }
+
+      const batches = chunk(pending, provider.maxDestinations || pending.length);
+
+      await mapWithConcurrency(batches, concurrency, async (batch, batchIndex) => {
+        try {
+          const results = await provider.getRoutes(origin, batch.map(index => destinations[index]));
+
+          batch.forEach((destinationIndex, resultIndex) => {
+            const result = results[resultIndex];
+            if (result) {
+              routes[destinationIndex] = {
+                ...result,
+                provider: provider.name,
+                isEstimate: provider.isEstimate
+              };
+            }
+          });
+        } catch (err) {
+          logger.warn(`Routing provider "${provider.name}" failed for batch ${batchIndex + 1}/${batches.length}, trying next`, {
+            error: err.message,
+            destinations: batch.length
+          });
+          failures.push({
+            provider: provider.name,
+            batch: batchIndex,
+            destinationIndexes: batch,
+            error: err.message
+          });
+        }
+      });
+
+      pending = pending.filter(index => routes[index] === null);
+    }
+
+    if (pending.length > 0) {
+      logger.warn(`No routing provider could route ${pending.length} destination(s)`);
+    }
+
+    // Only real routes are cached; estimates are cheap and would otherwise
+    // shadow the real route until the entry expires
+    if (cache) {
+      await cache.store(cell, routes
+        .map((route, index) => ({ route, index }))
+        .filter(({ route }) => route && !route.cached && !route.isEstimate)
+        .map(({ route, index }) => ({
+          chayakkadaId: destinations[index].id,
+          distanceMeters: route.distanceMeters,
+          durationSeconds: route.durationSeconds,
+          provider: route.provider
+        })));
+    }
+
+    return { routes, failures, cacheHits };
+  }
+
+  return {
+    providers: providers.map(p => p.name),
+    getWalkingRoutes
+  };
+}
+
+module.exports = {
+  loadRoutingConfig,
+  createRoutingService,
+  createRoutingCache
+};
@@ -0,0 +1,51 @@
+const axios = require('axios');
+
+// Self-hosted OSRM server using the Table service
+// (https://project-osrm.org/docs/v5.24.0/api/#table-service)
+// osrm-routed defaults to --max-table-size 100, which includes the origin
+function createOsrmProvider({ baseUrl, profile = 'foot', maxDestinations = 99, timeoutMs }) {
+  if (!baseUrl) {
+    throw new Error('ROUTING_OSRM_URL is not set');
+  }
+
+  const tableUrl = `${baseUrl.replace(/\/+$/, '')}/table/v1/${profile}`;
+
+  return {
+    name: 'osrm',
+    isEstimate: false,
+    maxDestinations,
+
+    async getRoutes(origin, destinations) {
+      // OSRM expects lng,lat pairs; the origin is coordinate 0
+      const coordinates = [origin, ...destinations]
+        .map(point => `${point.lng},${point.lat}`)
+        .join(';');
+
+      const response = await axios.get(`${tableUrl}/${coordinates}`, {
+        params: {
+          sources: 0,
+          annotations: 'duration,distance'
+        },
+        timeout: timeoutMs
+      });
+
+      const { code, message, durations, distances } = response.data;
+      if (code !== 'Ok') {
+        throw new Error(`OSRM returned ${code}${message ? `: ${message}` : ''}`);
+      }
+
+      return destinations.map((_, index) => {
+        const durationSeconds = durations?.[0]?.[index + 1];
+        const distanceMeters = distances?.[0]?.[index + 1];
+
+        // Unroutable pairs are reported as null
+        if (durationSeconds == null || distanceMeters == null) {
+          return null;
+        }
+        return { distanceMeters, durationSeconds };
+      });
+    }
+  };
+}
+
+module.exports = createOsrmProvider;
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+// A login session lasts this long without a refresh before the user must log in again
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// How long a re-authentication with an OpenID Connect provider lets a user
+// without a password make account changes that would otherwise need it
+const REAUTH_WINDOW_MINUTES = 10;
+
+// A refresh token rotated this recently is still accepted once more without
+// being treated as reuse: another tab sharing the cookie may have sent it
+// before the rotated one arrived
+const ROTATION_GRACE_SECONDS = 10;
+
+// Refresh tokens are random and only their hashes are stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Start a session for a user who just logged in.
+// Returns { session, refreshToken }.
+async function createSession(db, userId, { userAgent, ip }) {
+  const refreshToken = newRefreshToken();
+
+  const result = await db.query(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+    RETURNING *
+  `, [userId, hashToken(refreshToken), userAgent, ip, REFRESH_TOKEN_TTL_DAYS]);
+
+  return { session: result.rows[0], refreshToken };
+}
+
+async function sessionUser(db, session) {
+  const result = await db.query(
+    'SELECT id, username, role, banned_at FROM users WHERE id = $1',
+    [session.user_id]
+  );
+  return result.rows[0];
+}
+
+// Swap a refresh token for a new one. Each token works once: presenting an
+// already-rotated token means it was copied, so the whole session is revoked.
+// Within ROTATION_GRACE_SECONDS of the rotation the previous token is let
+// through instead, with refreshToken null as the current one stays in use.
+// Returns { session, refreshToken, user } or { error } when the token is
+// unknown, expired, revoked or reused.
+async function rotateSession(db, refreshToken, { userAgent, ip }) {
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  const result = await db.query(`
+    UPDATE sessions
+    SET previous_token_hash = refresh_token_hash,
+        refresh_token_hash = $2,
+        user_agent = COALESCE($3, user_agent),
+        ip = COALESCE($4, ip),
+        last_used_at = NOW(),
+        expires_at = NOW() + make_interval(days => $5)
+    WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    RETURNING *
+  `, [hash, hashToken(nextToken), userAgent, ip, REFRESH_TOKEN_TTL_DAYS]);
+
+  if (result.rows.length === 0) {
+    // last_used_at is when the session was last rotated
+    const concurrent = await db.query(`
+      SELECT * FROM sessions
+      WHERE previous_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+        AND last_used_at > NOW() - make_interval(secs => $2)
+    `, [hash, ROTATION_GRACE_SECONDS]);
+
+    if (concurrent.rows.length > 0) {
+      const session = concurrent.rows[0];
+      return { session, refreshToken: null, user: await sessionUser(db, session) };
+    }
+
+    const reused = await db.query(`
+      UPDATE sessions SET revoked_at = NOW()
+      WHERE previous_token_hash = $1 AND revoked_at IS NULL
+      RETURNING id, user_id
+    `, [hash]);
+
+    return { error: reused.rows.length > 0 ? 'reused' : 'invalid', session: reused.rows[0] };
+  }
+
+  const session = result.rows[0];
+  return { session, refreshToken: nextToken, user: await sessionUser(db, session) };
+}
+
+// Session and account state behind an access token, or null if the session is gone
+async function findActiveSession(db, sessionId, userId) {
+  const result = await db.query(`
+    SELECT s.id, u.role, u.banned_at, u.totp_enabled_at IS NOT NULL as two_factor
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+  `, [sessionId, userId]);
+
+  return result.rows[0] || null;
+}
+
+// Note that the user behind a session just signed in again with their provider
+async function markReauthenticated(db, sessionId) {
+  await db.query('UPDATE sessions SET reauthenticated_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [sessionId]);
+}
+
+// Whether a session re-authenticated within REAUTH_WINDOW_MINUTES
+async function isRecentlyReauthenticated(db, sessionId) {
+  const result = await db.query(`
+    SELECT 1 FROM sessions
+    WHERE id = $1 AND revoked_at IS NULL
+      AND reauthenticated_at > NOW() - make_interval(mins => $2)
+  `, [sessionId, REAUTH_WINDOW_MINUTES]);
+  return result.rows.length > 0;
+}
+
+// Active sessions for a user, most recently used first
+async function listSessions(db, userId) {
+  const result = await db.query(`
+    SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+
+  return result.rows;
+}
+
+// Revoke one of a user's sessions. Returns false if there is no such active session.
+async function revokeSession(db, userId, sessionId) {
+  const result = await db.query(`
+    UPDATE sessions SET revoked_at = NOW()
+    WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+  `, [sessionId, userId]);
+
+  return result.rowCount > 0;
+}
+
+// Revoke the session a refresh token belongs to (logout after the access token expired)
+async function revokeByRefreshToken(db, refreshToken) {
+  await db.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+    [hashToken(refreshToken)]
+  );
+}
+
+// Revoke every session of a user, except keepSessionId if given.
+// Returns how many were revoked.
+async function revokeAllSessions(db, userId, keepSessionId = null) {
+  const result = await db.query(`
+    UPDATE sessions SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)
+  `, [userId, keepSessionId]);
+  return result.rowCount;
+}
+
+// Forget sessions that ended over a week ago
+async function pruneSessions(db) {
+  const result = await db.query(`
+    DELETE FROM sessions
+    WHERE COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '7 days'
+  `);
+  return result.rowCount;
+}
+
+module.exports = {
+  REFRESH_TOKEN_TTL_DAYS,
+  REAUTH_WINDOW_MINUTES,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  markReauthenticated,
+  isRecentlyReauthenticated,
+  listSessions,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  pruneSessions
+};
@@ -0,0 +1,39 @@
+// Site-wide settings admins can change at runtime, stored as JSON in app_settings.
+// Each setting has a default used until an admin changes it.
+const SETTING_DEFAULTS = {
+  // Roles that must have two-factor authentication to use their privileges
+  require_2fa_roles: []
+};
+
+async function getSetting(db, key) {
+  const result = await db.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+  return result.rows.length > 0 ? result.rows[0].value : SETTING_DEFAULTS[key];
+}
+
+// Every setting, with defaults filled in
+async function getSettings(db) {
+  const result = await db.query('SELECT key, value FROM app_settings');
+  const settings = { ...SETTING_DEFAULTS };
+  for (const row of result.rows) {
+    if (row.key in SETTING_DEFAULTS) {
+      settings[row.key] = row.value;
+    }
+  }
+  return settings;
+}
+
+async function setSetting(db, key, value, userId) {
+  await db.query(`
+    INSERT INTO app_settings (key, value, updated_by, updated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (key) DO UPDATE
+      SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+  `, [key, JSON.stringify(value), userId]);
+}
+
+module.exports = {
+  SETTING_DEFAULTS,
+  getSetting,
+  getSettings,
+  setSetting
+};
@@ -0,0 +1,224 @@
+const menu = require('./menu');
+const { detectDistrict } = require('./districts');
+const ratings = require('./ratings');
+
+// Id of the shop listing a Google place, following merge redirects, or null
+async function findByPlaceId(db, googlePlaceId) {
+  const result = await db.query(`
+    SELECT id FROM chayakkadas WHERE google_place_id = $1
+    UNION ALL
+    SELECT new_id FROM chayakkada_redirects WHERE google_place_id = $1
+    LIMIT 1
+  `, [googlePlaceId]);
+
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Surviving shop id for a shop that was merged away, or null
+async function resolveRedirect(db, oldId) {
+  const result = await db.query(
+    'SELECT new_id FROM chayakkada_redirects WHERE old_id = $1',
+    [oldId]
+  );
+  return result.rows.length > 0 ? result.rows[0].new_id : null;
+}
+
+// Insert a chayakkada, or refresh its name, address and rating if the Google
+// place is already listed. A place whose shop was merged into another resolves
+// to the surviving shop instead of recreating the duplicate. Shops without a
+// google_place_id are pins dropped on the map and are always inserted.
+// shop.status ('approved' or 'pending') and shop.created_by (user id) apply to
+// new shops; a pending contribution never overwrites an existing shop.
+// Returns the shop id.
+async function upsertChayakkada(db, shop) {
+  const status = shop.status || 'approved';
+
+  if (!shop.google_place_id) {
+    const result = await db.query(`
+      INSERT INTO chayakkadas (name, location, address, district, source, status, created_by)
+      VALUES ($1, ST_MakePoint($2, $3)::geography, $4, $5, 'manual', $6, $7)
+      RETURNING id
+    `, [shop.name, shop.longitude, shop.latitude, shop.address, detectDistrict(shop.address), status, shop.created_by]);
+
+    return result.rows[0].id;
+  }
+
+  const redirect = await db.query(
+    'SELECT new_id FROM chayakkada_redirects WHERE google_place_id = $1',
+    [shop.google_place_id]
+  );
+  if (redirect.rows.length > 0) {
+    return redirect.rows[0].new_id;
+  }
+
+  const result = await db.query(`
+    INSERT INTO chayakkadas
+      (google_place_id, name, location, address, district, google_rating, google_photo_references, status, created_by)
+    VALUES
+      ($1, $2, ST_MakePoint($3, $4)::geography, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (google_place_id) DO UPDATE
+      SET name = EXCLUDED.name,
+          address = EXCLUDED.address,
+          district = EXCLUDED.district,
+          google_rating = EXCLUDED.google_rating
+      WHERE EXCLUDED.status = 'approved'
+    RETURNING id
+  `, [
+    shop.google_place_id,
+    shop.name,
+    shop.longitude,
+    shop.latitude,
+    shop.address,
+    detectDistrict(shop.address),
+    shop.google_rating,
+    JSON.stringify(shop.google_photo_references || []),
+    status,
+    shop.created_by
+  ]);
+
+  if (result.rows.length > 0) {
+    return result.rows[0].id;
+  }
+
+  // Pending contribution for a shop that already exists: leave it untouched
+  return findByPlaceId(db, shop.google_place_id);
+}
+
+// Attach a Google listing to a pin-dropped shop. The pinned location and name
+// are kept; the address, rating and photos are filled from Google where the
+// shop has none. Returns false if the shop doesn't exist or is already linked.
+async function linkGooglePlace(db, chayakkadaId, place) {
+  const result = await db.query(`
+    UPDATE chayakkadas
+    SET google_place_id = $2,
+        address = COALESCE(address, $3),
+        district = COALESCE(district, $4),
+        google_rating = $5,
+        google_photo_references = $6
+    WHERE id = $1 AND google_place_id IS NULL
+    RETURNING id
+  `, [
+    chayakkadaId,
+    place.google_place_id,
+    place.address,
+    detectDistrict(place.address),
+    place.google_rating,
+    JSON.stringify(place.google_photo_references || [])
+  ]);
+
+  return result.rows.length > 0;
+}
+
+// Record a metadata contribution and keep the structured menu in step with
+// the free-text items list. Pending contributions wait for moderation before
+// they touch the menu. Returns item names not found in the catalogue.
+async function addMetadata(db, chayakkadaId, metadata) {
+  const { chayakkada_rating, items_available, sells_cigarettes, contributed_by, user_id } = metadata;
+  const status = metadata.status || 'approved';
+
+  await db.query(`
+    INSERT INTO chayakkada_metadata
+      (chayakkada_id, chayakkada_rating, items_available, sells_cigarettes, contributed_by, user_id, status)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [chayakkadaId, chayakkada_rating, items_available, sells_cigarettes || false, contributed_by, user_id, status]);
+
+  if (items_available && status === 'approved') {
+    return menu.recordItemsAvailable(db, chayakkadaId, items_available, contributed_by, user_id);
+  }
+  return [];
+}
+
+// Whether a contribution carries any metadata worth recording
+function hasMetadata({ chayakkada_rating, items_available, sells_cigarettes }) {
+  return Boolean(chayakkada_rating || items_available || sells_cigarettes !== undefined);
+}
+
+// Merge a duplicate shop into the one that survives. Reviews and metadata
+// move across; menu entries, hours and exceptions move only where the target
+// has none of its own; empty Google fields on the target are filled from the
+// source. The source is deleted and a redirect keeps its id and Google place
+// pointing at the target. Run inside a transaction.
+// Returns counts of moved rows, or null if either shop doesn't exist.
+async function mergeChayakkadas(db, sourceId, targetId, mergedBy) {
+  const found = await db.query(
+    'SELECT id, google_place_id FROM chayakkadas WHERE id = ANY($1::int[]) FOR UPDATE',
+    [[sourceId, targetId]]
+  );
+  const source = found.rows.find(row => row.id === sourceId);
+  if (!source || !found.rows.some(row => row.id === targetId)) {
+    return null;
+  }
+
+  const reviews = await db.query(
+    'UPDATE reviews SET chayakkada_id = $2 WHERE chayakkada_id = $1',
+    [sourceId, targetId]
+  );
+
+  const metadata = await db.query(
+    'UPDATE chayakkada_metadata SET chayakkada_id = $2 WHERE chayakkada_id = $1',
+    [sourceId, targetId]
+  );
+
+  const menuEntries = await db.query(`
+    UPDATE chayakkada_menu SET chayakkada_id = $2
+    WHERE chayakkada_id = $1
+      AND menu_item_id NOT IN (SELECT menu_item_id FROM chayakkada_menu WHERE chayakkada_id = $2)
+  `, [sourceId, targetId]);
+
+  const hours = await db.query(`
+    UPDATE chayakkada_hours SET chayakkada_id = $2
+    WHERE chayakkada_id = $1
+      AND NOT EXISTS (SELECT 1 FROM chayakkada_hours WHERE chayakkada_id = $2)
+  `, [sourceId, targetId]);
+
+  const exceptions = await db.query(`
+    UPDATE chayakkada_hours_exceptions SET chayakkada_id = $2
+    WHERE chayakkada_id = $1
+      AND date NOT IN (SELECT date FROM chayakkada_hours_exceptions WHERE chayakkada_id = $2)
+  `, [sourceId, targetId]);
+
+  await db.query(`
+    UPDATE chayakkadas t
+    SET address = COALESCE(t.address, s.address),
+        district = COALESCE(t.district, s.district),
+        google_rating = COALESCE(t.google_rating, s.google_rating),
+        google_photo_references = CASE
+          WHEN jsonb_array_length(COALESCE(t.google_photo_references, '[]')) = 0 THEN s.google_photo_references
+          ELSE t.google_photo_references
+        END
+    FROM chayakkadas s
+    WHERE t.id = $2 AND s.id = $1
+  `, [sourceId, targetId]);
+
+  // Earlier merges into the source now point at the target, so redirects never chain
+  await db.query(
+    'UPDATE chayakkada_redirects SET new_id = $2 WHERE new_id = $1',
+    [sourceId, targetId]
+  );
+
+  await db.query(`
+    INSERT INTO chayakkada_redirects (old_id, new_id, google_place_id, merged_by)
+    VALUES ($1, $2, $3, $4)
+  `, [sourceId, targetId, source.google_place_id, mergedBy]);
+
+  await db.query('DELETE FROM chayakkadas WHERE id = $1', [sourceId]);
+  await ratings.refreshRatings(db, [targetId]);
+
+  return {
+    reviews: reviews.rowCount,
+    metadata: metadata.rowCount,
+    menu: menuEntries.rowCount,
+    hours: hours.rowCount,
+    exceptions: exceptions.rowCount
+  };
+}
+
+module.exports = {
+  findByPlaceId,
+  resolveRedirect,
+  mergeChayakkadas,
+  upsertChayakkada,
+  linkGooglePlace,
+  addMetadata,
+  hasMetadata
+};
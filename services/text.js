@@ -0,0 +1,63 @@
+// Free text from users (shop names, addresses, reviews, notes) is stored as
+// typed, after light normalisation, and escaped by whatever renders it
+
+// Control characters, except tab and newline, and the bidirectional
+// embedding, override and isolate marks that can make text display in a
+// different order from how it is stored. Zero-width joiners stay: Malayalam
+// needs them for chillu letters.
+const UNWANTED_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+const graphemes = new Intl.Segmenter('ml', { granularity: 'grapheme' });
+
+// NFC-normalise, drop unwanted characters and trim. Single-line text has
+// runs of whitespace collapsed to one space; multiline text keeps its line
+// breaks, with at most one blank line in a row.
+function normalizeText(value, { multiline = false } = {}) {
+  const text = String(value)
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(UNWANTED_CHARACTERS, '');
+
+  if (!multiline) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+  return text
+    .replace(/[^\S\n]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Length as people count it: a Malayalam letter with its vowel sign, or an
+// emoji with a skin tone, is one character
+function textLength(text) {
+  let length = 0;
+  for (const _ of graphemes.segment(text)) {
+    length++;
+  }
+  return length;
+}
+
+// Undo the HTML entities validator.escape() left in text stored before
+// input was kept as typed (see migrate-text.js)
+const ESCAPED_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`'
+};
+
+const ESCAPED_ENTITY_PATTERN = /&(?:amp|lt|gt|quot|#x27|#x2F|#x5C|#96);/g;
+
+function unescapeEntities(text) {
+  return String(text).replace(ESCAPED_ENTITY_PATTERN, entity => ESCAPED_ENTITIES[entity]);
+}
+
+module.exports = {
+  normalizeText,
+  textLength,
+  unescapeEntities
+};
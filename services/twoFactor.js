@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+// TOTP (RFC 6238) as used by Google Authenticator, Aegis, 1Password and the
+// like: HMAC-SHA1 over 30 second steps, 6 digit codes
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted, for clock drift
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = 'Chayakkada Near Me';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Secrets are stored encrypted (AES-256-GCM). The key comes from
+// TOTP_ENCRYPTION_KEY, or is derived from JWT_SECRET when that isn't set.
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${process.env.JWT_SECRET || 'dev-secret-change-in-production'}`)
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), encrypted].map(part => Buffer.isBuffer(part) ? part.toString('base64') : part).join(':');
+}
+
+function decryptSecret(stored) {
+  const [version, iv, tag, encrypted] = stored.split(':');
+  if (version !== 'v1') {
+    throw new Error(`Unknown secret format ${version}`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// The code for a base32 secret at a time step
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(value).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+// The step a code belongs to, or null if it matches none in the window.
+// Steps at or before lastStep were already used and don't count.
+function matchStep(secret, code, lastStep = null, now = Date.now()) {
+  const normalized = String(code).replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (lastStep !== null && candidate <= lastStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, candidate)), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+}
+
+// "a1b2c-d3e4f": 10 random base32 characters, easy to read out and type
+function newRecoveryCode() {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+// Start enrolment: store a new (not yet enabled) secret for the user and
+// return what the authenticator app needs. Returns { error, status } if 2FA
+// is already on.
+async function startSetup(db, user) {
+  const existing = await db.query('SELECT totp_enabled_at FROM users WHERE id = $1', [user.id]);
+  if (existing.rows[0]?.totp_enabled_at) {
+    return { status: 409, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.query(
+    'UPDATE users SET totp_secret_encrypted = $2, totp_last_step = NULL WHERE id = $1',
+    [user.id, encryptSecret(secret)]
+  );
+
+  const otpauthUrl = `otpauth://totp/${encodeURIComponent(`${TOTP_ISSUER}:${user.username}`)}` +
+    `?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+// Replace a user's recovery codes. Returns the new codes (only ever shown once).
+async function replaceRecoveryCodes(db, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(`
+    INSERT INTO user_recovery_codes (user_id, code_hash)
+    SELECT $1, UNNEST($2::text[])
+  `, [userId, codes.map(hashRecoveryCode)]);
+
+  return codes;
+}
+
+// Finish enrolment with the first code from the app. Run inside a transaction.
+// Returns { recoveryCodes } or { error, status }.
+async function enable(db, userId, code) {
+  const result = await db.query(
+    'SELECT totp_secret_encrypted, totp_enabled_at FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user?.totp_secret_encrypted) {
+    return { status: 400, error: 'Start two-factor setup first' };
+  }
+  if (user.totp_enabled_at) {
+    return { status: 409, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const step = matchStep(decryptSecret(user.totp_secret_encrypted), code);
+  if (step === null) {
+    return { status: 400, error: 'Invalid code' };
+  }
+
+  await db.query(
+    'UPDATE users SET totp_enabled_at = NOW(), totp_last_step = $2 WHERE id = $1',
+    [userId, step]
+  );
+
+  return { recoveryCodes: await replaceRecoveryCodes(db, userId) };
+}
+
+// Check a second-factor code for a user with 2FA on: an authenticator code
+// (each usable once) or an unused recovery code (used up by this call).
+// Run inside a transaction. Returns 'totp', 'recovery' or null.
+async function verifyCode(db, userId, { code, recoveryCode }) {
+  const result = await db.query(
+    'SELECT totp_secret_encrypted, totp_last_step FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL FOR UPDATE',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user) {
+    return null;
+  }
+
+  if (code) {
+    const lastStep = user.totp_last_step === null ? null : Number(user.totp_last_step);
+    const step = matchStep(decryptSecret(user.totp_secret_encrypted), code, lastStep);
+    if (step === null) {
+      return null;
+    }
+    await db.query('UPDATE users SET totp_last_step = $2 WHERE id = $1', [userId, step]);
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const used = await db.query(`
+      UPDATE user_recovery_codes SET used_at = NOW()
+      WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+    `, [userId, hashRecoveryCode(recoveryCode)]);
+    return used.rowCount > 0 ? 'recovery' : null;
+  }
+
+  return null;
+}
+
+// Turn 2FA off and forget the secret and recovery codes
+async function disable(db, userId) {
+  await db.query(`
+    UPDATE users
+    SET totp_secret_encrypted = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+    WHERE id = $1
+  `, [userId]);
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+// How many unused recovery codes a user has left
+async function remainingRecoveryCodes(db, userId) {
+  const result = await db.query(
+    'SELECT COUNT(*)::int as count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  encryptSecret,
+  decryptSecret,
+  totpCode,
+  currentStep,
+  matchStep,
+  startSetup,
+  enable,
+  verifyCode,
+  disable,
+  replaceRecoveryCodes,
+  remainingRecoveryCodes
+};